@@ -16,10 +16,22 @@ const clientesRoutes = require("./routes/clientes");
 const reportesRoutes = require("./routes/reportes");
 const backupRoutes = require("./routes/backup");
 const usuariosRoutes = require("./routes/usuarios");
+const uifRoutes = require("./routes/uif");
+const alertasRoutes = require("./routes/alertas");
+const listasControlRoutes = require("./routes/listasControl");
+const tasasRoutes = require("./routes/tasas");
 
 // 🔹 Importar Socket.IO
 const { initSocket } = require("./socket");
 
+// 🔹 Consulta periódica de tasas de referencia (SBS, BCRP, feeds)
+const { iniciarActualizacionPeriodica } = require("./services/tasasReferencia");
+const { repreciarTrasReferencias } = require("./services/precios");
+// 🔹 Cambios de tasa programados (vigente_desde)
+const { iniciarAplicacionPeriodica } = require("./services/tasasProgramadas");
+// 🔹 Aviso en vivo de cambios de tasas (sala "tasas")
+const { notificarTasas } = require("./services/tasasPublicas");
+
 const app = express();
 const server = http.createServer(app);
 
@@ -35,7 +47,8 @@ app.use(
       "http://localhost:3000",
     ].filter(Boolean),
     methods: ["GET", "POST", "PUT", "DELETE"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+    exposedHeaders: ["Idempotent-Replayed", "ETag"],
     credentials: true,
   })
 );
@@ -55,6 +68,11 @@ app.use("/api/clientes", clientesRoutes);
 app.use("/api/reportes", reportesRoutes);
 app.use("/api/backup", backupRoutes);
 app.use("/api/usuarios", usuariosRoutes);
+app.use("/api/uif", uifRoutes);
+app.use("/api/alertas", alertasRoutes);
+app.use("/api/listas-control", listasControlRoutes);
+// Pública y de solo lectura: la web y las pantallas pueden consultarla desde cualquier origen
+app.use("/api/tasas", cors({ origin: "*", methods: ["GET"], exposedHeaders: ["ETag"] }), tasasRoutes);
 
 // ===============================
 // 🚫 Manejo de rutas no encontradas
@@ -85,6 +103,15 @@ server.listen(PORT, () => {
 // Inicializar Socket.IO
 initSocket(server);
 
+// Tasas de referencia: REFERENCIAS_INTERVALO_MINUTOS=0 desactiva la consulta automática.
+// Cada referencia nueva reprecia las divisas con regla de precio.
+iniciarActualizacionPeriodica(async (resultado) => {
+  const repreciaciones = await repreciarTrasReferencias(resultado);
+  if (repreciaciones.some((r) => r.resultado === "APLICADA")) notificarTasas("REPRECIADA");
+});
+// TASAS_PROGRAMADAS_INTERVALO_SEGUNDOS=0 desactiva la revisión automática (se aplican igual al consultar tasas)
+iniciarAplicacionPeriodica(() => notificarTasas("PROGRAMADA_APLICADA"));
+
 module.exports = app;
 
 
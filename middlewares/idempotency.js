@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  ]
+});
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({ format: winston.format.simple() }));
+}
+
+// Ventana de validez de una clave (horas), configurable por entorno
+const TTL_HORAS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+// Guarda la respuesta de una operación bajo el header Idempotency-Key y la repite ante reintentos
+module.exports = async (req, res, next) => {
+  const clave = req.header('Idempotency-Key');
+  if (!clave) return next();
+  if (clave.length > 100) {
+    return res.status(400).json({ success: false, msg: 'Idempotency-Key demasiado largo (máx. 100 caracteres)' });
+  }
+
+  const ruta = `${req.method} ${req.baseUrl}${req.path}`;
+  const hash = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+  try {
+    await db.query('DELETE FROM idempotency_keys WHERE usuario_id = ? AND clave = ? AND expires_at <= NOW()', [req.user.id, clave]);
+    const [rows] = await db.query(
+      'SELECT ruta, hash_body, status_code, respuesta FROM idempotency_keys WHERE usuario_id = ? AND clave = ?',
+      [req.user.id, clave]
+    );
+
+    if (rows.length) {
+      const previo = rows[0];
+      if (previo.ruta !== ruta || previo.hash_body !== hash) {
+        return res.status(409).json({ success: false, msg: 'Idempotency-Key ya utilizado con una solicitud diferente' });
+      }
+      if (previo.status_code === null) {
+        return res.status(409).json({ success: false, msg: 'Una solicitud con este Idempotency-Key aún está en proceso' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      const respuesta = typeof previo.respuesta === 'string' ? JSON.parse(previo.respuesta) : previo.respuesta;
+      return res.status(previo.status_code).json(respuesta);
+    }
+
+    try {
+      await db.query(
+        'INSERT INTO idempotency_keys (usuario_id, clave, ruta, hash_body, created_at, expires_at) VALUES (?, ?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? HOUR))',
+        [req.user.id, clave, ruta, hash, TTL_HORAS]
+      );
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, msg: 'Una solicitud con este Idempotency-Key aún está en proceso' });
+      }
+      throw err;
+    }
+  } catch (err) {
+    logger.error(`Error en Idempotency-Key: ${err.message}`, { user: req.user.id, ruta, stack: err.stack });
+    return res.status(500).json({ success: false, msg: 'Error verificando Idempotency-Key' });
+  }
+
+  // Capturar la respuesta JSON; la clave se cierra cuando termina la respuesta, sea cual sea la
+  // forma en que el handler respondió (json, send, un PDF con end o el manejador de errores)
+  let cuerpo;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    cuerpo = body;
+    return json(body);
+  };
+
+  let finalizada = false;
+  const finalizar = () => {
+    if (finalizada) return;
+    finalizada = true;
+    // Errores del servidor y conexiones cortadas antes de terminar pueden reintentarse
+    const query = !res.writableFinished || res.statusCode >= 500
+      ? db.query('DELETE FROM idempotency_keys WHERE usuario_id = ? AND clave = ?', [req.user.id, clave])
+      : db.query(
+        'UPDATE idempotency_keys SET status_code = ?, respuesta = ? WHERE usuario_id = ? AND clave = ?',
+        [
+          res.statusCode,
+          // Una respuesta que no era JSON (ej. un PDF) no se repite: el reintento solo confirma que ya se procesó
+          JSON.stringify(cuerpo !== undefined ? cuerpo : { success: true, msg: 'La solicitud ya fue procesada' }),
+          req.user.id,
+          clave
+        ]
+      );
+    query.catch(err => logger.error(`Error guardando Idempotency-Key: ${err.message}`, { user: req.user.id, ruta, stack: err.stack }));
+  };
+  res.on('finish', finalizar);
+  res.on('close', finalizar);
+  next();
+};
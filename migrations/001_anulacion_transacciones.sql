@@ -0,0 +1,33 @@
+-- Anulación de transacciones: estado, datos de anulación y trazabilidad de lotes
+
+-- La columna estado ya existe: se normalizan los valores anteriores (NULL o en otro formato)
+-- antes de hacerla obligatoria con COMPLETADA por defecto
+UPDATE transacciones SET estado = UPPER(TRIM(estado)) WHERE estado IS NOT NULL;
+UPDATE transacciones SET estado = 'COMPLETADA'
+WHERE estado IS NULL OR estado NOT IN ('PENDIENTE', 'COMPLETADA', 'ANULADA', 'RECHAZADA');
+
+ALTER TABLE transacciones
+  MODIFY COLUMN estado VARCHAR(20) NOT NULL DEFAULT 'COMPLETADA',
+  ADD INDEX idx_transacciones_estado (estado);
+
+ALTER TABLE transacciones
+  ADD COLUMN motivo_anulacion VARCHAR(255) NULL,
+  ADD COLUMN anulada_por INT NULL,
+  ADD COLUMN fecha_anulacion DATETIME NULL;
+
+-- Lote creado por una COMPRA
+ALTER TABLE divisas_inventario
+  ADD COLUMN transaccion_id INT NULL,
+  ADD INDEX idx_divisas_inventario_transaccion (transaccion_id);
+
+-- Lotes consumidos por una VENTA
+CREATE TABLE transacciones_lotes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  transaccion_id INT NOT NULL,
+  lote_id INT NOT NULL,
+  monto DECIMAL(15, 2) NOT NULL,
+  costo_base DECIMAL(10, 4) NOT NULL,
+  INDEX idx_transacciones_lotes_transaccion (transaccion_id),
+  FOREIGN KEY (transaccion_id) REFERENCES transacciones(id),
+  FOREIGN KEY (lote_id) REFERENCES divisas_inventario(id)
+);
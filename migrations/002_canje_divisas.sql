@@ -0,0 +1,7 @@
+-- Canje directo entre divisas (ej. USD a EUR) sin pasar por PEN
+
+ALTER TABLE transacciones
+  MODIFY COLUMN tipo ENUM('COMPRA', 'VENTA', 'CANJE') NOT NULL,
+  ADD COLUMN divisa_destino_id INT NULL AFTER divisa_id,
+  ADD COLUMN monto_destino DECIMAL(15, 2) NULL AFTER monto,
+  ADD CONSTRAINT fk_transacciones_divisa_destino FOREIGN KEY (divisa_destino_id) REFERENCES divisas(id);
@@ -0,0 +1,15 @@
+-- Claves de idempotencia para POST /api/transacciones, /api/caja/abrir y /api/caja/ajustar
+
+CREATE TABLE idempotency_keys (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  usuario_id INT NOT NULL,
+  clave VARCHAR(100) NOT NULL,
+  ruta VARCHAR(150) NOT NULL,
+  hash_body CHAR(64) NOT NULL,
+  status_code SMALLINT NULL,
+  respuesta JSON NULL,
+  created_at DATETIME NOT NULL,
+  expires_at DATETIME NOT NULL,
+  UNIQUE KEY uq_idempotency_usuario_clave (usuario_id, clave),
+  INDEX idx_idempotency_expires (expires_at)
+);
@@ -0,0 +1,21 @@
+-- Cotizaciones con tasa bloqueada por tiempo limitado
+
+CREATE TABLE cotizaciones (
+  id CHAR(36) PRIMARY KEY,
+  usuario_id INT NOT NULL,
+  tipo ENUM('COMPRA', 'VENTA', 'CANJE') NOT NULL,
+  divisa_id INT NOT NULL,
+  divisa_destino_id INT NULL,
+  monto DECIMAL(15, 2) NOT NULL,
+  tasa DECIMAL(10, 4) NOT NULL,
+  total_soles DECIMAL(15, 2) NOT NULL,
+  monto_destino DECIMAL(15, 2) NULL,
+  estado ENUM('VIGENTE', 'USADA') NOT NULL DEFAULT 'VIGENTE',
+  transaccion_id INT NULL,
+  created_at DATETIME NOT NULL,
+  expires_at DATETIME NOT NULL,
+  INDEX idx_cotizaciones_usuario_fecha (usuario_id, created_at),
+  FOREIGN KEY (divisa_id) REFERENCES divisas(id),
+  FOREIGN KEY (divisa_destino_id) REFERENCES divisas(id),
+  FOREIGN KEY (transaccion_id) REFERENCES transacciones(id)
+);
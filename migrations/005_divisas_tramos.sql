@@ -0,0 +1,14 @@
+-- Tasas de compra/venta por tramo de monto
+
+CREATE TABLE divisas_tramos (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  divisa_id INT NOT NULL,
+  monto_desde DECIMAL(15, 2) NOT NULL,
+  monto_hasta DECIMAL(15, 2) NULL,
+  tasa_compra DECIMAL(10, 4) NOT NULL,
+  tasa_venta DECIMAL(10, 4) NOT NULL,
+  created_at DATETIME NOT NULL,
+  updated_at DATETIME NULL,
+  INDEX idx_divisas_tramos_divisa (divisa_id, monto_desde),
+  FOREIGN KEY (divisa_id) REFERENCES divisas(id)
+);
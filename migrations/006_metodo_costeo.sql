@@ -0,0 +1,4 @@
+-- Método de costeo de inventario por divisa
+
+ALTER TABLE divisas
+  ADD COLUMN metodo_costeo ENUM('FIFO', 'LIFO', 'WAC') NOT NULL DEFAULT 'WAC';
@@ -0,0 +1,31 @@
+-- Catálogo de billetes/monedas por divisa y conteo por caja
+
+CREATE TABLE divisas_denominaciones (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  divisa_id INT NOT NULL,
+  valor DECIMAL(10, 2) NOT NULL,
+  tipo ENUM('BILLETE', 'MONEDA') NOT NULL DEFAULT 'BILLETE',
+  activo BOOLEAN NOT NULL DEFAULT TRUE,
+  UNIQUE KEY uq_divisas_denominaciones (divisa_id, valor),
+  FOREIGN KEY (divisa_id) REFERENCES divisas(id)
+);
+
+CREATE TABLE caja_denominaciones (
+  caja_id INT NOT NULL,
+  denominacion_id INT NOT NULL,
+  cantidad INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (caja_id, denominacion_id),
+  FOREIGN KEY (caja_id) REFERENCES caja(id),
+  FOREIGN KEY (denominacion_id) REFERENCES divisas_denominaciones(id)
+);
+
+-- Billetes de cada transacción: cantidad positiva = recibida, negativa = entregada
+CREATE TABLE transacciones_denominaciones (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  transaccion_id INT NOT NULL,
+  denominacion_id INT NOT NULL,
+  cantidad INT NOT NULL,
+  INDEX idx_transacciones_denominaciones_tx (transaccion_id),
+  FOREIGN KEY (transaccion_id) REFERENCES transacciones(id),
+  FOREIGN KEY (denominacion_id) REFERENCES divisas_denominaciones(id)
+);
@@ -0,0 +1,43 @@
+-- Medios de pago por transacción, saldos por medio y arqueo al cierre
+
+CREATE TABLE transacciones_pagos (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  transaccion_id INT NOT NULL,
+  direccion ENUM('RECIBIDO', 'ENTREGADO') NOT NULL,
+  divisa_id INT NOT NULL,
+  monto DECIMAL(15, 2) NOT NULL,
+  medio_pago VARCHAR(20) NOT NULL DEFAULT 'EFECTIVO',
+  referencia VARCHAR(100) NULL,
+  INDEX idx_transacciones_pagos_tx (transaccion_id),
+  FOREIGN KEY (transaccion_id) REFERENCES transacciones(id),
+  FOREIGN KEY (divisa_id) REFERENCES divisas(id)
+);
+
+-- El efectivo sigue en caja_saldos; aquí van transferencias, billeteras y tarjetas
+CREATE TABLE caja_saldos_medios (
+  caja_id INT NOT NULL,
+  divisa_id INT NOT NULL,
+  medio_pago VARCHAR(20) NOT NULL,
+  saldo_actual DECIMAL(15, 2) NOT NULL DEFAULT 0,
+  PRIMARY KEY (caja_id, divisa_id, medio_pago),
+  FOREIGN KEY (caja_id) REFERENCES caja(id),
+  FOREIGN KEY (divisa_id) REFERENCES divisas(id)
+);
+
+ALTER TABLE movimientos_caja
+  ADD COLUMN medio_pago VARCHAR(20) NOT NULL DEFAULT 'EFECTIVO' AFTER monto;
+
+CREATE TABLE caja_arqueos (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  caja_id INT NOT NULL,
+  medio_pago VARCHAR(20) NOT NULL,
+  divisa_id INT NOT NULL,
+  saldo_sistema DECIMAL(15, 2) NOT NULL,
+  saldo_contado DECIMAL(15, 2) NULL,
+  diferencia DECIMAL(15, 2) NULL,
+  usuario_id INT NOT NULL,
+  fecha DATETIME NOT NULL,
+  INDEX idx_caja_arqueos_caja (caja_id),
+  FOREIGN KEY (caja_id) REFERENCES caja(id),
+  FOREIGN KEY (divisa_id) REFERENCES divisas(id)
+);
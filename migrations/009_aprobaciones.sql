@@ -0,0 +1,20 @@
+-- Reglas que envían una transacción a aprobación de un Admin (estado PENDIENTE)
+
+CREATE TABLE reglas_aprobacion (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL,
+  -- MONTO_SOLES: total_soles mayor al umbral; DESVIO_TASA: desvío porcentual de la tasa mayor al umbral
+  tipo ENUM('MONTO_SOLES', 'DESVIO_TASA') NOT NULL,
+  divisa_id INT NULL,
+  umbral DECIMAL(15, 4) NOT NULL,
+  activo BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at DATETIME NOT NULL,
+  updated_at DATETIME NULL,
+  FOREIGN KEY (divisa_id) REFERENCES divisas(id)
+);
+
+ALTER TABLE transacciones
+  ADD COLUMN motivo_aprobacion VARCHAR(255) NULL AFTER fecha_anulacion,
+  ADD COLUMN revisada_por INT NULL AFTER motivo_aprobacion,
+  ADD COLUMN fecha_revision DATETIME NULL AFTER revisada_por,
+  ADD COLUMN motivo_rechazo VARCHAR(255) NULL AFTER fecha_revision;
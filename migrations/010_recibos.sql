@@ -0,0 +1,14 @@
+-- Numeración correlativa de comprobantes y control de reimpresiones
+
+CREATE TABLE series_comprobante (
+  serie VARCHAR(10) PRIMARY KEY,
+  ultimo_numero INT NOT NULL DEFAULT 0
+);
+
+INSERT INTO series_comprobante (serie, ultimo_numero) VALUES ('R001', 0);
+
+ALTER TABLE transacciones
+  ADD COLUMN serie VARCHAR(10) NULL AFTER id,
+  ADD COLUMN numero_recibo INT NULL AFTER serie,
+  ADD COLUMN impresiones INT NOT NULL DEFAULT 0,
+  ADD UNIQUE INDEX uq_transacciones_recibo (serie, numero_recibo);
@@ -0,0 +1,23 @@
+-- Registro de Operaciones (UIF): operaciones únicas o múltiples que alcanzan el umbral en USD
+
+ALTER TABLE transacciones
+  ADD COLUMN monto_usd DECIMAL(15, 2) NULL AFTER total_soles;
+
+CREATE TABLE registro_operaciones (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  transaccion_id INT NOT NULL,
+  cliente_id INT NULL,
+  tipo_registro ENUM('UNICA', 'MULTIPLE') NOT NULL,
+  monto_usd DECIMAL(15, 2) NOT NULL,
+  tasa_usd DECIMAL(10, 4) NOT NULL,
+  estado ENUM('PENDIENTE', 'REVISADO', 'PRESENTADO') NOT NULL DEFAULT 'PENDIENTE',
+  revisado_por INT NULL,
+  fecha_revision DATETIME NULL,
+  presentado_por INT NULL,
+  fecha_presentacion DATETIME NULL,
+  created_at DATETIME NOT NULL,
+  UNIQUE KEY uq_registro_operaciones_tx (transaccion_id),
+  INDEX idx_registro_operaciones_estado (estado),
+  FOREIGN KEY (transaccion_id) REFERENCES transacciones(id),
+  FOREIGN KEY (cliente_id) REFERENCES clientes(id)
+);
@@ -0,0 +1,41 @@
+-- Detección de fraccionamiento (estructuración) de operaciones por cliente
+
+CREATE TABLE reglas_estructuracion (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL,
+  -- MONTO_ACUMULADO: suma de la ventana >= umbral; FRACCIONAMIENTO: operaciones justo por debajo del umbral
+  tipo ENUM('MONTO_ACUMULADO', 'FRACCIONAMIENTO') NOT NULL,
+  ventana ENUM('DIA', '7_DIAS', 'MES') NOT NULL,
+  umbral_soles DECIMAL(15, 2) NOT NULL,
+  min_operaciones INT NOT NULL DEFAULT 2,
+  -- FRACCIONAMIENTO: qué tan cerca del umbral (en %) debe quedar cada operación
+  cercania_pct DECIMAL(5, 2) NULL,
+  bloquea BOOLEAN NOT NULL DEFAULT TRUE,
+  activo BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at DATETIME NOT NULL,
+  updated_at DATETIME NULL
+);
+
+INSERT INTO reglas_estructuracion (nombre, tipo, ventana, umbral_soles, min_operaciones, cercania_pct, bloquea, activo, created_at) VALUES
+  ('Acumulado del día', 'MONTO_ACUMULADO', 'DIA', 10000, 2, NULL, TRUE, TRUE, NOW()),
+  ('Fraccionamiento en 7 días', 'FRACCIONAMIENTO', '7_DIAS', 10000, 3, 20, TRUE, TRUE, NOW()),
+  ('Acumulado del mes', 'MONTO_ACUMULADO', 'MES', 50000, 2, NULL, FALSE, TRUE, NOW());
+
+CREATE TABLE alertas (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  cliente_id INT NOT NULL,
+  regla_id INT NULL,
+  transaccion_id INT NOT NULL,
+  descripcion VARCHAR(255) NOT NULL,
+  evidencia JSON NOT NULL,
+  bloquea BOOLEAN NOT NULL DEFAULT TRUE,
+  estado ENUM('ABIERTA', 'LIBERADA') NOT NULL DEFAULT 'ABIERTA',
+  liberada_por INT NULL,
+  fecha_liberacion DATETIME NULL,
+  comentario VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL,
+  INDEX idx_alertas_cliente_estado (cliente_id, estado),
+  FOREIGN KEY (cliente_id) REFERENCES clientes(id),
+  FOREIGN KEY (regla_id) REFERENCES reglas_estructuracion(id) ON DELETE SET NULL,
+  FOREIGN KEY (transaccion_id) REFERENCES transacciones(id)
+);
@@ -0,0 +1,48 @@
+-- Listas de control (sanciones, PEP) y casos de revisión por coincidencias
+
+CREATE TABLE listas_control (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL,
+  tipo ENUM('SANCIONES', 'PEP', 'OTRA') NOT NULL,
+  total_registros INT NOT NULL DEFAULT 0,
+  activa BOOLEAN NOT NULL DEFAULT TRUE,
+  cargada_por INT NOT NULL,
+  created_at DATETIME NOT NULL
+);
+
+CREATE TABLE listas_control_entradas (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  lista_id INT NOT NULL,
+  nombre VARCHAR(200) NOT NULL,
+  -- Mayúsculas, sin tildes ni signos y con las palabras ordenadas
+  nombre_normalizado VARCHAR(200) NOT NULL,
+  documento VARCHAR(30) NULL,
+  documento_normalizado VARCHAR(30) NULL,
+  pais VARCHAR(60) NULL,
+  observaciones VARCHAR(255) NULL,
+  INDEX idx_listas_entradas_documento (documento_normalizado),
+  FOREIGN KEY (lista_id) REFERENCES listas_control(id) ON DELETE CASCADE
+);
+
+CREATE TABLE casos_revision (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  cliente_id INT NULL,
+  entrada_id INT NOT NULL,
+  origen ENUM('CLIENTE_ALTA', 'CLIENTE_EDICION', 'TRANSACCION') NOT NULL,
+  tipo_coincidencia ENUM('DOCUMENTO', 'NOMBRE') NOT NULL,
+  puntaje DECIMAL(5, 4) NOT NULL,
+  -- Datos consultados: identifican al sujeto aunque todavía no exista como cliente
+  nombre_consultado VARCHAR(200) NOT NULL,
+  nombre_consultado_normalizado VARCHAR(200) NOT NULL,
+  documento_consultado VARCHAR(30) NULL,
+  estado ENUM('ABIERTO', 'DESCARTADO', 'CONFIRMADO') NOT NULL DEFAULT 'ABIERTO',
+  usuario_id INT NOT NULL,
+  resuelto_por INT NULL,
+  fecha_resolucion DATETIME NULL,
+  comentario VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL,
+  INDEX idx_casos_revision_sujeto (nombre_consultado_normalizado, documento_consultado),
+  INDEX idx_casos_revision_estado (estado),
+  FOREIGN KEY (cliente_id) REFERENCES clientes(id),
+  FOREIGN KEY (entrada_id) REFERENCES listas_control_entradas(id)
+);
@@ -0,0 +1,14 @@
+-- Perfil KYC del cliente: tipo de documento, datos personales, condición PEP y datos para operaciones grandes
+-- (la columna dni guarda el número del documento, sea cual sea su tipo)
+
+ALTER TABLE clientes
+  ADD COLUMN tipo_documento ENUM('DNI', 'CE', 'PASAPORTE', 'RUC') NOT NULL DEFAULT 'DNI' AFTER nombre,
+  ADD COLUMN nacionalidad VARCHAR(60) NULL AFTER email,
+  ADD COLUMN fecha_nacimiento DATE NULL AFTER nacionalidad,
+  ADD COLUMN direccion VARCHAR(255) NULL AFTER fecha_nacimiento,
+  ADD COLUMN ocupacion VARCHAR(100) NULL AFTER direccion,
+  ADD COLUMN es_pep BOOLEAN NOT NULL DEFAULT FALSE AFTER ocupacion,
+  ADD COLUMN pep_cargo VARCHAR(150) NULL AFTER es_pep,
+  ADD COLUMN origen_fondos VARCHAR(255) NULL AFTER pep_cargo,
+  ADD COLUMN centro_laboral VARCHAR(150) NULL AFTER origen_fondos,
+  ADD COLUMN ingreso_mensual DECIMAL(15, 2) NULL AFTER centro_laboral;
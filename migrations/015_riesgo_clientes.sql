@@ -0,0 +1,42 @@
+-- Nivel de riesgo del cliente calculado a partir de factores configurables
+
+ALTER TABLE clientes
+  ADD COLUMN nivel_riesgo ENUM('BAJO', 'MEDIO', 'ALTO') NOT NULL DEFAULT 'BAJO',
+  ADD COLUMN puntaje_riesgo INT NOT NULL DEFAULT 0,
+  ADD COLUMN riesgo_actualizado_at DATETIME NULL,
+  ADD INDEX idx_clientes_nivel_riesgo (nivel_riesgo);
+
+-- NACIONALIDAD/OCUPACION: valor es el texto a comparar; PEP: sin valor;
+-- FRECUENCIA (operaciones), MONTO (soles) y EFECTIVO (% de operaciones): valor es el mínimo para sumar los puntos
+CREATE TABLE factores_riesgo (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  factor ENUM('NACIONALIDAD', 'PEP', 'OCUPACION', 'FRECUENCIA', 'MONTO', 'EFECTIVO') NOT NULL,
+  valor VARCHAR(100) NULL,
+  puntos INT NOT NULL,
+  activo BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at DATETIME NOT NULL,
+  updated_at DATETIME NULL
+);
+
+INSERT INTO factores_riesgo (factor, valor, puntos, activo, created_at) VALUES
+  ('PEP', NULL, 40, TRUE, NOW()),
+  ('FRECUENCIA', '10', 20, TRUE, NOW()),
+  ('MONTO', '50000', 25, TRUE, NOW()),
+  ('EFECTIVO', '80', 15, TRUE, NOW());
+
+CREATE TABLE historial_riesgo (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  cliente_id INT NOT NULL,
+  nivel_anterior ENUM('BAJO', 'MEDIO', 'ALTO') NOT NULL,
+  nivel_nuevo ENUM('BAJO', 'MEDIO', 'ALTO') NOT NULL,
+  puntaje_anterior INT NOT NULL,
+  puntaje_nuevo INT NOT NULL,
+  detalle JSON NOT NULL,
+  transaccion_id INT NULL,
+  created_at DATETIME NOT NULL,
+  INDEX idx_historial_riesgo_cliente (cliente_id, created_at),
+  FOREIGN KEY (cliente_id) REFERENCES clientes(id)
+);
+
+ALTER TABLE transacciones
+  ADD COLUMN debida_diligencia VARCHAR(255) NULL;
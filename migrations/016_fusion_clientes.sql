@@ -0,0 +1,20 @@
+-- Fusión de clientes duplicados con registro para poder deshacerla
+
+CREATE TABLE fusiones_clientes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  cliente_principal_id INT NOT NULL,
+  cliente_duplicado_id INT NOT NULL,
+  -- Valores del principal antes de completarlo con los datos del duplicado
+  campos_anteriores JSON NOT NULL,
+  -- Ids por tabla de las filas que pasaron al principal: transacciones, registro_operaciones,
+  -- alertas, historial_riesgo, casos_revision, tasas_preferenciales y cotizaciones
+  registros_movidos JSON NOT NULL,
+  motivo VARCHAR(255) NULL,
+  estado ENUM('APLICADA', 'REVERTIDA') NOT NULL DEFAULT 'APLICADA',
+  fusionado_por INT NOT NULL,
+  revertido_por INT NULL,
+  fecha_reversion DATETIME NULL,
+  created_at DATETIME NOT NULL,
+  INDEX idx_fusiones_principal (cliente_principal_id),
+  INDEX idx_fusiones_duplicado (cliente_duplicado_id)
+);
@@ -0,0 +1,7 @@
+-- Índices para el listado paginado de clientes (orden por creación y por última operación)
+
+ALTER TABLE clientes
+  ADD INDEX idx_clientes_created_at (created_at);
+
+ALTER TABLE transacciones
+  ADD INDEX idx_transacciones_cliente_fecha (cliente_id, fecha);
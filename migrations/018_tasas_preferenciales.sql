@@ -0,0 +1,31 @@
+-- Tarifario preferencial por cliente: mejora fija del spread o tasa especial por divisa,
+-- con vigencia y tope de monto por operación opcionales
+
+CREATE TABLE tasas_preferenciales (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  cliente_id INT NOT NULL,
+  divisa_id INT NOT NULL,
+  tipo ENUM('MEJORA_SPREAD', 'TASA_ESPECIAL') NOT NULL,
+  -- MEJORA_SPREAD: soles por unidad que se suman a la compra y se restan a la venta
+  mejora DECIMAL(10, 4) NULL,
+  -- TASA_ESPECIAL: el lado que quede nulo usa la tasa estándar
+  tasa_compra DECIMAL(10, 4) NULL,
+  tasa_venta DECIMAL(10, 4) NULL,
+  vigente_desde DATE NULL,
+  vigente_hasta DATE NULL,
+  -- Monto máximo de la divisa por operación; por encima se usa la tasa estándar
+  monto_maximo DECIMAL(15, 2) NULL,
+  activo BOOLEAN NOT NULL DEFAULT TRUE,
+  creado_por INT NOT NULL,
+  created_at DATETIME NOT NULL,
+  updated_at DATETIME NULL,
+  INDEX idx_tasas_preferenciales_cliente (cliente_id, divisa_id),
+  FOREIGN KEY (cliente_id) REFERENCES clientes(id),
+  FOREIGN KEY (divisa_id) REFERENCES divisas(id)
+);
+
+ALTER TABLE transacciones
+  ADD COLUMN tasa_preferencial_id INT NULL;
+
+ALTER TABLE cotizaciones
+  ADD COLUMN cliente_id INT NULL AFTER usuario_id;
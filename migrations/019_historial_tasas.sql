@@ -0,0 +1,27 @@
+-- Historial de tasas: cada cambio de una divisa crea una versión con quién y cuándo lo hizo.
+-- La versión vigente en un momento es la última creada hasta ese momento.
+
+CREATE TABLE historial_tasas (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  divisa_id INT NOT NULL,
+  tasa_compra DECIMAL(10, 4) NOT NULL,
+  tasa_venta DECIMAL(10, 4) NOT NULL,
+  costo_base_moneda DECIMAL(10, 4) NULL,
+  tasa_compra_anterior DECIMAL(10, 4) NULL,
+  tasa_venta_anterior DECIMAL(10, 4) NULL,
+  costo_base_anterior DECIMAL(10, 4) NULL,
+  origen VARCHAR(30) NOT NULL DEFAULT 'MANUAL',
+  usuario_id INT NULL,
+  created_at DATETIME NOT NULL,
+  INDEX idx_historial_tasas_divisa_fecha (divisa_id, created_at)
+);
+
+-- Versión inicial con las tasas actuales
+INSERT INTO historial_tasas (divisa_id, tasa_compra, tasa_venta, costo_base_moneda, origen, created_at)
+SELECT d.id, d.tasa_compra, d.tasa_venta, dc.costo_base_moneda, 'INICIAL', NOW()
+FROM divisas d LEFT JOIN divisas_costos dc ON d.id = dc.divisa_id;
+
+-- Versión de tasas contra la que se validó cada operación (en canjes, también la de la divisa destino)
+ALTER TABLE transacciones
+  ADD COLUMN historial_tasa_id INT NULL,
+  ADD COLUMN historial_tasa_destino_id INT NULL;
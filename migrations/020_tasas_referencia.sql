@@ -0,0 +1,20 @@
+-- Tasas de referencia obtenidas de proveedores externos (SBS, BCRP, feeds JSON/CSV) o cargadas a mano
+
+CREATE TABLE tasas_referencia (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  divisa_id INT NOT NULL,
+  fuente VARCHAR(20) NOT NULL,
+  compra DECIMAL(10, 4) NOT NULL,
+  venta DECIMAL(10, 4) NOT NULL,
+  -- Fecha o periodo que informa el proveedor, tal como lo publica
+  fecha_fuente VARCHAR(30) NULL,
+  -- Solo en la carga manual
+  usuario_id INT NULL,
+  obtenida_at DATETIME NOT NULL,
+  INDEX idx_tasas_referencia_divisa (divisa_id, fuente, obtenida_at),
+  FOREIGN KEY (divisa_id) REFERENCES divisas(id)
+);
+
+-- Proveedor autorizado de cada divisa; si no tiene datos se usa la última carga manual
+ALTER TABLE divisas
+  ADD COLUMN fuente_referencia VARCHAR(20) NOT NULL DEFAULT 'SBS';
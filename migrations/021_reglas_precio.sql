@@ -0,0 +1,43 @@
+-- Reglas de precio por divisa: compra y venta calculadas desde la tasa de referencia
+
+CREATE TABLE reglas_precio (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  divisa_id INT NOT NULL UNIQUE,
+  -- NULL: la fuente autorizada de la divisa (divisas.fuente_referencia)
+  fuente VARCHAR(20) NULL,
+  tipo_margen ENUM('ABSOLUTO', 'PORCENTAJE') NOT NULL DEFAULT 'ABSOLUTO',
+  margen_compra DECIMAL(10, 4) NOT NULL DEFAULT 0,
+  margen_venta DECIMAL(10, 4) NOT NULL DEFAULT 0,
+  decimales TINYINT NOT NULL DEFAULT 3,
+  -- FAVORABLE: compra hacia abajo y venta hacia arriba; CERCANO: al más próximo
+  redondeo ENUM('FAVORABLE', 'CERCANO') NOT NULL DEFAULT 'FAVORABLE',
+  spread_minimo DECIMAL(10, 4) NOT NULL DEFAULT 0,
+  -- Minutos que queda bloqueada la tasa tras un cambio manual
+  bloqueo_minutos INT NOT NULL DEFAULT 60,
+  activo BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at DATETIME NOT NULL,
+  updated_at DATETIME NULL,
+  FOREIGN KEY (divisa_id) REFERENCES divisas(id)
+);
+
+-- Cambio manual vigente: hasta esta fecha la regla no pisa las tasas
+ALTER TABLE divisas
+  ADD COLUMN bloqueo_manual_hasta DATETIME NULL;
+
+CREATE TABLE log_repreciacion (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  divisa_id INT NOT NULL,
+  resultado ENUM('APLICADA', 'OMITIDA') NOT NULL,
+  motivo VARCHAR(255) NULL,
+  tasa_compra_anterior DECIMAL(10, 4) NULL,
+  tasa_venta_anterior DECIMAL(10, 4) NULL,
+  tasa_compra DECIMAL(10, 4) NOT NULL,
+  tasa_venta DECIMAL(10, 4) NOT NULL,
+  ajustada_por_costo BOOLEAN NOT NULL DEFAULT FALSE,
+  -- Referencia, regla y costo de inventario usados en el cálculo
+  detalle JSON NOT NULL,
+  -- Solo cuando un Admin fuerza la repreciación
+  usuario_id INT NULL,
+  created_at DATETIME NOT NULL,
+  INDEX idx_log_repreciacion_divisa (divisa_id, created_at)
+);
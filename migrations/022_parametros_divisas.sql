@@ -0,0 +1,13 @@
+-- Parámetros por divisa para monedas que no cotizan como el dólar (CLP, COP, ARS, JPY, GBP, CHF)
+
+-- unidad_cotizacion: cantidad de divisa a la que se refieren sus tasas, costos y tramos (ej. 100 JPY)
+-- decimales: decimales que admiten sus montos (0 para CLP o JPY)
+-- tasa_minima/tasa_maxima: rango aceptado para sus tasas; NULL = sin límite
+ALTER TABLE divisas
+  ADD COLUMN unidad_cotizacion INT NOT NULL DEFAULT 1,
+  ADD COLUMN decimales TINYINT NOT NULL DEFAULT 2,
+  ADD COLUMN tasa_minima DECIMAL(10, 4) NULL,
+  ADD COLUMN tasa_maxima DECIMAL(10, 4) NULL;
+
+-- Las divisas existentes conservan el rango que hasta ahora estaba fijo en la validación
+UPDATE divisas SET tasa_minima = 1, tasa_maxima = 10 WHERE codigo <> 'PEN';
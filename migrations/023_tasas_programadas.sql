@@ -0,0 +1,23 @@
+-- Cambios de tasa programados: se guardan pendientes y entran en vigencia a la hora indicada
+
+CREATE TABLE tasas_programadas (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  divisa_id INT NOT NULL,
+  tasa_compra DECIMAL(10, 4) NOT NULL,
+  tasa_venta DECIMAL(10, 4) NOT NULL,
+  -- NULL = el costo base no cambia
+  costo_base_moneda DECIMAL(10, 4) NULL,
+  vigente_desde DATETIME NOT NULL,
+  estado ENUM('PENDIENTE', 'APLICADA', 'CANCELADA') NOT NULL DEFAULT 'PENDIENTE',
+  -- Versión del historial creada al aplicarse
+  historial_tasa_id INT NULL,
+  aplicada_at DATETIME NULL,
+  creado_por INT NOT NULL,
+  cancelado_por INT NULL,
+  fecha_cancelacion DATETIME NULL,
+  created_at DATETIME NOT NULL,
+  INDEX idx_tasas_programadas_pendientes (estado, vigente_desde),
+  INDEX idx_tasas_programadas_divisa (divisa_id, estado),
+  FOREIGN KEY (divisa_id) REFERENCES divisas(id),
+  FOREIGN KEY (historial_tasa_id) REFERENCES historial_tasas(id)
+);
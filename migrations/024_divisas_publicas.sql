@@ -0,0 +1,4 @@
+-- Divisas que se muestran en la pizarra pública (GET /api/tasas/publicas y sala "tasas" de Socket.IO)
+
+ALTER TABLE divisas
+  ADD COLUMN publica BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,27 @@
+-- Palabras de los nombres de las listas de control, para preseleccionar en SQL las entradas a
+-- comparar en el screening: una entrada es candidata si comparte con el nombre consultado el
+-- inicio (3 letras) o el final (3 letras) de alguna palabra. Un error de tipeo no cambia ambos.
+
+CREATE TABLE listas_control_palabras (
+  entrada_id INT NOT NULL,
+  prefijo VARCHAR(3) NOT NULL,
+  sufijo VARCHAR(3) NOT NULL,
+  PRIMARY KEY (entrada_id, prefijo, sufijo),
+  INDEX idx_listas_palabras_prefijo (prefijo),
+  INDEX idx_listas_palabras_sufijo (sufijo),
+  FOREIGN KEY (entrada_id) REFERENCES listas_control_entradas(id) ON DELETE CASCADE
+);
+
+-- Entradas ya cargadas (hasta 20 palabras por nombre; se ignoran las de una o dos letras)
+INSERT IGNORE INTO listas_control_palabras (entrada_id, prefijo, sufijo)
+SELECT p.entrada_id, LEFT(p.palabra, 3), RIGHT(p.palabra, 3)
+FROM (
+  SELECT e.id AS entrada_id, SUBSTRING_INDEX(SUBSTRING_INDEX(e.nombre_normalizado, ' ', n.n), ' ', -1) AS palabra
+  FROM listas_control_entradas e
+  JOIN (SELECT 1 AS n UNION ALL SELECT 2 UNION ALL SELECT 3 UNION ALL SELECT 4 UNION ALL SELECT 5
+        UNION ALL SELECT 6 UNION ALL SELECT 7 UNION ALL SELECT 8 UNION ALL SELECT 9 UNION ALL SELECT 10
+        UNION ALL SELECT 11 UNION ALL SELECT 12 UNION ALL SELECT 13 UNION ALL SELECT 14 UNION ALL SELECT 15
+        UNION ALL SELECT 16 UNION ALL SELECT 17 UNION ALL SELECT 18 UNION ALL SELECT 19 UNION ALL SELECT 20) n
+    ON n.n <= 1 + CHAR_LENGTH(e.nombre_normalizado) - CHAR_LENGTH(REPLACE(e.nombre_normalizado, ' ', ''))
+) p
+WHERE CHAR_LENGTH(p.palabra) > 2;
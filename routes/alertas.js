@@ -0,0 +1,223 @@
+// alertas.js - Alertas de estructuración de operaciones y sus reglas
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const auth = require('../middlewares/auth');
+const Joi = require('joi');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  ]
+});
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({ format: winston.format.simple() }));
+}
+
+// Middleware de autorización por rol
+function authorize(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.rol)) {
+      logger.warn(`Acceso denegado para usuario ${req.user?.id || 'desconocido'} con rol ${req.user?.rol || 'ninguno'}`, {
+        rolesPermitidos: roles
+      });
+      return res.status(403).json({ success: false, msg: 'Acceso denegado' });
+    }
+    next();
+  };
+}
+
+const alertasQuerySchema = Joi.object({
+  estado: Joi.string().uppercase().valid('ABIERTA', 'LIBERADA').optional(),
+  cliente_id: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const liberacionSchema = Joi.object({
+  comentario: Joi.string().trim().min(5).max(255).required()
+});
+
+const reglaSchema = Joi.object({
+  nombre: Joi.string().trim().max(100).required(),
+  tipo: Joi.string().valid('MONTO_ACUMULADO', 'FRACCIONAMIENTO').required(),
+  ventana: Joi.string().valid('DIA', '7_DIAS', 'MES').required(),
+  umbral_soles: Joi.number().positive().precision(2).required(),
+  min_operaciones: Joi.number().integer().min(2).default(2),
+  cercania_pct: Joi.number().positive().max(100).precision(2)
+    .when('tipo', { is: 'FRACCIONAMIENTO', then: Joi.required(), otherwise: Joi.valid(null).default(null) }),
+  bloquea: Joi.boolean().default(true),
+  activo: Joi.boolean().default(true)
+});
+
+function formatearRegla(r) {
+  return {
+    ...r,
+    umbral_soles: Number(r.umbral_soles),
+    cercania_pct: r.cercania_pct !== null ? Number(r.cercania_pct) : null,
+    bloquea: !!r.bloquea,
+    activo: !!r.activo
+  };
+}
+
+// GET /api/alertas/reglas - Reglas de detección configuradas
+router.get('/reglas', auth, authorize('Admin', 'Auditor'), async (req, res) => {
+  try {
+    const [reglas] = await pool.query('SELECT * FROM reglas_estructuracion ORDER BY id');
+    res.json({ success: true, data: reglas.map(formatearRegla) });
+  } catch (err) {
+    logger.error(`Error obteniendo reglas de estructuración: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+// POST /api/alertas/reglas - Crear regla de detección
+router.post('/reglas', auth, authorize('Admin'), async (req, res) => {
+  const { error, value } = reglaSchema.validate(req.body, { convert: true });
+  if (error) {
+    return res.status(400).json({ success: false, msg: error.details.map(d => d.message).join(', ') });
+  }
+  try {
+    const { nombre, tipo, ventana, umbral_soles, min_operaciones, cercania_pct, bloquea, activo } = value;
+    const [result] = await pool.query(
+      'INSERT INTO reglas_estructuracion (nombre, tipo, ventana, umbral_soles, min_operaciones, cercania_pct, bloquea, activo, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())',
+      [nombre, tipo, ventana, umbral_soles, min_operaciones, cercania_pct, bloquea, activo]
+    );
+    logger.info(`Regla de estructuración creada: ${nombre}`, { user: req.user.id, id: result.insertId });
+    res.status(201).json({ success: true, data: { id: result.insertId, ...value } });
+  } catch (err) {
+    logger.error(`Error creando regla de estructuración: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+// PUT /api/alertas/reglas/:reglaId - Actualizar regla de detección
+router.put('/reglas/:reglaId', auth, authorize('Admin'), async (req, res) => {
+  const { reglaId } = req.params;
+  const { error, value } = reglaSchema.validate(req.body, { convert: true });
+  if (error) {
+    return res.status(400).json({ success: false, msg: error.details.map(d => d.message).join(', ') });
+  }
+  try {
+    const { nombre, tipo, ventana, umbral_soles, min_operaciones, cercania_pct, bloquea, activo } = value;
+    const [result] = await pool.query(
+      'UPDATE reglas_estructuracion SET nombre = ?, tipo = ?, ventana = ?, umbral_soles = ?, min_operaciones = ?, cercania_pct = ?, bloquea = ?, activo = ?, updated_at = NOW() WHERE id = ?',
+      [nombre, tipo, ventana, umbral_soles, min_operaciones, cercania_pct, bloquea, activo, reglaId]
+    );
+    if (!result.affectedRows) {
+      return res.status(404).json({ success: false, msg: 'Regla no encontrada' });
+    }
+    logger.info(`Regla de estructuración ${reglaId} actualizada`, { user: req.user.id });
+    res.json({ success: true, data: { id: Number(reglaId), ...value } });
+  } catch (err) {
+    logger.error(`Error actualizando regla de estructuración ${reglaId}: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+// DELETE /api/alertas/reglas/:reglaId - Eliminar regla (las alertas que generó se conservan)
+router.delete('/reglas/:reglaId', auth, authorize('Admin'), async (req, res) => {
+  const { reglaId } = req.params;
+  try {
+    const [result] = await pool.query('DELETE FROM reglas_estructuracion WHERE id = ?', [reglaId]);
+    if (!result.affectedRows) {
+      return res.status(404).json({ success: false, msg: 'Regla no encontrada' });
+    }
+    logger.info(`Regla de estructuración ${reglaId} eliminada`, { user: req.user.id });
+    res.json({ success: true, msg: 'Regla eliminada' });
+  } catch (err) {
+    logger.error(`Error eliminando regla de estructuración ${reglaId}: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+// GET /api/alertas - Alertas de estructuración
+router.get('/', auth, authorize('Admin', 'Auditor'), async (req, res) => {
+  const { error, value } = alertasQuerySchema.validate(req.query, { convert: true });
+  if (error) {
+    return res.status(400).json({ success: false, msg: error.details.map(d => d.message).join(', ') });
+  }
+  const { estado, cliente_id, limit, offset } = value;
+  try {
+    const condiciones = [];
+    const params = [];
+    if (estado) {
+      condiciones.push('a.estado = ?');
+      params.push(estado);
+    }
+    if (cliente_id) {
+      condiciones.push('a.cliente_id = ?');
+      params.push(cliente_id);
+    }
+    const where = condiciones.length ? `WHERE ${condiciones.join(' AND ')}` : '';
+    const [alertas] = await pool.query(
+      `SELECT a.id, a.cliente_id, c.nombre AS cliente_nombre, c.dni AS cliente_dni, a.regla_id, a.transaccion_id,
+              a.descripcion, a.bloquea, a.estado, a.liberada_por, a.fecha_liberacion, a.comentario, a.created_at
+       FROM alertas a JOIN clientes c ON a.cliente_id = c.id
+       ${where}
+       ORDER BY a.created_at DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const [total] = await pool.query(`SELECT COUNT(*) AS total FROM alertas a ${where}`, params);
+    res.json({ success: true, data: alertas.map(a => ({ ...a, bloquea: !!a.bloquea })), total: total[0].total });
+  } catch (err) {
+    logger.error(`Error obteniendo alertas: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+// GET /api/alertas/:id - Detalle de una alerta con su evidencia
+router.get('/:id', auth, authorize('Admin', 'Auditor'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [alerta] = await pool.query(
+      `SELECT a.*, c.nombre AS cliente_nombre, c.dni AS cliente_dni
+       FROM alertas a JOIN clientes c ON a.cliente_id = c.id
+       WHERE a.id = ?`,
+      [id]
+    );
+    if (!alerta.length) {
+      return res.status(404).json({ success: false, msg: 'Alerta no encontrada' });
+    }
+    const a = alerta[0];
+    const evidencia = typeof a.evidencia === 'string' ? JSON.parse(a.evidencia) : a.evidencia;
+    res.json({ success: true, data: { ...a, evidencia, bloquea: !!a.bloquea } });
+  } catch (err) {
+    logger.error(`Error obteniendo alerta ${id}: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+// POST /api/alertas/:id/liberar - Un Admin revisa la alerta y el cliente vuelve a poder operar
+router.post('/:id/liberar', auth, authorize('Admin'), async (req, res) => {
+  const { id } = req.params;
+  const { error, value } = liberacionSchema.validate(req.body, { convert: true });
+  if (error) {
+    return res.status(400).json({ success: false, msg: error.details.map(d => d.message).join(', ') });
+  }
+  try {
+    const [result] = await pool.query(
+      `UPDATE alertas SET estado = 'LIBERADA', liberada_por = ?, fecha_liberacion = NOW(), comentario = ?
+       WHERE id = ? AND estado = 'ABIERTA'`,
+      [req.user.id, value.comentario, id]
+    );
+    if (!result.affectedRows) {
+      return res.status(400).json({ success: false, msg: 'La alerta no existe o ya fue liberada' });
+    }
+    logger.info(`Alerta ${id} liberada`, { user: req.user.id, comentario: value.comentario });
+    res.json({ success: true, data: { id: Number(id), estado: 'LIBERADA' } });
+  } catch (err) {
+    logger.error(`Error liberando alerta ${id}: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+module.exports = router;
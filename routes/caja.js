@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const auth = require('../middlewares/auth');
+const idempotency = require('../middlewares/idempotency');
+const { desgloseSchema, resolverDesglose, moverDenominaciones } = require('../services/denominaciones');
+const { MEDIOS_PAGO } = require('../services/mediosPago');
+const { parametrosDivisas, validarMonto, formatearMonto } = require('../services/precisionDivisas');
 const PDFDocument = require('pdfkit');
 const Joi = require('joi');
 const winston = require('winston');
@@ -22,22 +26,90 @@ if (process.env.NODE_ENV !== 'production') {
   logger.add(new winston.transports.Console({ format: winston.format.simple() }));
 }
 
+// Las monedas se indican por su código; que exista en divisas y que el monto respete
+// sus decimales se comprueba contra la tabla (validarMontosCaja)
+const codigoMoneda = Joi.string().length(3).uppercase();
+
 // Esquemas de validación con Joi
 const aperturaSchema = Joi.object({
+  // Las divisas que no se envían abren con saldo 0
   saldos: Joi.object()
-    .pattern(Joi.string().valid('PEN', 'USD', 'EUR'), Joi.number().min(0))
+    .pattern(codigoMoneda, Joi.number().min(0))
     .optional()
-    .default({ PEN: 0, USD: 0, EUR: 0 }),
+    .default({}),
+  // Conteo inicial de billetes por moneda; cada desglose debe sumar el saldo de esa moneda
+  denominaciones: Joi.object()
+    .pattern(codigoMoneda, desgloseSchema)
+    .optional(),
   descripcion_ajuste: Joi.string().max(255).optional()
 });
 
 const ajusteSchema = Joi.object({
-  moneda: Joi.string().valid('PEN', 'USD', 'EUR').required(),
+  moneda: codigoMoneda.required(),
   tipo: Joi.string().valid('INGRESO', 'EGRESO').required(),
   monto: Joi.number().positive().required(),
   descripcion: Joi.string().max(255).required()
 });
 
+// Arqueo al cierre: montos contados por medio de pago y moneda, ej. { EFECTIVO: { PEN: 1500 }, YAPE: { PEN: 320 } }
+const cierreSchema = Joi.object({
+  arqueo: Joi.object()
+    .pattern(
+      Joi.string().valid(...MEDIOS_PAGO),
+      Joi.object().pattern(codigoMoneda, Joi.number().min(0))
+    )
+    .optional()
+});
+
+// Divisas por código y primer error de los montos { CODIGO: monto } (moneda inexistente o con decimales de más)
+async function validarMontosCaja(connection, montos) {
+  const divisas = (await parametrosDivisas(connection)).reduce((acc, d) => {
+    acc[d.codigo.toUpperCase()] = d;
+    return acc;
+  }, {});
+  for (const [codigo, monto] of Object.entries(montos)) {
+    const divisa = divisas[codigo];
+    if (!divisa) return { divisas, error: `Moneda ${codigo} no encontrada` };
+    const error = validarMonto(divisa, monto);
+    if (error) return { divisas, error };
+  }
+  return { divisas, error: null };
+}
+
+// Saldos por medio de pago distintos del efectivo: { YAPE: { pen: '320.00' }, ... }
+async function getSaldosMedios(cajaId) {
+  const [rows] = await pool.query(
+    `SELECT csm.medio_pago, d.codigo, d.decimales, csm.saldo_actual 
+     FROM caja_saldos_medios csm 
+     JOIN divisas d ON csm.divisa_id = d.id 
+     WHERE csm.caja_id = ?`,
+    [cajaId]
+  );
+  return rows.reduce((acc, r) => {
+    if (!acc[r.medio_pago]) acc[r.medio_pago] = {};
+    acc[r.medio_pago][r.codigo.toLowerCase()] = formatearMonto(r.saldo_actual, r.decimales);
+    return acc;
+  }, {});
+}
+
+// Saldos de efectivo de la caja para todas las divisas registradas ({ usd: { inicial, actual }, ... }),
+// con los decimales de cada una
+async function saldosPorDivisa(connection, cajaId) {
+  const [saldos] = await connection.query(
+    `SELECT d.codigo, d.decimales, COALESCE(cs.saldo_inicial, 0) as saldo_inicial, COALESCE(cs.saldo_actual, 0) as saldo_actual 
+     FROM divisas d 
+     LEFT JOIN caja_saldos cs ON d.id = cs.divisa_id AND cs.caja_id = ?`,
+    [cajaId]
+  );
+  return saldos.reduce((acc, s) => {
+    acc[s.codigo.toLowerCase()] = {
+      inicial: formatearMonto(s.saldo_inicial, s.decimales),
+      actual: formatearMonto(s.saldo_actual, s.decimales)
+    };
+    return acc;
+  }, {});
+}
+
 // Función auxiliar para obtener caja con saldos
 async function getCajaWithSaldos(id, userId) {
   try {
@@ -48,20 +120,7 @@ async function getCajaWithSaldos(id, userId) {
     );
     if (!caja[0]) return null;
 
-    const [saldos] = await pool.query(
-      `SELECT d.codigo, COALESCE(cs.saldo_inicial, 0) as saldo_inicial, COALESCE(cs.saldo_actual, 0) as saldo_actual 
-       FROM divisas d 
-       LEFT JOIN caja_saldos cs ON d.id = cs.divisa_id AND cs.caja_id = ?`,
-      [id]
-    );
-
-    const saldosMap = saldos.reduce((acc, s) => {
-      acc[s.codigo.toLowerCase()] = {
-        inicial: Number(s.saldo_inicial).toFixed(2),
-        actual: Number(s.saldo_actual).toFixed(2)
-      };
-      return acc;
-    }, { pen: { inicial: '0.00', actual: '0.00' }, usd: { inicial: '0.00', actual: '0.00' }, eur: { inicial: '0.00', actual: '0.00' } });
+    const saldosMap = await saldosPorDivisa(pool, id);
 
     return {
       id: caja[0].id,
@@ -71,7 +130,8 @@ async function getCajaWithSaldos(id, userId) {
       fecha_apertura: caja[0].fecha_apertura,
       fecha_cierre: caja[0].fecha_cierre,
       utilidad_total: Number(caja[0].utilidad_total || 0).toFixed(2),
-      saldos: saldosMap
+      saldos: saldosMap,
+      saldos_medios: await getSaldosMedios(id)
     };
   } catch (err) {
     logger.error('Error en getCajaWithSaldos:', { error: err.message, caja_id: id, user_id: userId });
@@ -79,13 +139,6 @@ async function getCajaWithSaldos(id, userId) {
   }
 }
 
-// Función auxiliar para obtener tasas de cambio SBS (mock)
-async function getSbsExchangeRate(currencyCode) {
-  const rates = { USD: 3.4805, EUR: 4.070 }; // Tasas promedio SBS 19/09/2025
-  logger.info(`Tasa SBS consultada: ${currencyCode} = ${rates[currencyCode] || 1}`);
-  return rates[currencyCode] || 1;
-}
-
 // Ruta para listar todas las cajas
 router.get('/', auth, async (req, res) => {
   try {
@@ -150,7 +203,7 @@ router.get('/ultima-cerrada', auth, async (req, res) => {
   }
 });
 
-// Ruta para obtener saldos de caja actual
+// Ruta para obtener saldos de caja actual (?denominaciones=true incluye el conteo de billetes)
 router.get('/saldos', auth, async (req, res) => {
   try {
     logger.info('Obteniendo saldos para usuario:', { user: req.user.id });
@@ -162,20 +215,30 @@ router.get('/saldos', auth, async (req, res) => {
     );
     if (!caja.length) return res.status(404).json({ msg: 'No hay caja para mostrar saldos' });
 
-    const [saldos] = await pool.query(
-      `SELECT d.codigo, COALESCE(cs.saldo_inicial, 0) as saldo_inicial, COALESCE(cs.saldo_actual, 0) as saldo_actual 
-       FROM divisas d 
-       LEFT JOIN caja_saldos cs ON d.id = cs.divisa_id AND cs.caja_id = ?`,
-      [caja[0].id]
-    );
-
-    const saldosMap = saldos.reduce((acc, s) => {
-      acc[s.codigo.toLowerCase()] = {
-        inicial: Number(s.saldo_inicial).toFixed(2),
-        actual: Number(s.saldo_actual).toFixed(2)
-      };
-      return acc;
-    }, { pen: { inicial: '0.00', actual: '0.00' }, usd: { inicial: '0.00', actual: '0.00' }, eur: { inicial: '0.00', actual: '0.00' } });
+    const saldosMap = await saldosPorDivisa(pool, caja[0].id);
+
+    if (req.query.denominaciones === 'true') {
+      const [billetes] = await pool.query(
+        `SELECT d.codigo, dd.valor, dd.tipo, cd.cantidad 
+         FROM caja_denominaciones cd 
+         JOIN divisas_denominaciones dd ON cd.denominacion_id = dd.id 
+         JOIN divisas d ON dd.divisa_id = d.id 
+         WHERE cd.caja_id = ? 
+         ORDER BY d.codigo, dd.valor DESC`,
+        [caja[0].id]
+      );
+      billetes.forEach(b => {
+        const codigo = b.codigo.toLowerCase();
+        if (!saldosMap[codigo]) saldosMap[codigo] = { inicial: '0.00', actual: '0.00' };
+        if (!saldosMap[codigo].denominaciones) saldosMap[codigo].denominaciones = [];
+        saldosMap[codigo].denominaciones.push({
+          valor: Number(b.valor).toFixed(2),
+          tipo: b.tipo,
+          cantidad: Number(b.cantidad),
+          subtotal: (Number(b.valor) * Number(b.cantidad)).toFixed(2)
+        });
+      });
+    }
 
     res.json(saldosMap);
   } catch (err) {
@@ -185,14 +248,14 @@ router.get('/saldos', auth, async (req, res) => {
 });
 
 // Ruta para abrir caja
-router.post('/abrir', auth, async (req, res) => {
+router.post('/abrir', auth, idempotency, async (req, res) => {
   const { error, value } = aperturaSchema.validate(req.body);
   if (error) {
     logger.error(`Validación fallida en abrir caja: ${error.details.map(d => d.message).join(', ')}`, { user: req.user.id });
     return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
   }
 
-  const { saldos, descripcion_ajuste } = value;
+  const { saldos, denominaciones, descripcion_ajuste } = value;
   const connection = await pool.getConnection();
   try {
     await connection.beginTransaction();
@@ -210,6 +273,13 @@ router.post('/abrir', auth, async (req, res) => {
       return res.status(400).json({ msg: 'Ya hay una caja abierta' });
     }
 
+    const { divisas, error: errorSaldos } = await validarMontosCaja(connection, saldos);
+    const sinDivisa = Object.keys(denominaciones || {}).find(codigo => !divisas[codigo]);
+    if (errorSaldos || sinDivisa) {
+      await connection.rollback();
+      return res.status(400).json({ msg: errorSaldos || `Moneda ${sinDivisa} no encontrada` });
+    }
+
     // Insertar nueva caja
     const [result] = await connection.query(
       `INSERT INTO caja (usuario_id, estado, fecha_apertura, utilidad_total, created_at, updated_at) 
@@ -218,23 +288,22 @@ router.post('/abrir', auth, async (req, res) => {
     );
     const caja_id = result.insertId;
 
-    // Insertar saldos iniciales
-    const [divisas] = await connection.query('SELECT id, codigo FROM divisas');
-    const divisaMap = divisas.reduce((acc, d) => {
-      acc[d.codigo.toUpperCase()] = d.id;
-      return acc;
-    }, { PEN: 1 });
-
-    for (const [codigo, saldo] of Object.entries(saldos)) {
-      const divisa_id = divisaMap[codigo.toUpperCase()];
-      if (!divisa_id) continue;
+    // Insertar saldos iniciales: una fila por cada divisa registrada
+    for (const divisa of Object.values(divisas)) {
+      const saldo = saldos[divisa.codigo.toUpperCase()] || 0;
       await connection.query(
         `INSERT INTO caja_saldos (caja_id, divisa_id, saldo_inicial, saldo_actual) 
          VALUES (?, ?, ?, ?)`,
-        [caja_id, divisa_id, saldo, saldo]
+        [caja_id, divisa.id, saldo, saldo]
       );
     }
 
+    // Conteo inicial de billetes
+    for (const [codigo, desglose] of Object.entries(denominaciones || {})) {
+      const items = await resolverDesglose(connection, divisas[codigo].id, desglose, saldos[codigo] || 0);
+      await moverDenominaciones(connection, caja_id, items, 1);
+    }
+
     // Si hay ajuste, registrar movimiento
     if (descripcion_ajuste) {
       await connection.query(
@@ -257,7 +326,7 @@ router.post('/abrir', auth, async (req, res) => {
 });
 
 // Ruta para ajustar caja
-router.post('/ajustar', auth, async (req, res) => {
+router.post('/ajustar', auth, idempotency, async (req, res) => {
   const { error, value } = ajusteSchema.validate(req.body);
   if (error) {
     logger.error(`Validación fallida en ajustar caja: ${error.details.map(d => d.message).join(', ')}`, { user: req.user.id });
@@ -283,13 +352,13 @@ router.post('/ajustar', auth, async (req, res) => {
     }
     const caja_id = cajaAbierta[0].id;
 
-    // Obtener divisa_id
-    const [divisa] = await connection.query('SELECT id FROM divisas WHERE codigo = ?', [moneda]);
-    if (!divisa.length) {
+    // Obtener divisa_id (la moneda debe existir y el monto respetar sus decimales)
+    const { divisas, error: errorMonto } = await validarMontosCaja(connection, { [moneda]: monto });
+    if (errorMonto) {
       await connection.rollback();
-      return res.status(400).json({ msg: `Moneda ${moneda} no encontrada` });
+      return res.status(400).json({ msg: errorMonto });
     }
-    const divisa_id = divisa[0].id;
+    const divisa_id = divisas[moneda].id;
 
     // Verificar saldo actual
     const [saldo] = await connection.query(
@@ -363,6 +432,7 @@ router.get('/movimientos', auth, async (req, res) => {
       tipo: m.tipo,
       monto: Number(m.monto).toFixed(2),
       divisa_codigo: m.divisa_codigo,
+      medio_pago: m.medio_pago,
       descripcion: m.descripcion,
       fecha: new Date(m.fecha).toLocaleString('es-PE'),
       usuario_id: m.usuario_id
@@ -390,8 +460,15 @@ router.get('/utilidad', auth, async (req, res) => {
   }
 });
 
-// Ruta para cerrar una caja
+// Ruta para cerrar una caja (con arqueo opcional por medio de pago)
 router.post('/cerrar', auth, async (req, res) => {
+  const { error, value } = cierreSchema.validate(req.body || {});
+  if (error) {
+    logger.error(`Validación fallida en cerrar caja: ${error.details.map(d => d.message).join(', ')}`, { user: req.user.id });
+    return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
+  }
+  const arqueo = value.arqueo || {};
+
   const connection = await pool.getConnection();
   try {
     await connection.beginTransaction();
@@ -411,6 +488,16 @@ router.post('/cerrar', auth, async (req, res) => {
     }
     const caja_id = cajaAbierta[0].id;
 
+    let divisasArqueo = {};
+    for (const contado of Object.values(arqueo)) {
+      const { divisas, error: errorArqueo } = await validarMontosCaja(connection, contado);
+      divisasArqueo = divisas;
+      if (errorArqueo) {
+        await connection.rollback();
+        return res.status(400).json({ msg: `Arqueo: ${errorArqueo}` });
+      }
+    }
+
     // Validar transacciones pendientes (opcional, ajusta según schema)
     const [transaccionesPendientes] = await connection.query(
       `SELECT COUNT(*) as count FROM transacciones WHERE caja_id = ? AND estado = 'PENDIENTE'`,
@@ -422,6 +509,55 @@ router.post('/cerrar', auth, async (req, res) => {
       return res.status(400).json({ msg: 'No se puede cerrar la caja con transacciones pendientes' });
     }
 
+    // Conciliar cada medio de pago: saldo del sistema contra lo contado
+    const [saldosEfectivo] = await connection.query(
+      `SELECT cs.divisa_id, d.codigo, cs.saldo_actual, 'EFECTIVO' AS medio_pago 
+       FROM caja_saldos cs JOIN divisas d ON cs.divisa_id = d.id WHERE cs.caja_id = ?`,
+      [caja_id]
+    );
+    const [saldosOtros] = await connection.query(
+      `SELECT csm.divisa_id, d.codigo, csm.saldo_actual, csm.medio_pago 
+       FROM caja_saldos_medios csm JOIN divisas d ON csm.divisa_id = d.id WHERE csm.caja_id = ?`,
+      [caja_id]
+    );
+    const conciliacion = [...saldosEfectivo, ...saldosOtros].map(s => {
+      const contado = arqueo[s.medio_pago]?.[s.codigo.toUpperCase()];
+      const sistema = Number(s.saldo_actual);
+      return {
+        medio_pago: s.medio_pago,
+        divisa_id: s.divisa_id,
+        codigo: s.codigo.toUpperCase(),
+        saldo_sistema: sistema,
+        saldo_contado: contado !== undefined ? contado : null,
+        diferencia: contado !== undefined ? Number((contado - sistema).toFixed(2)) : null
+      };
+    });
+    // Lo contado en un medio o moneda sin saldo en el sistema también es una diferencia
+    for (const [medio_pago, contado] of Object.entries(arqueo)) {
+      for (const [codigo, monto] of Object.entries(contado)) {
+        if (conciliacion.some(c => c.medio_pago === medio_pago && c.codigo === codigo)) continue;
+        conciliacion.push({
+          medio_pago,
+          divisa_id: divisasArqueo[codigo].id,
+          codigo,
+          saldo_sistema: 0,
+          saldo_contado: monto,
+          diferencia: Number(Number(monto).toFixed(2))
+        });
+      }
+    }
+    if (conciliacion.length) {
+      await connection.query(
+        'INSERT INTO caja_arqueos (caja_id, medio_pago, divisa_id, saldo_sistema, saldo_contado, diferencia, usuario_id, fecha) VALUES ' +
+        conciliacion.map(() => '(?, ?, ?, ?, ?, ?, ?, NOW())').join(','),
+        conciliacion.flatMap(c => [caja_id, c.medio_pago, c.divisa_id, c.saldo_sistema, c.saldo_contado, c.diferencia, req.user.id])
+      );
+    }
+    const descuadres = conciliacion.filter(c => c.diferencia);
+    if (descuadres.length) {
+      logger.warn('Cierre de caja con diferencias de arqueo', { caja_id, user: req.user.id, descuadres });
+    }
+
     // Actualizar caja a cerrada
     await connection.query(
       `UPDATE caja 
@@ -456,6 +592,15 @@ router.post('/cerrar', auth, async (req, res) => {
       doc.text(`${codigo.toUpperCase()}: ${Number(saldo.actual).toLocaleString('es-PE', { style: 'currency', currency: codigo.toUpperCase() })}`);
     });
     doc.moveDown();
+    doc.fontSize(14).text('Conciliación por Medio de Pago:', { underline: true });
+    conciliacion.forEach((c) => {
+      const formato = (monto) => Number(monto).toLocaleString('es-PE', { style: 'currency', currency: c.codigo });
+      doc.text(
+        `${c.medio_pago} ${c.codigo}: sistema ${formato(c.saldo_sistema)}` +
+        (c.saldo_contado !== null ? ` | contado ${formato(c.saldo_contado)} | diferencia ${formato(c.diferencia)}` : ' | sin arqueo')
+      );
+    });
+    doc.moveDown();
     doc.text(`Utilidad Total: S/ ${cajaCerrada.utilidad_total}`);
     doc.moveDown(0.5);
     doc.text('Movimientos Recientes:', { underline: true });
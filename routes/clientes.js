@@ -2,6 +2,13 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middlewares/auth');
 const db = require('../config/db');
+const { screening, cargarIndiceListas } = require('../services/listasControl');
+const { rucValido } = require('../services/kyc');
+const { UMBRAL_MEDIO, UMBRAL_ALTO, evaluarRiesgo } = require('../services/riesgo');
+const { formatearSerie } = require('../services/recibos');
+const { COLUMNAS_CLIENTE, sugerirDuplicados, fusionarClientes, deshacerFusion } = require('../services/duplicadosClientes');
+const { TIPO_XLSX, leerArchivoClientes } = require('../services/importacionClientes');
+const { validarMejora } = require('../services/tasasPreferenciales');
 const Joi = require('joi');
 const winston = require('winston');
 
@@ -24,17 +31,146 @@ if (process.env.NODE_ENV !== 'production') {
 // Esquema de validación para query params
 const clienteQuerySchema = Joi.object({
   search: Joi.string().allow('').optional(),
+  nivel_riesgo: Joi.string().uppercase().valid('BAJO', 'MEDIO', 'ALTO').optional(),
+  incluir_eliminados: Joi.boolean().default(false),
+  orden: Joi.string().valid('nombre', 'creacion', 'ultima_operacion').default('nombre'),
+  direccion: Joi.string().lowercase().valid('asc', 'desc').default('asc'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
+
+const importacionQuerySchema = Joi.object({
+  simular: Joi.boolean().default(false),
+});
+
+const historialQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const duplicadosQuerySchema = Joi.object({
+  cliente_id: Joi.number().integer().min(1).optional(),
+  umbral: Joi.number().min(0.5).max(1).optional(),
+});
+
+const fusionSchema = Joi.object({
+  duplicado_id: Joi.number().integer().min(1).required(),
+  motivo: Joi.string().trim().max(255).allow('', null).optional(),
+});
+
+// Tasa negociada: mejora fija del spread o tasa especial (al menos un lado), con vigencia y tope opcionales
+const tasaPreferencialSchema = Joi.object({
+  divisa_id: Joi.number().integer().min(2).required(),
+  tipo: Joi.string().uppercase().valid('MEJORA_SPREAD', 'TASA_ESPECIAL').required(),
+  mejora: Joi.number().positive().precision(4)
+    .when('tipo', { is: 'MEJORA_SPREAD', then: Joi.required(), otherwise: Joi.valid(null).default(null) }),
+  tasa_compra: Joi.number().positive().precision(4)
+    .when('tipo', { is: 'TASA_ESPECIAL', then: Joi.allow(null).default(null), otherwise: Joi.valid(null).default(null) }),
+  tasa_venta: Joi.number().positive().precision(4)
+    .when('tipo', { is: 'TASA_ESPECIAL', then: Joi.allow(null).default(null), otherwise: Joi.valid(null).default(null) }),
+  vigente_desde: Joi.date().iso().raw().allow(null).optional(),
+  vigente_hasta: Joi.date().iso().raw().allow(null).optional(),
+  monto_maximo: Joi.number().positive().precision(2).allow(null).default(null),
+  activo: Joi.boolean().default(true),
+}).custom((value, helpers) => {
+  if (value.tipo === 'TASA_ESPECIAL' && value.tasa_compra === null && value.tasa_venta === null) {
+    return helpers.message('Indique tasa_compra, tasa_venta o ambas');
+  }
+  if (value.tasa_compra !== null && value.tasa_venta !== null && value.tasa_compra >= value.tasa_venta) {
+    return helpers.message('La tasa de compra debe ser menor que la de venta');
+  }
+  if (value.vigente_desde && value.vigente_hasta && new Date(value.vigente_hasta) < new Date(value.vigente_desde)) {
+    return helpers.message('vigente_hasta no puede ser anterior a vigente_desde');
+  }
+  return value;
+});
+
+// Mensaje de error si la divisa no existe o la mejora de spread invierte sus tasas actuales
+async function validarTasaPreferencial(value) {
+  const [divisa] = await db.query("SELECT codigo, tasa_compra, tasa_venta FROM divisas WHERE id = ? AND codigo <> 'PEN'", [value.divisa_id]);
+  if (!divisa.length) return 'Divisa no encontrada';
+  return value.tipo === 'MEJORA_SPREAD' ? validarMejora(divisa[0], value.mejora) : null;
+}
+
+const factorRiesgoSchema = Joi.object({
+  factor: Joi.string().uppercase().valid('NACIONALIDAD', 'PEP', 'OCUPACION', 'FRECUENCIA', 'MONTO', 'EFECTIVO').required(),
+  // PEP no lleva valor; FRECUENCIA, MONTO y EFECTIVO llevan el mínimo; NACIONALIDAD y OCUPACION el texto
+  valor: Joi.any().when('factor', {
+    switch: [
+      { is: 'PEP', then: Joi.valid(null).default(null) },
+      { is: Joi.valid('FRECUENCIA', 'MONTO', 'EFECTIVO'), then: Joi.number().min(0).required() },
+    ],
+    otherwise: Joi.string().trim().max(100).required(),
+  }),
+  puntos: Joi.number().integer().min(0).max(100).required(),
+  activo: Joi.boolean().default(true),
+});
+
+// Número de documento según su tipo (la columna sigue llamándose dni)
+const documentoSchema = Joi.string().trim().uppercase().allow('', null).optional().when('tipo_documento', {
+  switch: [
+    { is: 'DNI', then: Joi.string().pattern(/^\d{8}$/).messages({ 'string.pattern.base': 'El DNI debe tener 8 dígitos' }) },
+    { is: 'CE', then: Joi.string().pattern(/^[A-Z0-9]{9,12}$/).messages({ 'string.pattern.base': 'El Carné de Extranjería debe tener entre 9 y 12 caracteres alfanuméricos' }) },
+    { is: 'PASAPORTE', then: Joi.string().pattern(/^[A-Z0-9]{6,12}$/).messages({ 'string.pattern.base': 'El Pasaporte debe tener entre 6 y 12 caracteres alfanuméricos' }) },
+    {
+      is: 'RUC',
+      then: Joi.string().custom((value, helpers) => (rucValido(value) ? value : helpers.message('RUC inválido: debe tener 11 dígitos y un dígito verificador correcto')))
+    }
+  ]
 });
 
 // Esquema de validación para el cuerpo
 const clienteSchema = Joi.object({
   nombre: Joi.string().min(3).max(100).required(),
-  dni: Joi.string().max(20).allow('', null).optional(),
+  tipo_documento: Joi.string().uppercase().valid('DNI', 'CE', 'PASAPORTE', 'RUC').default('DNI'),
+  dni: documentoSchema,
   whatsapp: Joi.string().max(20).allow('', null).optional(),
   email: Joi.string().email().max(100).allow('', null).optional(),
+  // Perfil KYC (completo es obligatorio para operaciones grandes)
+  nacionalidad: Joi.string().trim().max(60).allow('', null).optional(),
+  fecha_nacimiento: Joi.date().iso().max('now').raw().allow(null).optional(),
+  direccion: Joi.string().trim().max(255).allow('', null).optional(),
+  ocupacion: Joi.string().trim().max(100).allow('', null).optional(),
+  es_pep: Joi.boolean().optional(),
+  pep_cargo: Joi.string().trim().max(150).allow('', null)
+    .when('es_pep', { is: true, then: Joi.required().invalid('', null) }),
+  origen_fondos: Joi.string().trim().max(255).allow('', null).optional(),
+  centro_laboral: Joi.string().trim().max(150).allow('', null).optional(),
+  ingreso_mensual: Joi.number().min(0).precision(2).allow(null).optional(),
+});
+
+// En PUT el tipo de documento no tiene valor por defecto: si no viene se conserva el registrado
+const clienteUpdateSchema = clienteSchema.keys({
+  tipo_documento: Joi.string().uppercase().valid('DNI', 'CE', 'PASAPORTE', 'RUC').optional(),
 });
 
-// GET: Listar clientes
+// Documento validado contra un tipo ya conocido (el registrado, cuando el PUT no lo envía)
+const documentoTipoSchema = Joi.object({
+  tipo_documento: Joi.string().required(),
+  dni: documentoSchema,
+});
+
+// Campos del perfil KYC; en PUT solo se actualizan los que vienen en el cuerpo
+const CAMPOS_KYC = ['nacionalidad', 'fecha_nacimiento', 'direccion', 'ocupacion', 'es_pep', 'pep_cargo', 'origen_fondos', 'centro_laboral', 'ingreso_mensual'];
+
+// '' se guarda como NULL
+function valorKyc(value, campo) {
+  return value[campo] === '' ? null : value[campo];
+}
+
+// Carga masiva: el archivo llega como cuerpo de la petición
+const archivoBody = express.raw({ type: ['text/csv', 'text/plain', TIPO_XLSX], limit: '10mb' });
+const MAX_FILAS_IMPORTACION = 5000;
+const CAMPOS_IMPORTACION = ['nombre', 'tipo_documento', 'dni', 'whatsapp', 'email', ...CAMPOS_KYC];
+
+// Columnas por las que se puede ordenar el listado
+const ORDEN_CLIENTES = {
+  nombre: 'c.nombre',
+  creacion: 'c.created_at',
+  ultima_operacion: 'uo.ultima_operacion',
+};
+
+// GET: Listar clientes (paginado)
 router.get('/', auth, async (req, res) => {
   const { error, value } = clienteQuerySchema.validate(req.query);
   if (error) {
@@ -43,19 +179,46 @@ router.get('/', auth, async (req, res) => {
     return res.status(400).json({ success: false, message: errorMessage });
   }
 
-  const { search } = value;
+  const { search, nivel_riesgo, incluir_eliminados, orden, direccion, page, limit } = value;
   try {
-    let query = 'SELECT id, nombre, dni, whatsapp, email FROM clientes WHERE deleted_at IS NULL';
-    let params = [];
+    const condiciones = [];
+    const params = [];
+    if (!incluir_eliminados) condiciones.push('c.deleted_at IS NULL');
     if (search) {
-      query += ' AND (nombre LIKE ? OR dni LIKE ?)';
-      params = [`%${search}%`, `%${search}%`];
+      condiciones.push('(c.nombre LIKE ? OR c.dni LIKE ? OR c.whatsapp LIKE ? OR c.email LIKE ?)');
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`, `%${search}%`);
     }
-    query += ' ORDER BY nombre ASC';
+    if (nivel_riesgo) {
+      condiciones.push('c.nivel_riesgo = ?');
+      params.push(nivel_riesgo);
+    }
+    const where = condiciones.length ? `WHERE ${condiciones.join(' AND ')}` : '';
+    const sentido = direccion === 'desc' ? 'DESC' : 'ASC';
 
-    const [results] = await db.query(query, params);
-    logger.info(`Clientes obtenidos: ${results.length}`, { user: req.user.id, search });
-    res.json({ success: true, data: results, total: results.length });
+    const [results] = await db.query(
+      `SELECT c.id, c.nombre, c.tipo_documento, c.dni, c.whatsapp, c.email, c.nacionalidad, c.fecha_nacimiento, c.direccion, c.ocupacion,
+              c.es_pep, c.pep_cargo, c.origen_fondos, c.centro_laboral, c.ingreso_mensual, c.nivel_riesgo, c.puntaje_riesgo,
+              c.created_at, c.deleted_at, uo.ultima_operacion
+       FROM clientes c
+       LEFT JOIN (
+         SELECT cliente_id, MAX(fecha) AS ultima_operacion FROM transacciones
+         WHERE cliente_id IS NOT NULL AND estado = 'COMPLETADA' GROUP BY cliente_id
+       ) uo ON uo.cliente_id = c.id
+       ${where}
+       ORDER BY ${ORDEN_CLIENTES[orden]} ${sentido}, c.id ${sentido}
+       LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+    const [total] = await db.query(`SELECT COUNT(*) AS total FROM clientes c ${where}`, params);
+    logger.info(`Clientes obtenidos: ${results.length}`, { user: req.user.id, search, nivel_riesgo, orden, page });
+    res.json({
+      success: true,
+      data: results,
+      total: total[0].total,
+      page,
+      limit,
+      pages: Math.ceil(total[0].total / limit),
+    });
   } catch (err) {
     logger.error(`Error obteniendo clientes: ${err.message}`, { user: req.user.id, stack: err.stack });
     res.status(500).json({ success: false, message: `Error al obtener clientes: ${err.message}` });
@@ -64,14 +227,14 @@ router.get('/', auth, async (req, res) => {
 
 // POST: Crear cliente
 router.post('/', auth, async (req, res) => {
-  const { error } = clienteSchema.validate(req.body, { abortEarly: false });
+  const { error, value } = clienteSchema.validate(req.body, { abortEarly: false });
   if (error) {
     const errorMessage = error.details.map(detail => detail.message).join(', ');
     logger.error(`Validación fallida en POST /clientes: ${errorMessage}`, { user: req.user.id });
     return res.status(400).json({ success: false, message: errorMessage });
   }
 
-  const { nombre, dni, whatsapp, email } = req.body;
+  const { nombre, tipo_documento, dni, whatsapp, email } = value;
 
   try {
     const [existing] = await db.query('SELECT id FROM clientes WHERE dni = ? AND deleted_at IS NULL', [dni || null]);
@@ -80,55 +243,656 @@ router.post('/', auth, async (req, res) => {
       return res.status(400).json({ success: false, message: 'El DNI ya está registrado' });
     }
 
+    // Screening contra listas de sanciones/PEP
+    const caso = await screening(db, { nombre, documento: dni, origen: 'CLIENTE_ALTA', usuario_id: req.user.id });
+    if (caso) {
+      logger.warn(`Alta de cliente ${nombre} detenida por coincidencia en listas de control (caso #${caso.id})`, { user: req.user.id });
+      return res.status(403).json({ success: false, message: 'Coincidencia en listas de control: pendiente de revisión por un Auditor', data: { caso_id: caso.id, estado: caso.estado } });
+    }
+
+    const kyc = CAMPOS_KYC.map(campo => (campo === 'es_pep' ? value.es_pep || false : valorKyc(value, campo) ?? null));
     const [result] = await db.query(
-      'INSERT INTO clientes (nombre, dni, whatsapp, email, created_at) VALUES (?, ?, ?, ?, NOW())',
-      [nombre, dni || null, whatsapp || null, email || null]
+      `INSERT INTO clientes (nombre, tipo_documento, dni, whatsapp, email, ${CAMPOS_KYC.join(', ')}, created_at) ` +
+      `VALUES (?, ?, ?, ?, ?, ${CAMPOS_KYC.map(() => '?').join(', ')}, NOW())`,
+      [nombre, tipo_documento, dni || null, whatsapp || null, email || null, ...kyc]
     );
-    logger.info(`Cliente creado: ${nombre}, ID: ${result.insertId}`, { user: req.user.id });
-    res.json({ success: true, message: 'Cliente creado', data: { id: result.insertId, nombre, dni, whatsapp, email } });
+    const riesgo = await evaluarRiesgo(db, result.insertId);
+    logger.info(`Cliente creado: ${nombre}, ID: ${result.insertId}`, { user: req.user.id, nivel_riesgo: riesgo.nivel });
+    res.json({ success: true, message: 'Cliente creado', data: { id: result.insertId, ...value, nivel_riesgo: riesgo.nivel, puntaje_riesgo: riesgo.puntaje } });
   } catch (err) {
     logger.error(`Error creando cliente: ${err.message}`, { user: req.user.id, stack: err.stack });
     res.status(500).json({ success: false, message: `Error al crear cliente: ${err.message}` });
   }
 });
 
+// POST: Carga masiva de clientes desde CSV o XLSX (solo Admin). Cada fila se valida como un alta
+// normal; con ?simular=true solo se devuelve el reporte sin crear nada.
+router.post('/importar', auth, archivoBody, async (req, res) => {
+  if (req.user.rol !== 'Admin') return res.status(403).json({ success: false, message: 'Acceso denegado' });
+  const { error, value } = importacionQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error.details.map(detail => detail.message).join(', ') });
+  }
+  if (!Buffer.isBuffer(req.body) || !req.body.length) {
+    return res.status(400).json({ success: false, message: `Envíe el archivo con Content-Type text/csv o ${TIPO_XLSX}` });
+  }
+
+  try {
+    const filas = await leerArchivoClientes(req.body, req.headers['content-type']);
+    if (!filas.length) return res.status(400).json({ success: false, message: 'El archivo no tiene filas' });
+    if (filas.length > MAX_FILAS_IMPORTACION) {
+      return res.status(400).json({ success: false, message: `El archivo supera el máximo de ${MAX_FILAS_IMPORTACION} filas` });
+    }
+
+    const documentosEnArchivo = new Map();
+    const reporte = [];
+    // Las listas de control se cargan una vez para todo el archivo
+    const indiceListas = value.simular ? null : await cargarIndiceListas(db);
+    for (const { numero, datos } of filas) {
+      // Solo las columnas conocidas y sin celdas vacías, que equivalen a no enviar el campo
+      const cuerpo = Object.fromEntries(
+        Object.entries(datos).filter(([campo, valor]) => CAMPOS_IMPORTACION.includes(campo) && valor !== '')
+      );
+      if (cuerpo.es_pep !== undefined) cuerpo.es_pep = ['SI', 'S', '1', 'TRUE', 'X'].includes(cuerpo.es_pep.toUpperCase());
+
+      const { error: errorFila, value: cliente } = clienteSchema.validate(cuerpo, { abortEarly: false });
+      if (errorFila) {
+        reporte.push({ fila: numero, estado: 'ERROR', errores: errorFila.details.map(detail => detail.message) });
+        continue;
+      }
+      if (cliente.dni) {
+        if (documentosEnArchivo.has(cliente.dni)) {
+          reporte.push({ fila: numero, estado: 'ERROR', errores: [`DNI repetido en la fila ${documentosEnArchivo.get(cliente.dni)}`] });
+          continue;
+        }
+        documentosEnArchivo.set(cliente.dni, numero);
+        const [existente] = await db.query('SELECT id FROM clientes WHERE dni = ? AND deleted_at IS NULL', [cliente.dni]);
+        if (existente.length) {
+          reporte.push({ fila: numero, estado: 'ERROR', errores: ['El DNI ya está registrado'], cliente_id: existente[0].id });
+          continue;
+        }
+      }
+      if (value.simular) {
+        reporte.push({ fila: numero, estado: 'VALIDA' });
+        continue;
+      }
+
+      const caso = await screening(db, { nombre: cliente.nombre, documento: cliente.dni, origen: 'CLIENTE_ALTA', usuario_id: req.user.id, indice: indiceListas });
+      if (caso) {
+        reporte.push({ fila: numero, estado: 'ERROR', errores: ['Coincidencia en listas de control: pendiente de revisión por un Auditor'], caso_id: caso.id });
+        continue;
+      }
+      const kyc = CAMPOS_KYC.map(campo => (campo === 'es_pep' ? cliente.es_pep || false : valorKyc(cliente, campo) ?? null));
+      const [result] = await db.query(
+        `INSERT INTO clientes (nombre, tipo_documento, dni, whatsapp, email, ${CAMPOS_KYC.join(', ')}, created_at) ` +
+        `VALUES (?, ?, ?, ?, ?, ${CAMPOS_KYC.map(() => '?').join(', ')}, NOW())`,
+        [cliente.nombre, cliente.tipo_documento, cliente.dni || null, cliente.whatsapp || null, cliente.email || null, ...kyc]
+      );
+      await evaluarRiesgo(db, result.insertId);
+      reporte.push({ fila: numero, estado: 'CREADA', cliente_id: result.insertId });
+    }
+
+    const resumen = {
+      filas: reporte.length,
+      creadas: reporte.filter(r => r.estado === 'CREADA').length,
+      validas: reporte.filter(r => r.estado !== 'ERROR').length,
+      con_error: reporte.filter(r => r.estado === 'ERROR').length,
+    };
+    logger.info(`Importación de clientes${value.simular ? ' (simulada)' : ''}: ${resumen.creadas} creados, ${resumen.con_error} con error`, { user: req.user.id });
+    res.json({ success: true, message: value.simular ? 'Archivo validado' : 'Importación terminada', data: { simulacion: value.simular, resumen, filas: reporte } });
+  } catch (err) {
+    logger.error(`Error importando clientes: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, message: `Error al importar clientes: ${err.message}` });
+  }
+});
+
+// GET: Posibles clientes duplicados (por documento, WhatsApp, email o nombre parecido)
+router.get('/duplicados', auth, async (req, res) => {
+  const { error, value } = duplicadosQuerySchema.validate(req.query);
+  if (error) {
+    const errorMessage = error.details.map(detail => detail.message).join(', ');
+    logger.error(`Validación fallida en GET /clientes/duplicados: ${errorMessage}`, { user: req.user.id });
+    return res.status(400).json({ success: false, message: errorMessage });
+  }
+  try {
+    const sugerencias = await sugerirDuplicados(db, value);
+    logger.info(`Sugerencias de duplicados obtenidas: ${sugerencias.length}`, { user: req.user.id, ...value });
+    res.json({ success: true, data: sugerencias, total: sugerencias.length });
+  } catch (err) {
+    logger.error(`Error buscando clientes duplicados: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, message: `Error al buscar clientes duplicados: ${err.message}` });
+  }
+});
+
+// GET: Registro de fusiones (Admin y Auditor)
+router.get('/fusiones', auth, async (req, res) => {
+  if (!['Admin', 'Auditor'].includes(req.user.rol)) return res.status(403).json({ success: false, message: 'Acceso denegado' });
+  try {
+    const [fusiones] = await db.query(
+      `SELECT f.id, f.cliente_principal_id, cp.nombre AS cliente_principal_nombre, f.cliente_duplicado_id, cd.nombre AS cliente_duplicado_nombre,
+              f.campos_anteriores, f.registros_movidos, f.motivo, f.estado, f.fusionado_por, f.created_at, f.revertido_por, f.fecha_reversion
+       FROM fusiones_clientes f
+       JOIN clientes cp ON f.cliente_principal_id = cp.id
+       JOIN clientes cd ON f.cliente_duplicado_id = cd.id
+       ORDER BY f.created_at DESC, f.id DESC`
+    );
+    const parsear = valor => (typeof valor === 'string' ? JSON.parse(valor) : valor);
+    res.json({
+      success: true,
+      data: fusiones.map(f => ({ ...f, campos_anteriores: parsear(f.campos_anteriores), registros_movidos: parsear(f.registros_movidos) }))
+    });
+  } catch (err) {
+    logger.error(`Error obteniendo fusiones de clientes: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, message: `Error al obtener fusiones: ${err.message}` });
+  }
+});
+
+// POST: Deshacer una fusión (solo Admin)
+router.post('/fusiones/:fusionId/deshacer', auth, async (req, res) => {
+  if (req.user.rol !== 'Admin') return res.status(403).json({ success: false, message: 'Acceso denegado' });
+  const fusionId = parseInt(req.params.fusionId);
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [fusion] = await connection.query('SELECT * FROM fusiones_clientes WHERE id = ? FOR UPDATE', [fusionId]);
+    if (!fusion.length || fusion[0].estado !== 'APLICADA') {
+      await connection.rollback();
+      return res.status(400).json({ success: false, message: 'La fusión no existe o ya fue revertida' });
+    }
+    const [principal] = await connection.query('SELECT id FROM clientes WHERE id = ? AND deleted_at IS NULL FOR UPDATE', [fusion[0].cliente_principal_id]);
+    if (!principal.length) {
+      await connection.rollback();
+      return res.status(400).json({ success: false, message: 'El cliente principal fue eliminado o fusionado en otro; restáurelo primero' });
+    }
+
+    const resultado = await deshacerFusion(connection, fusion[0], req.user.id);
+    if (resultado.error) {
+      await connection.rollback();
+      logger.warn(`No se pudo revertir la fusión ${fusionId}: ${resultado.error}`, { user: req.user.id });
+      return res.status(400).json({ success: false, message: resultado.error, data: { cliente_id: resultado.cliente_id } });
+    }
+    await evaluarRiesgo(connection, fusion[0].cliente_principal_id);
+    await evaluarRiesgo(connection, fusion[0].cliente_duplicado_id);
+    await connection.commit();
+    logger.info(`Fusión ${fusionId} revertida`, { user: req.user.id, ...resultado });
+    res.json({ success: true, message: 'Fusión revertida', data: { id: fusionId, estado: 'REVERTIDA', ...resultado } });
+  } catch (err) {
+    await connection.rollback();
+    logger.error(`Error revirtiendo fusión ${fusionId}: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, message: `Error al revertir fusión: ${err.message}` });
+  } finally {
+    connection.release();
+  }
+});
+
+// GET: Factores de riesgo configurados (solo Admin)
+router.get('/riesgo/factores', auth, async (req, res) => {
+  if (req.user.rol !== 'Admin') return res.status(403).json({ success: false, message: 'Acceso denegado' });
+  try {
+    const [factores] = await db.query('SELECT id, factor, valor, puntos, activo, created_at, updated_at FROM factores_riesgo ORDER BY factor, id');
+    res.json({ success: true, data: factores.map(f => ({ ...f, activo: !!f.activo })), umbrales: { medio: UMBRAL_MEDIO, alto: UMBRAL_ALTO } });
+  } catch (err) {
+    logger.error(`Error obteniendo factores de riesgo: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, message: `Error al obtener factores de riesgo: ${err.message}` });
+  }
+});
+
+// POST: Crear factor de riesgo (solo Admin)
+router.post('/riesgo/factores', auth, async (req, res) => {
+  if (req.user.rol !== 'Admin') return res.status(403).json({ success: false, message: 'Acceso denegado' });
+  const { error, value } = factorRiesgoSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({ success: false, message: error.details.map(detail => detail.message).join(', ') });
+  }
+  try {
+    const { factor, valor, puntos, activo } = value;
+    const [result] = await db.query(
+      'INSERT INTO factores_riesgo (factor, valor, puntos, activo, created_at) VALUES (?, ?, ?, ?, NOW())',
+      [factor, valor, puntos, activo]
+    );
+    logger.info(`Factor de riesgo creado: ${factor}`, { user: req.user.id, id: result.insertId, valor, puntos });
+    res.json({ success: true, message: 'Factor creado', data: { id: result.insertId, ...value } });
+  } catch (err) {
+    logger.error(`Error creando factor de riesgo: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, message: `Error al crear factor de riesgo: ${err.message}` });
+  }
+});
+
+// PUT: Actualizar factor de riesgo (solo Admin)
+router.put('/riesgo/factores/:factorId', auth, async (req, res) => {
+  if (req.user.rol !== 'Admin') return res.status(403).json({ success: false, message: 'Acceso denegado' });
+  const { error, value } = factorRiesgoSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({ success: false, message: error.details.map(detail => detail.message).join(', ') });
+  }
+  const factorId = parseInt(req.params.factorId);
+  try {
+    const { factor, valor, puntos, activo } = value;
+    const [result] = await db.query(
+      'UPDATE factores_riesgo SET factor = ?, valor = ?, puntos = ?, activo = ?, updated_at = NOW() WHERE id = ?',
+      [factor, valor, puntos, activo, factorId]
+    );
+    if (!result.affectedRows) return res.status(404).json({ success: false, message: 'Factor no encontrado' });
+    logger.info(`Factor de riesgo actualizado: ID ${factorId}`, { user: req.user.id });
+    res.json({ success: true, message: 'Factor actualizado', data: { id: factorId, ...value } });
+  } catch (err) {
+    logger.error(`Error actualizando factor de riesgo: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, message: `Error al actualizar factor de riesgo: ${err.message}` });
+  }
+});
+
+// DELETE: Eliminar factor de riesgo (solo Admin)
+router.delete('/riesgo/factores/:factorId', auth, async (req, res) => {
+  if (req.user.rol !== 'Admin') return res.status(403).json({ success: false, message: 'Acceso denegado' });
+  const factorId = parseInt(req.params.factorId);
+  try {
+    const [result] = await db.query('DELETE FROM factores_riesgo WHERE id = ?', [factorId]);
+    if (!result.affectedRows) return res.status(404).json({ success: false, message: 'Factor no encontrado' });
+    logger.info(`Factor de riesgo eliminado: ID ${factorId}`, { user: req.user.id });
+    res.json({ success: true, message: 'Factor eliminado', data: { id: factorId } });
+  } catch (err) {
+    logger.error(`Error eliminando factor de riesgo: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, message: `Error al eliminar factor de riesgo: ${err.message}` });
+  }
+});
+
+// GET: Historial de un cliente en todas las cajas, con sus estadísticas
+router.get('/:id/historial', auth, async (req, res) => {
+  const { error, value } = historialQuerySchema.validate(req.query);
+  if (error) {
+    const errorMessage = error.details.map(detail => detail.message).join(', ');
+    logger.error(`Validación fallida en GET /clientes/:id/historial: ${errorMessage}`, { user: req.user.id });
+    return res.status(400).json({ success: false, message: errorMessage });
+  }
+  const { limit, offset } = value;
+  const clienteId = parseInt(req.params.id);
+
+  try {
+    const [cliente] = await db.query(
+      'SELECT id, nombre, tipo_documento, dni, whatsapp, email, nivel_riesgo FROM clientes WHERE id = ?',
+      [clienteId]
+    );
+    if (cliente.length === 0) {
+      logger.warn(`Cliente no encontrado: ${clienteId}`, { user: req.user.id });
+      return res.status(404).json({ success: false, message: 'Cliente no encontrado' });
+    }
+
+    const [[operaciones], [total], [resumen], [porTipo], [canjes]] = await Promise.all([
+      db.query(
+        `SELECT t.id, t.serie, t.numero_recibo, t.tipo, t.estado, t.fecha, t.caja_id,
+                d.codigo AS divisa_codigo, dd.codigo AS divisa_destino_codigo,
+                t.monto, t.monto_destino, t.tipo_cambio, t.total_soles, t.utilidad, u.nombre AS cajero
+         FROM transacciones t
+         JOIN divisas d ON t.divisa_id = d.id
+         LEFT JOIN divisas dd ON t.divisa_destino_id = dd.id
+         LEFT JOIN users u ON t.usuario_id = u.id
+         WHERE t.cliente_id = ?
+         ORDER BY t.fecha DESC, t.id DESC
+         LIMIT ? OFFSET ?`,
+        [clienteId, limit, offset]
+      ),
+      db.query('SELECT COUNT(*) AS total FROM transacciones WHERE cliente_id = ?', [clienteId]),
+      db.query(
+        `SELECT COUNT(*) AS num_operaciones, MIN(fecha) AS primera_visita, MAX(fecha) AS ultima_visita,
+                COALESCE(SUM(total_soles), 0) AS total_soles, COALESCE(SUM(utilidad), 0) AS utilidad_total
+         FROM transacciones WHERE cliente_id = ? AND estado = 'COMPLETADA'`,
+        [clienteId]
+      ),
+      // Compras y ventas por divisa: la tasa promedio es la ponderada por monto, por unidad de cotización
+      db.query(
+        `SELECT t.divisa_id, d.codigo AS divisa_codigo, d.unidad_cotizacion, t.tipo, COUNT(*) AS operaciones,
+                SUM(t.monto) AS monto, SUM(t.total_soles) AS total_soles
+         FROM transacciones t JOIN divisas d ON t.divisa_id = d.id
+         WHERE t.cliente_id = ? AND t.estado = 'COMPLETADA' AND t.tipo IN ('COMPRA', 'VENTA')
+         GROUP BY t.divisa_id, d.codigo, d.unidad_cotizacion, t.tipo`,
+        [clienteId]
+      ),
+      // En un canje la casa compra la divisa origen y vende la destino
+      db.query(
+        `SELECT t.divisa_id, d.codigo AS divisa_codigo, t.divisa_destino_id, dd.codigo AS divisa_destino_codigo,
+                COUNT(*) AS operaciones, SUM(t.monto) AS monto, SUM(t.monto_destino) AS monto_destino
+         FROM transacciones t
+         JOIN divisas d ON t.divisa_id = d.id
+         JOIN divisas dd ON t.divisa_destino_id = dd.id
+         WHERE t.cliente_id = ? AND t.estado = 'COMPLETADA' AND t.tipo = 'CANJE'
+         GROUP BY t.divisa_id, d.codigo, t.divisa_destino_id, dd.codigo`,
+        [clienteId]
+      ),
+    ]);
+
+    const divisas = {};
+    const divisa = (id, codigo) => divisas[id] || (divisas[id] = {
+      divisa_id: id, divisa_codigo: codigo,
+      total_comprado: 0, total_vendido: 0, operaciones_compra: 0, operaciones_venta: 0, operaciones_canje: 0,
+      tasa_promedio_compra: null, tasa_promedio_venta: null,
+    });
+    for (const r of porTipo) {
+      const d = divisa(r.divisa_id, r.divisa_codigo);
+      const tasaPromedio = Number((Number(r.total_soles) / Number(r.monto) * Number(r.unidad_cotizacion)).toFixed(4));
+      if (r.tipo === 'COMPRA') {
+        d.total_comprado += Number(r.monto);
+        d.operaciones_compra += Number(r.operaciones);
+        d.tasa_promedio_compra = tasaPromedio;
+      } else {
+        d.total_vendido += Number(r.monto);
+        d.operaciones_venta += Number(r.operaciones);
+        d.tasa_promedio_venta = tasaPromedio;
+      }
+    }
+    for (const r of canjes) {
+      const origen = divisa(r.divisa_id, r.divisa_codigo);
+      origen.total_comprado += Number(r.monto);
+      origen.operaciones_canje += Number(r.operaciones);
+      const destino = divisa(r.divisa_destino_id, r.divisa_destino_codigo);
+      destino.total_vendido += Number(r.monto_destino);
+      destino.operaciones_canje += Number(r.operaciones);
+    }
+
+    logger.info(`Historial de cliente ${clienteId} obtenido`, { user: req.user.id, limit, offset });
+    res.json({
+      success: true,
+      data: {
+        cliente: cliente[0],
+        resumen: {
+          num_operaciones: Number(resumen[0].num_operaciones),
+          primera_visita: resumen[0].primera_visita,
+          ultima_visita: resumen[0].ultima_visita,
+          total_soles: Number(resumen[0].total_soles),
+          utilidad_total: Number(resumen[0].utilidad_total),
+          por_divisa: Object.values(divisas).map(d => ({
+            ...d,
+            total_comprado: Number(d.total_comprado.toFixed(2)),
+            total_vendido: Number(d.total_vendido.toFixed(2)),
+          })),
+        },
+        operaciones: operaciones.map(t => ({
+          ...t,
+          numero_recibo: t.numero_recibo ? formatearSerie(t.serie, t.numero_recibo) : null,
+          monto: Number(t.monto),
+          monto_destino: t.monto_destino !== null ? Number(t.monto_destino) : null,
+          tipo_cambio: Number(t.tipo_cambio),
+          total_soles: Number(t.total_soles),
+          utilidad: t.utilidad !== null ? Number(t.utilidad) : null,
+        })),
+      },
+      total: total[0].total,
+      limit,
+      offset,
+    });
+  } catch (err) {
+    logger.error(`Error obteniendo historial de cliente: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, message: `Error al obtener historial del cliente: ${err.message}` });
+  }
+});
+
+// POST: Fusionar un cliente duplicado en este (solo Admin)
+router.post('/:id/fusionar', auth, async (req, res) => {
+  if (req.user.rol !== 'Admin') return res.status(403).json({ success: false, message: 'Acceso denegado' });
+  const { error, value } = fusionSchema.validate(req.body);
+  if (error) {
+    const errorMessage = error.details.map(detail => detail.message).join(', ');
+    logger.error(`Validación fallida en POST /clientes/:id/fusionar: ${errorMessage}`, { user: req.user.id });
+    return res.status(400).json({ success: false, message: errorMessage });
+  }
+  const clienteId = parseInt(req.params.id);
+  if (value.duplicado_id === clienteId) {
+    return res.status(400).json({ success: false, message: 'Un cliente no puede fusionarse consigo mismo' });
+  }
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [clientes] = await connection.query(
+      `SELECT ${COLUMNAS_CLIENTE} FROM clientes WHERE id IN (?, ?) AND deleted_at IS NULL ORDER BY id FOR UPDATE`,
+      [clienteId, value.duplicado_id]
+    );
+    const principal = clientes.find(c => c.id === clienteId);
+    const duplicado = clientes.find(c => c.id === value.duplicado_id);
+    if (!principal || !duplicado) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, message: 'Cliente no encontrado' });
+    }
+    if (principal.dni && duplicado.dni && principal.dni !== duplicado.dni) {
+      await connection.rollback();
+      return res.status(400).json({ success: false, message: 'Los clientes tienen documentos distintos' });
+    }
+
+    const fusion = await fusionarClientes(connection, { principal, duplicado, motivo: value.motivo || null, usuario_id: req.user.id });
+    const riesgo = await evaluarRiesgo(connection, clienteId);
+    await connection.commit();
+    logger.info(`Cliente ${duplicado.id} fusionado en ${clienteId}`, { user: req.user.id, fusion_id: fusion.id });
+    res.json({
+      success: true,
+      message: 'Clientes fusionados',
+      data: {
+        fusion_id: fusion.id,
+        cliente_id: clienteId,
+        duplicado_id: duplicado.id,
+        campos_completados: fusion.campos_completados,
+        registros_movidos: fusion.registros_movidos,
+        nivel_riesgo: riesgo.nivel
+      }
+    });
+  } catch (err) {
+    await connection.rollback();
+    logger.error(`Error fusionando clientes: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, message: `Error al fusionar clientes: ${err.message}` });
+  } finally {
+    connection.release();
+  }
+});
+
+// GET: Tarifario preferencial del cliente (Admin, Auditor y Cajero)
+router.get('/:id/tasas', auth, async (req, res) => {
+  const clienteId = parseInt(req.params.id);
+  try {
+    const [tasas] = await db.query(
+      `SELECT tp.id, tp.divisa_id, d.codigo AS divisa_codigo, tp.tipo, tp.mejora, tp.tasa_compra, tp.tasa_venta,
+              DATE_FORMAT(tp.vigente_desde, '%Y-%m-%d') AS vigente_desde, DATE_FORMAT(tp.vigente_hasta, '%Y-%m-%d') AS vigente_hasta,
+              tp.monto_maximo, tp.activo, tp.creado_por, tp.created_at, tp.updated_at
+       FROM tasas_preferenciales tp JOIN divisas d ON tp.divisa_id = d.id
+       WHERE tp.cliente_id = ?
+       ORDER BY d.codigo ASC, tp.id DESC`,
+      [clienteId]
+    );
+    res.json({ success: true, data: tasas.map(t => ({ ...t, activo: !!t.activo })) });
+  } catch (err) {
+    logger.error(`Error obteniendo tasas preferenciales: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, message: `Error al obtener tasas preferenciales: ${err.message}` });
+  }
+});
+
+// POST: Agregar una tasa preferencial al cliente (solo Admin)
+router.post('/:id/tasas', auth, async (req, res) => {
+  if (req.user.rol !== 'Admin') return res.status(403).json({ success: false, message: 'Acceso denegado' });
+  const { error, value } = tasaPreferencialSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({ success: false, message: error.details.map(detail => detail.message).join(', ') });
+  }
+  const clienteId = parseInt(req.params.id);
+  try {
+    const [cliente] = await db.query('SELECT id FROM clientes WHERE id = ? AND deleted_at IS NULL', [clienteId]);
+    if (!cliente.length) return res.status(404).json({ success: false, message: 'Cliente no encontrado' });
+    const invalida = await validarTasaPreferencial(value);
+    if (invalida) return res.status(400).json({ success: false, message: invalida });
+    const { divisa_id, tipo, mejora, tasa_compra, tasa_venta, vigente_desde = null, vigente_hasta = null, monto_maximo, activo } = value;
+    const [result] = await db.query(
+      `INSERT INTO tasas_preferenciales (cliente_id, divisa_id, tipo, mejora, tasa_compra, tasa_venta, vigente_desde, vigente_hasta, monto_maximo, activo, creado_por, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [clienteId, divisa_id, tipo, mejora, tasa_compra, tasa_venta, vigente_desde, vigente_hasta, monto_maximo, activo, req.user.id]
+    );
+    logger.info(`Tasa preferencial creada para cliente ${clienteId}`, { user: req.user.id, id: result.insertId, divisa_id, tipo });
+    res.json({ success: true, message: 'Tasa preferencial creada', data: { id: result.insertId, cliente_id: clienteId, ...value } });
+  } catch (err) {
+    logger.error(`Error creando tasa preferencial: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, message: `Error al crear tasa preferencial: ${err.message}` });
+  }
+});
+
+// PUT: Actualizar una tasa preferencial (solo Admin)
+router.put('/:id/tasas/:tasaId', auth, async (req, res) => {
+  if (req.user.rol !== 'Admin') return res.status(403).json({ success: false, message: 'Acceso denegado' });
+  const { error, value } = tasaPreferencialSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({ success: false, message: error.details.map(detail => detail.message).join(', ') });
+  }
+  const clienteId = parseInt(req.params.id);
+  const tasaId = parseInt(req.params.tasaId);
+  try {
+    const invalida = await validarTasaPreferencial(value);
+    if (invalida) return res.status(400).json({ success: false, message: invalida });
+    const { divisa_id, tipo, mejora, tasa_compra, tasa_venta, vigente_desde = null, vigente_hasta = null, monto_maximo, activo } = value;
+    const [result] = await db.query(
+      `UPDATE tasas_preferenciales SET divisa_id = ?, tipo = ?, mejora = ?, tasa_compra = ?, tasa_venta = ?, vigente_desde = ?, vigente_hasta = ?,
+         monto_maximo = ?, activo = ?, updated_at = NOW()
+       WHERE id = ? AND cliente_id = ?`,
+      [divisa_id, tipo, mejora, tasa_compra, tasa_venta, vigente_desde, vigente_hasta, monto_maximo, activo, tasaId, clienteId]
+    );
+    if (!result.affectedRows) return res.status(404).json({ success: false, message: 'Tasa preferencial no encontrada' });
+    logger.info(`Tasa preferencial ${tasaId} actualizada`, { user: req.user.id, cliente_id: clienteId });
+    res.json({ success: true, message: 'Tasa preferencial actualizada', data: { id: tasaId, cliente_id: clienteId, ...value } });
+  } catch (err) {
+    logger.error(`Error actualizando tasa preferencial: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, message: `Error al actualizar tasa preferencial: ${err.message}` });
+  }
+});
+
+// DELETE: Eliminar una tasa preferencial (solo Admin; las transacciones conservan la referencia)
+router.delete('/:id/tasas/:tasaId', auth, async (req, res) => {
+  if (req.user.rol !== 'Admin') return res.status(403).json({ success: false, message: 'Acceso denegado' });
+  const clienteId = parseInt(req.params.id);
+  const tasaId = parseInt(req.params.tasaId);
+  try {
+    const [result] = await db.query('UPDATE tasas_preferenciales SET activo = FALSE, updated_at = NOW() WHERE id = ? AND cliente_id = ?', [tasaId, clienteId]);
+    if (!result.affectedRows) return res.status(404).json({ success: false, message: 'Tasa preferencial no encontrada' });
+    logger.info(`Tasa preferencial ${tasaId} desactivada`, { user: req.user.id, cliente_id: clienteId });
+    res.json({ success: true, message: 'Tasa preferencial eliminada', data: { id: tasaId } });
+  } catch (err) {
+    logger.error(`Error eliminando tasa preferencial: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, message: `Error al eliminar tasa preferencial: ${err.message}` });
+  }
+});
+
+// GET: Historial de cambios de riesgo de un cliente (Admin y Auditor)
+router.get('/:id/riesgo', auth, async (req, res) => {
+  if (!['Admin', 'Auditor'].includes(req.user.rol)) return res.status(403).json({ success: false, message: 'Acceso denegado' });
+  const clienteId = parseInt(req.params.id);
+  try {
+    const [cliente] = await db.query(
+      'SELECT id, nombre, nivel_riesgo, puntaje_riesgo, riesgo_actualizado_at FROM clientes WHERE id = ?',
+      [clienteId]
+    );
+    if (!cliente.length) return res.status(404).json({ success: false, message: 'Cliente no encontrado' });
+    const [historial] = await db.query(
+      'SELECT id, nivel_anterior, nivel_nuevo, puntaje_anterior, puntaje_nuevo, detalle, transaccion_id, created_at FROM historial_riesgo WHERE cliente_id = ? ORDER BY created_at DESC, id DESC',
+      [clienteId]
+    );
+    res.json({
+      success: true,
+      data: {
+        ...cliente[0],
+        historial: historial.map(h => ({ ...h, detalle: typeof h.detalle === 'string' ? JSON.parse(h.detalle) : h.detalle }))
+      }
+    });
+  } catch (err) {
+    logger.error(`Error obteniendo historial de riesgo: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, message: `Error al obtener historial de riesgo: ${err.message}` });
+  }
+});
+
 // PUT: Actualizar cliente
 router.put('/:id', auth, async (req, res) => {
-  const { error } = clienteSchema.validate(req.body, { abortEarly: false });
+  const { error, value } = clienteUpdateSchema.validate(req.body, { abortEarly: false });
   if (error) {
     const errorMessage = error.details.map(detail => detail.message).join(', ');
     logger.error(`Validación fallida en PUT /clientes/:id: ${errorMessage}`, { user: req.user.id });
     return res.status(400).json({ success: false, message: errorMessage });
   }
 
-  const { nombre, dni, whatsapp, email } = req.body;
+  const { nombre, dni, whatsapp, email } = value;
   const clienteId = parseInt(req.params.id);
 
   try {
-    const [existing] = await db.query('SELECT id FROM clientes WHERE id = ? AND deleted_at IS NULL', [clienteId]);
+    const [existing] = await db.query('SELECT id, tipo_documento FROM clientes WHERE id = ? AND deleted_at IS NULL', [clienteId]);
     if (existing.length === 0) {
       logger.warn(`Cliente no encontrado: ${clienteId}`, { user: req.user.id });
       return res.status(404).json({ success: false, message: 'Cliente no encontrado' });
     }
 
+    const tipo_documento = value.tipo_documento || existing[0].tipo_documento;
+    if (!value.tipo_documento) {
+      const { error: documentoError } = documentoTipoSchema.validate({ tipo_documento, dni });
+      if (documentoError) {
+        logger.error(`Validación fallida en PUT /clientes/:id: ${documentoError.message}`, { user: req.user.id });
+        return res.status(400).json({ success: false, message: documentoError.message });
+      }
+    }
+
     const [dniDuplicate] = await db.query('SELECT id FROM clientes WHERE dni = ? AND id != ? AND deleted_at IS NULL', [dni || null, clienteId]);
     if (dniDuplicate.length > 0 && dni) {
       logger.warn(`Intento de actualizar cliente con DNI duplicado: ${dni}`, { user: req.user.id });
       return res.status(400).json({ success: false, message: 'El DNI ya está registrado' });
     }
 
+    // Screening contra listas de sanciones/PEP
+    const caso = await screening(db, { cliente_id: clienteId, nombre, documento: dni, origen: 'CLIENTE_EDICION', usuario_id: req.user.id });
+    if (caso) {
+      logger.warn(`Edición de cliente ${clienteId} detenida por coincidencia en listas de control (caso #${caso.id})`, { user: req.user.id });
+      return res.status(403).json({ success: false, message: 'Coincidencia en listas de control: pendiente de revisión por un Auditor', data: { caso_id: caso.id, estado: caso.estado } });
+    }
+
+    const kyc = CAMPOS_KYC.filter(campo => value[campo] !== undefined);
     await db.query(
-      'UPDATE clientes SET nombre = ?, dni = ?, whatsapp = ?, email = ?, updated_at = NOW() WHERE id = ?',
-      [nombre, dni || null, whatsapp || null, email || null, clienteId]
+      `UPDATE clientes SET nombre = ?, tipo_documento = ?, dni = ?, whatsapp = ?, email = ?, ${kyc.map(campo => `${campo} = ?, `).join('')}updated_at = NOW() WHERE id = ?`,
+      [nombre, tipo_documento, dni || null, whatsapp || null, email || null, ...kyc.map(campo => valorKyc(value, campo)), clienteId]
     );
-    logger.info(`Cliente actualizado: ${nombre}, ID: ${clienteId}`, { user: req.user.id });
-    res.json({ success: true, message: 'Cliente actualizado', data: { id: clienteId, nombre, dni, whatsapp, email } });
+    const riesgo = await evaluarRiesgo(db, clienteId);
+    logger.info(`Cliente actualizado: ${nombre}, ID: ${clienteId}`, { user: req.user.id, nivel_riesgo: riesgo.nivel });
+    res.json({ success: true, message: 'Cliente actualizado', data: { id: clienteId, ...value, tipo_documento, nivel_riesgo: riesgo.nivel, puntaje_riesgo: riesgo.puntaje } });
   } catch (err) {
     logger.error(`Error actualizando cliente: ${err.message}`, { user: req.user.id, stack: err.stack });
     res.status(500).json({ success: false, message: `Error al actualizar cliente: ${err.message}` });
   }
 });
 
+// POST: Restaurar un cliente eliminado
+router.post('/:id/restaurar', auth, async (req, res) => {
+  const clienteId = parseInt(req.params.id);
+
+  try {
+    const [existing] = await db.query('SELECT id, dni FROM clientes WHERE id = ? AND deleted_at IS NOT NULL', [clienteId]);
+    if (existing.length === 0) {
+      logger.warn(`Cliente eliminado no encontrado: ${clienteId}`, { user: req.user.id });
+      return res.status(404).json({ success: false, message: 'Cliente no encontrado o no está eliminado' });
+    }
+
+    // Los clientes dados de baja por una fusión se recuperan deshaciendo la fusión
+    const [fusion] = await db.query(
+      "SELECT id FROM fusiones_clientes WHERE cliente_duplicado_id = ? AND estado = 'APLICADA' LIMIT 1",
+      [clienteId]
+    );
+    if (fusion.length > 0) {
+      return res.status(400).json({ success: false, message: 'El cliente fue fusionado en otro; deshaga la fusión', data: { fusion_id: fusion[0].id } });
+    }
+
+    if (existing[0].dni) {
+      const [dniDuplicate] = await db.query('SELECT id FROM clientes WHERE dni = ? AND id != ? AND deleted_at IS NULL', [existing[0].dni, clienteId]);
+      if (dniDuplicate.length > 0) {
+        logger.warn(`Intento de restaurar cliente con DNI ya registrado: ${existing[0].dni}`, { user: req.user.id });
+        return res.status(400).json({ success: false, message: 'El DNI ya está registrado en otro cliente', data: { cliente_id: dniDuplicate[0].id } });
+      }
+    }
+
+    await db.query('UPDATE clientes SET deleted_at = NULL, updated_at = NOW() WHERE id = ?', [clienteId]);
+    logger.info(`Cliente restaurado: ID ${clienteId}`, { user: req.user.id });
+    res.json({ success: true, message: 'Cliente restaurado', data: { id: clienteId } });
+  } catch (err) {
+    logger.error(`Error restaurando cliente: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, message: `Error al restaurar cliente: ${err.message}` });
+  }
+});
+
 // DELETE: Eliminar cliente (soft delete)
 router.delete('/:id', auth, async (req, res) => {
   const clienteId = parseInt(req.params.id);
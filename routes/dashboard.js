@@ -30,9 +30,11 @@ router.get('/', auth, log, async (req, res) => {
     const { incluirCerradas = false, limit = 15, dias } = req.query;
     const incluirCerradasBool = incluirCerradas === 'true' || incluirCerradas === true;
     const whereClause = incluirCerradasBool ? 'c.usuario_id = ?' : 'c.usuario_id = ? AND c.estado = "ABIERTA"';
+    // Las transacciones anuladas no suman en los totales
+    const totalesWhere = `${whereClause} AND t.estado = "COMPLETADA"`;
 
     // Para dailyUtilidad: si se pasa dias, filtra por ese rango, si no, histórico
-    let dailyUtilidadWhere = whereClause;
+    let dailyUtilidadWhere = totalesWhere;
     let dailyUtilidadDateFilter = '';
     if (dias && !isNaN(Number(dias))) {
       dailyUtilidadDateFilter = `AND t.fecha >= DATE_SUB(CURDATE(), INTERVAL ${Number(dias)} DAY)`;
@@ -41,11 +43,11 @@ router.get('/', auth, log, async (req, res) => {
     const [usersResult, transactionsResult, utilidadResult, cajaResult, saldosResult, recentTransResult, comprasVentasResult, dailyUtilidadResult] = await Promise.all([
       db.query('SELECT COUNT(*) as count FROM users'),
       db.query(
-        `SELECT COUNT(*) as count, COALESCE(SUM(total_soles), 0) as total_soles FROM transacciones t JOIN caja c ON t.caja_id = c.id WHERE ${whereClause}`,
+        `SELECT COUNT(*) as count, COALESCE(SUM(total_soles), 0) as total_soles FROM transacciones t JOIN caja c ON t.caja_id = c.id WHERE ${totalesWhere}`,
         [req.user.id]
       ),
       db.query(
-        `SELECT COALESCE(SUM(utilidad), 0) as utilidad FROM transacciones t JOIN caja c ON t.caja_id = c.id WHERE ${whereClause}`,
+        `SELECT COALESCE(SUM(utilidad), 0) as utilidad FROM transacciones t JOIN caja c ON t.caja_id = c.id WHERE ${totalesWhere}`,
         [req.user.id]
       ),
       db.query('SELECT id, utilidad_total, fecha_apertura FROM caja WHERE estado = "ABIERTA" AND usuario_id = ? LIMIT 1', [req.user.id]),
@@ -54,11 +56,11 @@ router.get('/', auth, log, async (req, res) => {
         [req.user.id]
       ),
       db.query(
-        `SELECT t.id, t.tipo, d.codigo AS divisa_codigo, t.monto, t.total_soles, t.utilidad, t.fecha FROM transacciones t JOIN divisas d ON t.divisa_id = d.id JOIN caja c ON t.caja_id = c.id WHERE ${whereClause} ORDER BY t.fecha DESC${limit ? ` LIMIT ${parseInt(limit)}` : ''}`,
+        `SELECT t.id, t.tipo, d.codigo AS divisa_codigo, t.monto, t.total_soles, t.utilidad, t.estado, t.fecha FROM transacciones t JOIN divisas d ON t.divisa_id = d.id JOIN caja c ON t.caja_id = c.id WHERE ${whereClause} ORDER BY t.fecha DESC${limit ? ` LIMIT ${parseInt(limit)}` : ''}`,
         [req.user.id]
       ),
       db.query(
-        `SELECT d.codigo AS divisa_codigo, SUM(CASE WHEN t.tipo = "COMPRA" THEN t.total_soles ELSE 0 END) AS compras, SUM(CASE WHEN t.tipo = "VENTA" THEN t.total_soles ELSE 0 END) AS ventas FROM transacciones t JOIN divisas d ON t.divisa_id = d.id JOIN caja c ON t.caja_id = c.id WHERE ${whereClause} GROUP BY d.codigo`,
+        `SELECT d.codigo AS divisa_codigo, SUM(CASE WHEN t.tipo = "COMPRA" THEN t.total_soles ELSE 0 END) AS compras, SUM(CASE WHEN t.tipo = "VENTA" THEN t.total_soles ELSE 0 END) AS ventas FROM transacciones t JOIN divisas d ON t.divisa_id = d.id JOIN caja c ON t.caja_id = c.id WHERE ${totalesWhere} GROUP BY d.codigo`,
         [req.user.id]
       ),
       db.query(
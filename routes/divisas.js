@@ -2,6 +2,14 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const auth = require('../middlewares/auth');
+const { buscarTasaPreferencial, aplicarTasaPreferencial } = require('../services/tasasPreferenciales');
+const { registrarCambioTasa, versionVigente, velasDiarias } = require('../services/historialTasas');
+const { aplicarTasasProgramadas, aplicarTasasVencidas } = require('../services/tasasProgramadas');
+const { notificarTasas } = require('../services/tasasPublicas');
+const { costoInventario } = require('../services/costoInventario');
+const { UNIDADES_COTIZACION, DECIMALES_MAXIMOS, parametrosDivisas, validarMonto, validarTasas } = require('../services/precisionDivisas');
+const { BLOQUEO_MINUTOS, repreciarDivisa, repreciarDivisas, repreciarTrasReferencias } = require('../services/precios');
+const { FUENTES, guardarReferencias, actualizarReferencias, referenciaVigente } = require('../services/tasasReferencia');
 const Joi = require('joi');
 const winston = require('winston');
 
@@ -36,28 +44,235 @@ function authorize(...roles) {
   };
 }
 
+// Parámetros de cotización: las tasas son el precio en soles de unidad_cotizacion unidades
+// y deben quedar dentro de [tasa_minima, tasa_maxima] (null = sin límite)
+const parametrosCampos = {
+  unidad_cotizacion: Joi.number().integer().valid(...UNIDADES_COTIZACION),
+  decimales: Joi.number().integer().min(0).max(DECIMALES_MAXIMOS),
+  tasa_minima: Joi.number().positive().precision(4).allow(null),
+  tasa_maxima: Joi.number().positive().precision(4).allow(null)
+};
+const rangoTasas = (valor, helpers) => valor.tasa_minima != null && valor.tasa_maxima != null && valor.tasa_minima > valor.tasa_maxima
+  ? helpers.message('tasa_minima no puede ser mayor que tasa_maxima')
+  : valor;
+
 // Esquema de validación para divisas
 const divisaSchema = Joi.object({
   codigo: Joi.string().length(3).uppercase().required(),
   nombre: Joi.string().min(3).max(50).required(),
-  tasa_compra: Joi.number().positive().precision(4).min(1).max(10).required(),
-  tasa_venta: Joi.number().positive().precision(4).min(1).max(10).required(),
-  costo_base_moneda: Joi.number().positive().precision(4).min(1).max(10).required()
-});
+  tasa_compra: Joi.number().positive().precision(4).required(),
+  tasa_venta: Joi.number().positive().precision(4).required(),
+  costo_base_moneda: Joi.number().positive().precision(4).required(),
+  metodo_costeo: Joi.string().valid('FIFO', 'LIFO', 'WAC').default('WAC'),
+  // Se muestra en GET /api/tasas/publicas
+  publica: Joi.boolean().default(false),
+  unidad_cotizacion: parametrosCampos.unidad_cotizacion.default(1),
+  decimales: parametrosCampos.decimales.default(DECIMALES_MAXIMOS),
+  tasa_minima: parametrosCampos.tasa_minima.default(null),
+  tasa_maxima: parametrosCampos.tasa_maxima.default(null)
+}).custom(rangoTasas);
+
+// Cambio de parámetros: lo que no se envía se conserva (null quita un límite)
+const parametrosSchema = Joi.object(parametrosCampos).min(1);
 
 // Esquema para actualización de tasas
 const tasaSchema = Joi.object({
-  tasa_compra: Joi.number().positive().precision(4).min(1).max(10).required(),
-  tasa_venta: Joi.number().positive().precision(4).min(1).max(10).required(),
-  costo_base_moneda: Joi.number().positive().precision(4).min(1).max(10).optional()
+  tasa_compra: Joi.number().positive().precision(4).required(),
+  tasa_venta: Joi.number().positive().precision(4).required(),
+  costo_base_moneda: Joi.number().positive().precision(4).optional(),
+  metodo_costeo: Joi.string().valid('FIFO', 'LIFO', 'WAC').optional(),
+  // Con regla de precio activa: minutos que la regla no pisa este cambio (por defecto, los de la regla)
+  bloqueo_minutos: Joi.number().integer().min(0).max(10080).optional(),
+  // Hora a partir de la que rigen las tasas; si es futura el cambio queda programado
+  // (solo tasas y costo base; la regla de precio se bloquea con sus minutos por defecto)
+  vigente_desde: Joi.date().iso().optional()
+})
+  .when(Joi.object({ vigente_desde: Joi.date().greater('now').required() }).unknown(), {
+    then: Joi.object({ metodo_costeo: Joi.forbidden(), bloqueo_minutos: Joi.forbidden() })
+  });
+
+const programadasQuerySchema = Joi.object({
+  estado: Joi.string().uppercase().valid('PENDIENTE', 'APLICADA', 'CANCELADA').default('PENDIENTE')
+});
+
+// Regla de precio: referencia más márgenes, redondeo y spread mínimo
+const reglaPrecioSchema = Joi.object({
+  fuente: Joi.string().uppercase().valid(...FUENTES).allow(null).default(null),
+  tipo_margen: Joi.string().uppercase().valid('ABSOLUTO', 'PORCENTAJE').default('ABSOLUTO'),
+  margen_compra: Joi.number().min(0).precision(4).required(),
+  margen_venta: Joi.number().min(0).precision(4).required(),
+  decimales: Joi.number().integer().min(0).max(4).default(3),
+  redondeo: Joi.string().uppercase().valid('FAVORABLE', 'CERCANO').default('FAVORABLE'),
+  spread_minimo: Joi.number().min(0).precision(4).default(0),
+  bloqueo_minutos: Joi.number().integer().min(0).max(10080).default(BLOQUEO_MINUTOS),
+  activo: Joi.boolean().default(true)
+});
+
+// Esquema para tramos de tasa por volumen (monto_hasta nulo = sin límite superior)
+const tramoSchema = Joi.object({
+  monto_desde: Joi.number().min(0).precision(2).required(),
+  monto_hasta: Joi.number().positive().precision(2).greater(Joi.ref('monto_desde')).allow(null).default(null),
+  tasa_compra: Joi.number().positive().precision(4).required(),
+  tasa_venta: Joi.number().positive().precision(4).required()
+});
+
+// Esquema para el catálogo de denominaciones (billetes y monedas)
+const denominacionSchema = Joi.object({
+  valor: Joi.number().positive().precision(2).required(),
+  tipo: Joi.string().valid('BILLETE', 'MONEDA').default('BILLETE')
+});
+
+// Query de GET /:id: con cliente_id se devuelve además la tasa efectiva para ese cliente
+const divisaQuerySchema = Joi.object({
+  cliente_id: Joi.number().integer().min(1).optional(),
+  monto: Joi.number().positive().precision(2).optional()
+});
+
+// Consulta del historial de tasas: rango de días y agrupación
+const historialQuerySchema = Joi.object({
+  desde: Joi.date().iso().raw().optional(),
+  hasta: Joi.date().iso().raw().min(Joi.ref('desde')).optional(),
+  agrupacion: Joi.string().valid('cambios', 'dia').default('cambios')
+});
+
+// Momento para la consulta de la tasa vigente (fecha y hora locales del servidor)
+const tasaVigenteQuerySchema = Joi.object({
+  fecha: Joi.date().iso().optional()
+});
+
+// Carga manual de una tasa de referencia (respaldo cuando el proveedor no responde)
+const referenciaManualSchema = Joi.object({
+  divisa_id: Joi.number().integer().min(2).required(),
+  compra: Joi.number().positive().precision(4).required(),
+  venta: Joi.number().positive().precision(4).min(Joi.ref('compra')).required(),
+  fecha_fuente: Joi.string().trim().max(30).allow('', null).optional()
+});
+
+const actualizarReferenciasSchema = Joi.object({
+  fuentes: Joi.array().items(Joi.string().valid(...FUENTES.filter(f => f !== 'MANUAL'))).min(1).optional()
+});
+
+const publicaSchema = Joi.object({
+  publica: Joi.boolean().required()
+});
+
+const fuenteReferenciaSchema = Joi.object({
+  fuente: Joi.string().uppercase().valid(...FUENTES).required()
+});
+
+// Tasas del tramo dentro del rango de la divisa y límites con los decimales de sus montos
+async function validarTramo(connection, divisaId, tramo) {
+  const [divisa] = await parametrosDivisas(connection, [divisaId]);
+  return validarTasas(divisa, { tasa_compra: tramo.tasa_compra, tasa_venta: tramo.tasa_venta }) ||
+    validarMonto(divisa, tramo.monto_desde, 'monto_desde') ||
+    (tramo.monto_hasta !== null && validarMonto(divisa, tramo.monto_hasta, 'monto_hasta')) ||
+    null;
+}
+
+// Busca un tramo existente que se cruce con el rango [desde, hasta)
+async function tramoSolapado(connection, divisaId, { monto_desde, monto_hasta }, excluirId = null) {
+  const [tramos] = await connection.query(
+    'SELECT id, monto_desde, monto_hasta FROM divisas_tramos WHERE divisa_id = ? AND id <> ?',
+    [divisaId, excluirId || 0]
+  );
+  const hasta = monto_hasta === null ? Infinity : monto_hasta;
+  return tramos.find(t => {
+    const tHasta = t.monto_hasta === null ? Infinity : Number(t.monto_hasta);
+    return monto_desde < tHasta && Number(t.monto_desde) < hasta;
+  });
+}
+
+// 📌 GET cambios de tasa programados pendientes de todas las divisas (Admin, Auditor)
+router.get('/tasas-programadas', auth, authorize('Admin', 'Auditor'), async (req, res) => {
+  try {
+    await aplicarTasasVencidas();
+    const [programadas] = await pool.query(
+      `SELECT tp.*, d.codigo, d.nombre
+       FROM tasas_programadas tp JOIN divisas d ON tp.divisa_id = d.id
+       WHERE tp.estado = 'PENDIENTE'
+       ORDER BY tp.vigente_desde ASC, tp.id ASC`
+    );
+    res.json(programadas);
+  } catch (err) {
+    logger.error(`Error obteniendo tasas programadas: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al obtener tasas programadas' });
+  }
+});
+
+// 📌 GET tasas de referencia: por divisa, su fuente autorizada, la tasa vigente y la última de cada fuente
+router.get('/referencias', auth, authorize('Admin', 'Auditor', 'Cajero'), async (req, res) => {
+  try {
+    const [divisas] = await pool.query("SELECT id, codigo, nombre, fuente_referencia FROM divisas WHERE codigo <> 'PEN' ORDER BY codigo ASC");
+    const [ultimas] = await pool.query(
+      `SELECT tr.id, tr.divisa_id, tr.fuente, tr.compra, tr.venta, tr.fecha_fuente, tr.usuario_id, tr.obtenida_at
+       FROM tasas_referencia tr
+       JOIN (SELECT MAX(id) AS id FROM tasas_referencia GROUP BY divisa_id, fuente) u ON tr.id = u.id`
+    );
+    const data = [];
+    for (const d of divisas) {
+      const vigente = await referenciaVigente(pool, d.id);
+      data.push({ ...d, vigente, fuentes: ultimas.filter(u => u.divisa_id === d.id) });
+    }
+    res.json({ fuentes: FUENTES, data });
+  } catch (err) {
+    logger.error(`Error obteniendo tasas de referencia: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al obtener tasas de referencia' });
+  }
+});
+
+// 📌 POST carga manual de una tasa de referencia (solo Admin)
+router.post('/referencias', auth, authorize('Admin'), async (req, res) => {
+  const { error, value } = referenciaManualSchema.validate(req.body, { convert: true });
+  if (error) {
+    return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
+  }
+  try {
+    const [divisa] = await pool.query('SELECT codigo FROM divisas WHERE id = ?', [value.divisa_id]);
+    if (!divisa.length) {
+      return res.status(404).json({ msg: 'Divisa no encontrada' });
+    }
+    const [guardada] = await guardarReferencias(pool, 'MANUAL', [{ codigo: divisa[0].codigo, ...value }], req.user.id);
+    const repreciaciones = await repreciarDivisas([value.divisa_id]);
+    logger.info(`Tasa de referencia manual cargada: ${divisa[0].codigo}`, { user: req.user.id, compra: value.compra, venta: value.venta });
+    notificarTasas('REFERENCIA', value.divisa_id);
+    res.status(201).json({ msg: 'Tasa de referencia registrada', data: guardada, repreciaciones });
+  } catch (err) {
+    logger.error(`Error cargando tasa de referencia: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al registrar tasa de referencia' });
+  }
+});
+
+// 📌 POST consultar ya los proveedores (solo Admin); sin cuerpo, los que son fuente de alguna divisa
+router.post('/referencias/actualizar', auth, authorize('Admin'), async (req, res) => {
+  const { error, value } = actualizarReferenciasSchema.validate(req.body || {}, { convert: true });
+  if (error) {
+    return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
+  }
+  try {
+    const resultado = await actualizarReferencias(value.fuentes || null);
+    const repreciaciones = await repreciarTrasReferencias(resultado);
+    logger.info('Actualización manual de tasas de referencia', { user: req.user.id, resultado });
+    notificarTasas('REFERENCIAS');
+    res.json({ msg: 'Consulta de proveedores terminada', data: resultado, repreciaciones });
+  } catch (err) {
+    logger.error(`Error actualizando tasas de referencia: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al actualizar tasas de referencia' });
+  }
 });
 
 // 📌 GET una divisa específica (Admin, Auditor, Cajero)
+// ?cliente_id=&monto= agrega la tasa efectiva del cliente (tramo del monto y tarifa preferencial)
 router.get('/:id', auth, authorize('Admin', 'Auditor', 'Cajero'), async (req, res) => {
+  const { error, value } = divisaQuerySchema.validate(req.query, { convert: true });
+  if (error) {
+    return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
+  }
   try {
     const { id } = req.params;
+    await aplicarTasasVencidas([id]);
     const [rows] = await pool.query(
-      `SELECT d.id, d.codigo, d.nombre, d.tasa_compra, d.tasa_venta, dc.costo_base_moneda
+      `SELECT d.id, d.codigo, d.nombre, d.tasa_compra, d.tasa_venta, d.metodo_costeo, d.fuente_referencia, d.bloqueo_manual_hasta,
+              d.unidad_cotizacion, d.decimales, d.tasa_minima, d.tasa_maxima, d.publica, dc.costo_base_moneda
        FROM divisas d
        LEFT JOIN divisas_costos dc ON d.id = dc.divisa_id
        WHERE d.id = ?`,
@@ -67,8 +282,27 @@ router.get('/:id', auth, authorize('Admin', 'Auditor', 'Cajero'), async (req, re
       logger.warn(`Divisa no encontrada: ID ${id}`);
       return res.status(404).json({ msg: 'Divisa no encontrada' });
     }
-    logger.info(`Divisa obtenida: ID ${id}`, { divisa: rows[0] });
-    res.json(rows[0]);
+    const [tramos] = await pool.query(
+      'SELECT id, monto_desde, monto_hasta, tasa_compra, tasa_venta FROM divisas_tramos WHERE divisa_id = ? ORDER BY monto_desde ASC',
+      [id]
+    );
+    let tasa_cliente;
+    if (value.cliente_id) {
+      const { cliente_id, monto = null } = value;
+      const tramo = monto !== null
+        ? tramos.find(t => Number(t.monto_desde) <= monto && (t.monto_hasta === null || Number(t.monto_hasta) > monto))
+        : null;
+      const preferencial = await buscarTasaPreferencial(pool, { cliente_id, divisa_id: Number(id), monto });
+      tasa_cliente = {
+        cliente_id,
+        monto,
+        tramo_id: tramo ? tramo.id : null,
+        ...aplicarTasaPreferencial(tramo || rows[0], preferencial),
+        preferencial
+      };
+    }
+    logger.info(`Divisa obtenida: ID ${id}`, { divisa: rows[0], tramos: tramos.length, cliente_id: value.cliente_id });
+    res.json({ ...rows[0], tramos, ...(tasa_cliente && { tasa_cliente }) });
   } catch (err) {
     logger.error(`Error obteniendo divisa: ${err.message}`, { stack: err.stack });
     res.status(500).json({ msg: 'Error al obtener divisa' });
@@ -78,8 +312,10 @@ router.get('/:id', auth, authorize('Admin', 'Auditor', 'Cajero'), async (req, re
 // 📌 GET todas las divisas (Admin o Auditor)
 router.get('/', auth, authorize('Admin', 'Auditor'), async (req, res) => {
   try {
+    await aplicarTasasVencidas();
     const [rows] = await pool.query(
-      `SELECT d.id, d.codigo, d.nombre, d.tasa_compra, d.tasa_venta, dc.costo_base_moneda
+      `SELECT d.id, d.codigo, d.nombre, d.tasa_compra, d.tasa_venta, d.metodo_costeo, d.fuente_referencia,
+              d.unidad_cotizacion, d.decimales, d.tasa_minima, d.tasa_maxima, d.publica, dc.costo_base_moneda
        FROM divisas d
        LEFT JOIN divisas_costos dc ON d.id = dc.divisa_id
        ORDER BY d.codigo ASC`
@@ -100,7 +336,11 @@ router.post('/', auth, authorize('Admin'), async (req, res) => {
     return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
   }
 
-  const { codigo, nombre, tasa_compra, tasa_venta, costo_base_moneda } = value;
+  const { codigo, nombre, tasa_compra, tasa_venta, costo_base_moneda, metodo_costeo, publica, unidad_cotizacion, decimales, tasa_minima, tasa_maxima } = value;
+  const fueraDeRango = validarTasas(value, { tasa_compra, tasa_venta, costo_base_moneda });
+  if (fueraDeRango) {
+    return res.status(400).json({ msg: fueraDeRango });
+  }
   const connection = await pool.getConnection();
 
   try {
@@ -116,8 +356,8 @@ router.post('/', auth, authorize('Admin'), async (req, res) => {
 
     // Insertar divisa
     const [result] = await connection.query(
-      'INSERT INTO divisas (codigo, nombre, tasa_compra, tasa_venta) VALUES (?, ?, ?, ?)',
-      [codigo, nombre, tasa_compra, tasa_venta]
+      'INSERT INTO divisas (codigo, nombre, tasa_compra, tasa_venta, metodo_costeo, publica, unidad_cotizacion, decimales, tasa_minima, tasa_maxima) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [codigo, nombre, tasa_compra, tasa_venta, metodo_costeo, publica, unidad_cotizacion, decimales, tasa_minima, tasa_maxima]
     );
     const divisa_id = result.insertId;
 
@@ -126,9 +366,11 @@ router.post('/', auth, authorize('Admin'), async (req, res) => {
       'INSERT INTO divisas_costos (divisa_id, costo_base_moneda) VALUES (?, ?)',
       [divisa_id, costo_base_moneda]
     );
+    await registrarCambioTasa(connection, { divisa_id, usuario_id: req.user.id, origen: 'ALTA' });
 
     await connection.commit();
-    logger.info(`Divisa creada: ${codigo}`, { id: divisa_id, tasa_compra, tasa_venta, costo_base_moneda });
+    logger.info(`Divisa creada: ${codigo}`, { id: divisa_id, tasa_compra, tasa_venta, costo_base_moneda, metodo_costeo, unidad_cotizacion, decimales });
+    notificarTasas('CREADA', divisa_id);
     res.status(201).json({ msg: 'Divisa creada exitosamente', id: divisa_id });
   } catch (err) {
     await connection.rollback();
@@ -147,24 +389,47 @@ router.put('/:id', auth, authorize('Admin'), async (req, res) => {
     return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
   }
 
-  const { tasa_compra, tasa_venta, costo_base_moneda } = value;
+  const { tasa_compra, tasa_venta, costo_base_moneda, metodo_costeo, bloqueo_minutos, vigente_desde } = value;
   const { id } = req.params;
   const connection = await pool.getConnection();
 
   try {
     await connection.beginTransaction();
+    // Los cambios programados que ya vencieron van antes que este
+    await aplicarTasasProgramadas(connection, [id]);
 
-    // Verificar si la divisa existe
-    const [divisa] = await connection.query('SELECT 1 FROM divisas WHERE id = ?', [id]);
-    if (!divisa.length) {
+    // Verificar si la divisa existe y si las tasas entran en su rango
+    const [divisa] = await parametrosDivisas(connection, [id]);
+    if (!divisa) {
       await connection.rollback();
       return res.status(404).json({ msg: 'Divisa no encontrada' });
     }
+    const fueraDeRango = validarTasas(divisa, { tasa_compra, tasa_venta, costo_base_moneda });
+    if (fueraDeRango) {
+      await connection.rollback();
+      return res.status(400).json({ msg: fueraDeRango });
+    }
+
+    // Con vigente_desde futura el cambio queda pendiente y se aplica al llegar esa hora
+    if (vigente_desde && vigente_desde > new Date()) {
+      const [programada] = await connection.query(
+        `INSERT INTO tasas_programadas (divisa_id, tasa_compra, tasa_venta, costo_base_moneda, vigente_desde, creado_por, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+        [id, tasa_compra, tasa_venta, costo_base_moneda || null, vigente_desde, req.user.id]
+      );
+      await connection.commit();
+      logger.info(`Cambio de tasa programado para divisa ID ${id}`, { id: programada.insertId, tasa_compra, tasa_venta, costo_base_moneda, vigente_desde });
+      notificarTasas('PROGRAMADA', id);
+      return res.status(202).json({
+        msg: 'Cambio de tasa programado',
+        data: { id: programada.insertId, divisa_id: Number(id), tasa_compra, tasa_venta, costo_base_moneda: costo_base_moneda || null, vigente_desde, estado: 'PENDIENTE' }
+      });
+    }
 
-    // Actualizar tasas
+    // Actualizar tasas (y método de costeo si se envía)
     const [result] = await connection.query(
-      'UPDATE divisas SET tasa_compra = ?, tasa_venta = ? WHERE id = ?',
-      [tasa_compra, tasa_venta, id]
+      'UPDATE divisas SET tasa_compra = ?, tasa_venta = ?, metodo_costeo = COALESCE(?, metodo_costeo) WHERE id = ?',
+      [tasa_compra, tasa_venta, metodo_costeo || null, id]
     );
 
     // Actualizar o insertar costo base
@@ -187,10 +452,24 @@ router.put('/:id', auth, authorize('Admin'), async (req, res) => {
       await connection.rollback();
       return res.status(404).json({ msg: 'Divisa no encontrada' });
     }
+    await registrarCambioTasa(connection, { divisa_id: Number(id), usuario_id: req.user.id });
+
+    // Si la divisa tiene regla de precio, el cambio manual la bloquea por un tiempo
+    const [regla] = await connection.query('SELECT bloqueo_minutos FROM reglas_precio WHERE divisa_id = ? AND activo = TRUE', [id]);
+    let bloqueo_manual_hasta = null;
+    if (regla.length) {
+      const minutos = bloqueo_minutos ?? regla[0].bloqueo_minutos;
+      await connection.query(
+        'UPDATE divisas SET bloqueo_manual_hasta = IF(? > 0, NOW() + INTERVAL ? MINUTE, NULL) WHERE id = ?',
+        [minutos, minutos, id]
+      );
+      [[{ bloqueo_manual_hasta }]] = await connection.query('SELECT bloqueo_manual_hasta FROM divisas WHERE id = ?', [id]);
+    }
 
     await connection.commit();
-    logger.info(`Divisa actualizada: ID ${id}`, { tasa_compra, tasa_venta, costo_base_moneda });
-    res.json({ msg: 'Divisa actualizada exitosamente' });
+    logger.info(`Divisa actualizada: ID ${id}`, { tasa_compra, tasa_venta, costo_base_moneda, metodo_costeo, bloqueo_manual_hasta });
+    notificarTasas('ACTUALIZADA', id);
+    res.json({ msg: 'Divisa actualizada exitosamente', bloqueo_manual_hasta });
   } catch (err) {
     await connection.rollback();
     logger.error(`Error actualizando divisa: ${err.message}`, { stack: err.stack });
@@ -209,7 +488,7 @@ router.delete('/:id', auth, authorize('Admin'), async (req, res) => {
     await connection.beginTransaction();
 
     // Verificar si la divisa está en uso
-    const [transacciones] = await connection.query('SELECT 1 FROM transacciones WHERE divisa_id = ?', [id]);
+    const [transacciones] = await connection.query('SELECT 1 FROM transacciones WHERE divisa_id = ? OR divisa_destino_id = ? LIMIT 1', [id, id]);
     if (transacciones.length > 0) {
       await connection.rollback();
       logger.warn(`Intento de eliminar divisa en uso: ID ${id}`);
@@ -224,8 +503,58 @@ router.delete('/:id', auth, authorize('Admin'), async (req, res) => {
       return res.status(400).json({ msg: 'No se puede eliminar una divisa con inventario asociado' });
     }
 
-    // Eliminar costo base
+    // Verificar si la divisa tiene tasas preferenciales de clientes
+    const [preferenciales] = await connection.query('SELECT 1 FROM tasas_preferenciales WHERE divisa_id = ? LIMIT 1', [id]);
+    if (preferenciales.length > 0) {
+      await connection.rollback();
+      logger.warn(`Intento de eliminar divisa con tasas preferenciales: ID ${id}`);
+      return res.status(400).json({ msg: 'No se puede eliminar una divisa con tasas preferenciales asociadas' });
+    }
+
+    // Verificar si sus denominaciones ya se usaron en cajas u operaciones
+    const [denominacionesUsadas] = await connection.query(
+      `SELECT 1 FROM divisas_denominaciones dd
+       WHERE dd.divisa_id = ?
+         AND (EXISTS (SELECT 1 FROM caja_denominaciones cd WHERE cd.denominacion_id = dd.id)
+           OR EXISTS (SELECT 1 FROM transacciones_denominaciones td WHERE td.denominacion_id = dd.id))
+       LIMIT 1`,
+      [id]
+    );
+    if (denominacionesUsadas.length > 0) {
+      await connection.rollback();
+      logger.warn(`Intento de eliminar divisa con denominaciones en uso: ID ${id}`);
+      return res.status(400).json({ msg: 'No se puede eliminar una divisa cuyas denominaciones se usaron en cajas u operaciones' });
+    }
+
+    // Verificar si la divisa tuvo movimientos o saldos en alguna caja
+    const [enCaja] = await connection.query(
+      `SELECT 1 FROM movimientos_caja WHERE divisa_id = ?
+       UNION ALL SELECT 1 FROM transacciones_pagos WHERE divisa_id = ?
+       UNION ALL SELECT 1 FROM caja_arqueos WHERE divisa_id = ?
+       UNION ALL SELECT 1 FROM caja_saldos WHERE divisa_id = ? AND (saldo_inicial <> 0 OR saldo_actual <> 0)
+       UNION ALL SELECT 1 FROM caja_saldos_medios WHERE divisa_id = ? AND saldo_actual <> 0
+       LIMIT 1`,
+      [id, id, id, id, id]
+    );
+    if (enCaja.length > 0) {
+      await connection.rollback();
+      logger.warn(`Intento de eliminar divisa con movimientos en caja: ID ${id}`);
+      return res.status(400).json({ msg: 'No se puede eliminar una divisa con movimientos o saldos en caja' });
+    }
+
+    // Eliminar costo base, tramos, referencias, cotizaciones, historial y configuración de tasas de la divisa
     await connection.query('DELETE FROM divisas_costos WHERE divisa_id = ?', [id]);
+    await connection.query('DELETE FROM tasas_programadas WHERE divisa_id = ?', [id]);
+    await connection.query('DELETE FROM historial_tasas WHERE divisa_id = ?', [id]);
+    await connection.query('DELETE FROM tasas_referencia WHERE divisa_id = ?', [id]);
+    await connection.query('DELETE FROM reglas_precio WHERE divisa_id = ?', [id]);
+    await connection.query('DELETE FROM log_repreciacion WHERE divisa_id = ?', [id]);
+    await connection.query('DELETE FROM reglas_aprobacion WHERE divisa_id = ?', [id]);
+    await connection.query('DELETE FROM cotizaciones WHERE divisa_id = ? OR divisa_destino_id = ?', [id, id]);
+    await connection.query('DELETE FROM caja_saldos WHERE divisa_id = ?', [id]);
+    await connection.query('DELETE FROM caja_saldos_medios WHERE divisa_id = ?', [id]);
+    await connection.query('DELETE FROM divisas_tramos WHERE divisa_id = ?', [id]);
+    await connection.query('DELETE FROM divisas_denominaciones WHERE divisa_id = ?', [id]);
 
     // Eliminar divisa
     const [result] = await connection.query('DELETE FROM divisas WHERE id = ?', [id]);
@@ -236,6 +565,7 @@ router.delete('/:id', auth, authorize('Admin'), async (req, res) => {
 
     await connection.commit();
     logger.info(`Divisa eliminada: ID ${id}`);
+    notificarTasas('ELIMINADA', id);
     res.json({ msg: 'Divisa eliminada exitosamente' });
   } catch (err) {
     await connection.rollback();
@@ -246,6 +576,338 @@ router.delete('/:id', auth, authorize('Admin'), async (req, res) => {
   }
 });
 
+// 📌 PUT parámetros de cotización de una divisa: unidad, decimales de los montos y rango de tasas (solo Admin).
+// La unidad solo se cambia mientras la divisa no tenga operaciones; sus tasas y costo se reexpresan en la nueva unidad.
+router.put('/:id/parametros', auth, authorize('Admin'), async (req, res) => {
+  const { error, value } = parametrosSchema.validate(req.body, { convert: true });
+  if (error) {
+    return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
+  }
+  const { id } = req.params;
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [divisa] = await connection.query(
+      "SELECT id, codigo, tasa_compra, tasa_venta FROM divisas WHERE id = ? AND codigo <> 'PEN' FOR UPDATE",
+      [id]
+    );
+    if (!divisa.length) {
+      await connection.rollback();
+      return res.status(404).json({ msg: 'Divisa no encontrada' });
+    }
+    const [actual] = await parametrosDivisas(connection, [id]);
+    const parametros = { ...actual, ...value };
+    const { unidad_cotizacion, decimales, tasa_minima, tasa_maxima } = parametros;
+    if (tasa_minima !== null && tasa_maxima !== null && tasa_minima > tasa_maxima) {
+      await connection.rollback();
+      return res.status(400).json({ msg: 'tasa_minima no puede ser mayor que tasa_maxima' });
+    }
+    const unidadAnterior = actual.unidad_cotizacion;
+    const factor = unidad_cotizacion / unidadAnterior;
+
+    if (factor !== 1) {
+      const [[uso]] = await connection.query(
+        `SELECT EXISTS (SELECT 1 FROM transacciones WHERE divisa_id = ? OR divisa_destino_id = ?) AS operaciones,
+                EXISTS (SELECT 1 FROM divisas_tramos WHERE divisa_id = ?) AS tramos,
+                EXISTS (SELECT 1 FROM tasas_preferenciales WHERE divisa_id = ? AND activo = TRUE) AS preferenciales`,
+        [id, id, id, id]
+      );
+      if (uso.operaciones || uso.tramos || uso.preferenciales) {
+        await connection.rollback();
+        return res.status(400).json({ msg: 'La unidad de cotización solo puede cambiarse en una divisa sin operaciones, tramos ni tasas preferenciales' });
+      }
+    }
+
+    const tasa_compra = Number((Number(divisa[0].tasa_compra) * factor).toFixed(4));
+    const tasa_venta = Number((Number(divisa[0].tasa_venta) * factor).toFixed(4));
+    const fueraDeRango = validarTasas(parametros, { tasa_compra, tasa_venta });
+    if (fueraDeRango) {
+      await connection.rollback();
+      return res.status(400).json({ msg: `Las tasas vigentes no entran en el nuevo rango: ${fueraDeRango}` });
+    }
+
+    await connection.query(
+      'UPDATE divisas SET unidad_cotizacion = ?, decimales = ?, tasa_minima = ?, tasa_maxima = ?, tasa_compra = ?, tasa_venta = ? WHERE id = ?',
+      [unidad_cotizacion, decimales, tasa_minima, tasa_maxima, tasa_compra, tasa_venta, id]
+    );
+    if (factor !== 1) {
+      await connection.query('UPDATE divisas_costos SET costo_base_moneda = ROUND(costo_base_moneda * ?, 4), updated_at = NOW() WHERE divisa_id = ?', [factor, id]);
+      await registrarCambioTasa(connection, { divisa_id: Number(id), usuario_id: req.user.id, origen: 'UNIDAD' });
+    }
+
+    await connection.commit();
+    logger.info(`Parámetros de divisa ${actual.codigo} actualizados`, { user: req.user.id, ...value, unidad_anterior: unidadAnterior });
+    notificarTasas('PARAMETROS', id);
+    res.json({ msg: 'Parámetros de la divisa actualizados', data: { id: Number(id), unidad_cotizacion, decimales, tasa_minima, tasa_maxima, tasa_compra, tasa_venta } });
+  } catch (err) {
+    await connection.rollback();
+    logger.error(`Error actualizando parámetros de divisa: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al actualizar parámetros de la divisa' });
+  } finally {
+    connection.release();
+  }
+});
+
+// 📌 PUT mostrar u ocultar una divisa en la pizarra pública de tasas (solo Admin)
+router.put('/:id/publica', auth, authorize('Admin'), async (req, res) => {
+  const { error, value } = publicaSchema.validate(req.body, { convert: true });
+  if (error) {
+    return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
+  }
+  const { id } = req.params;
+  try {
+    const [result] = await pool.query("UPDATE divisas SET publica = ? WHERE id = ? AND codigo <> 'PEN'", [value.publica, id]);
+    if (!result.affectedRows) {
+      return res.status(404).json({ msg: 'Divisa no encontrada' });
+    }
+    logger.info(`Divisa ${id} ${value.publica ? 'publicada en' : 'retirada de'} la pizarra de tasas`, { user: req.user.id });
+    notificarTasas('PUBLICACION', id);
+    res.json({ msg: value.publica ? 'Divisa publicada' : 'Divisa retirada de la pizarra pública', data: { id: Number(id), publica: value.publica } });
+  } catch (err) {
+    logger.error(`Error actualizando publicación de divisa: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al actualizar publicación de divisa' });
+  }
+});
+
+// 📌 PUT proveedor autorizado de la tasa de referencia de una divisa (solo Admin)
+router.put('/:id/fuente-referencia', auth, authorize('Admin'), async (req, res) => {
+  const { error, value } = fuenteReferenciaSchema.validate(req.body, { convert: true });
+  if (error) {
+    return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
+  }
+  const { id } = req.params;
+  try {
+    const [result] = await pool.query("UPDATE divisas SET fuente_referencia = ? WHERE id = ? AND codigo <> 'PEN'", [value.fuente, id]);
+    if (!result.affectedRows) {
+      return res.status(404).json({ msg: 'Divisa no encontrada' });
+    }
+    logger.info(`Fuente de referencia de divisa ${id}: ${value.fuente}`, { user: req.user.id });
+    notificarTasas('FUENTE_REFERENCIA', id);
+    res.json({ msg: 'Fuente de referencia actualizada', data: { id: Number(id), fuente_referencia: value.fuente } });
+  } catch (err) {
+    logger.error(`Error actualizando fuente de referencia: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al actualizar fuente de referencia' });
+  }
+});
+
+// 📌 GET regla de precio de una divisa (Admin, Auditor)
+router.get('/:id/regla-precio', auth, authorize('Admin', 'Auditor'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [reglas] = await pool.query(
+      `SELECT r.*, d.bloqueo_manual_hasta FROM reglas_precio r JOIN divisas d ON r.divisa_id = d.id WHERE r.divisa_id = ?`,
+      [id]
+    );
+    if (!reglas.length) {
+      return res.status(404).json({ msg: 'La divisa no tiene regla de precio' });
+    }
+    res.json({ ...reglas[0], activo: !!reglas[0].activo });
+  } catch (err) {
+    logger.error(`Error obteniendo regla de precio: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al obtener regla de precio' });
+  }
+});
+
+// 📌 PUT crear o reemplazar la regla de precio de una divisa (solo Admin); se aplica en el acto
+router.put('/:id/regla-precio', auth, authorize('Admin'), async (req, res) => {
+  const { error, value } = reglaPrecioSchema.validate(req.body, { convert: true });
+  if (error) {
+    return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
+  }
+  const { id } = req.params;
+  const { fuente, tipo_margen, margen_compra, margen_venta, decimales, redondeo, spread_minimo, bloqueo_minutos, activo } = value;
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [divisa] = await connection.query("SELECT id FROM divisas WHERE id = ? AND codigo <> 'PEN'", [id]);
+    if (!divisa.length) {
+      await connection.rollback();
+      return res.status(404).json({ msg: 'Divisa no encontrada' });
+    }
+    await connection.query(
+      `INSERT INTO reglas_precio (divisa_id, fuente, tipo_margen, margen_compra, margen_venta, decimales, redondeo, spread_minimo, bloqueo_minutos, activo, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE fuente = VALUES(fuente), tipo_margen = VALUES(tipo_margen), margen_compra = VALUES(margen_compra),
+         margen_venta = VALUES(margen_venta), decimales = VALUES(decimales), redondeo = VALUES(redondeo), spread_minimo = VALUES(spread_minimo),
+         bloqueo_minutos = VALUES(bloqueo_minutos), activo = VALUES(activo), updated_at = NOW()`,
+      [id, fuente, tipo_margen, margen_compra, margen_venta, decimales, redondeo, spread_minimo, bloqueo_minutos, activo]
+    );
+    const repreciacion = activo ? await repreciarDivisa(connection, Number(id), { usuario_id: req.user.id }) : null;
+    await connection.commit();
+    logger.info(`Regla de precio guardada para divisa ${id}`, { user: req.user.id, ...value, repreciacion: repreciacion && repreciacion.resultado });
+    notificarTasas('REGLA_PRECIO', id);
+    res.json({ msg: 'Regla de precio guardada', data: { divisa_id: Number(id), ...value }, repreciacion });
+  } catch (err) {
+    await connection.rollback();
+    logger.error(`Error guardando regla de precio: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al guardar regla de precio' });
+  } finally {
+    connection.release();
+  }
+});
+
+// 📌 DELETE regla de precio de una divisa (solo Admin); las tasas vuelven a manejarse a mano
+router.delete('/:id/regla-precio', auth, authorize('Admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [result] = await pool.query('DELETE FROM reglas_precio WHERE divisa_id = ?', [id]);
+    if (!result.affectedRows) {
+      return res.status(404).json({ msg: 'La divisa no tiene regla de precio' });
+    }
+    await pool.query('UPDATE divisas SET bloqueo_manual_hasta = NULL WHERE id = ?', [id]);
+    logger.info(`Regla de precio eliminada para divisa ${id}`, { user: req.user.id });
+    notificarTasas('REGLA_PRECIO', id);
+    res.json({ msg: 'Regla de precio eliminada' });
+  } catch (err) {
+    logger.error(`Error eliminando regla de precio: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al eliminar regla de precio' });
+  }
+});
+
+// 📌 POST repreciar ya una divisa con su regla (solo Admin); levanta el bloqueo manual
+router.post('/:id/repreciar', auth, authorize('Admin'), async (req, res) => {
+  const { id } = req.params;
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const repreciacion = await repreciarDivisa(connection, Number(id), { forzar: true, usuario_id: req.user.id });
+    await connection.commit();
+    logger.info(`Repreciación manual de divisa ${id}`, { user: req.user.id, resultado: repreciacion && repreciacion.resultado });
+    notificarTasas('REPRECIADA', id);
+    res.json({ msg: repreciacion ? 'Tasas recalculadas' : 'Sin cambios (sin regla activa, sin referencia o con las mismas tasas)', data: repreciacion });
+  } catch (err) {
+    await connection.rollback();
+    logger.error(`Error repreciando divisa ${id}: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al repreciar divisa' });
+  } finally {
+    connection.release();
+  }
+});
+
+// 📌 GET registro de repreciaciones automáticas de una divisa (Admin, Auditor)
+router.get('/:id/repreciaciones', auth, authorize('Admin', 'Auditor'), async (req, res) => {
+  const { id } = req.params;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  try {
+    const [registros] = await pool.query(
+      'SELECT * FROM log_repreciacion WHERE divisa_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+      [id, limit]
+    );
+    res.json(registros.map(r => ({
+      ...r,
+      ajustada_por_costo: !!r.ajustada_por_costo,
+      detalle: typeof r.detalle === 'string' ? JSON.parse(r.detalle) : r.detalle
+    })));
+  } catch (err) {
+    logger.error(`Error obteniendo repreciaciones: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al obtener repreciaciones' });
+  }
+});
+
+// 📌 GET cambios de tasa programados de una divisa (?estado=PENDIENTE|APLICADA|CANCELADA) (Admin, Auditor)
+router.get('/:id/tasas-programadas', auth, authorize('Admin', 'Auditor'), async (req, res) => {
+  const { error, value } = programadasQuerySchema.validate(req.query, { convert: true });
+  if (error) {
+    return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
+  }
+  const { id } = req.params;
+  try {
+    await aplicarTasasVencidas([id]);
+    const [programadas] = await pool.query(
+      `SELECT * FROM tasas_programadas WHERE divisa_id = ? AND estado = ?
+       ORDER BY vigente_desde ${value.estado === 'PENDIENTE' ? 'ASC' : 'DESC'}, id ASC`,
+      [id, value.estado]
+    );
+    res.json(programadas);
+  } catch (err) {
+    logger.error(`Error obteniendo tasas programadas: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al obtener tasas programadas' });
+  }
+});
+
+// 📌 DELETE cancelar un cambio de tasa programado que aún no entra en vigencia (solo Admin)
+router.delete('/:id/tasas-programadas/:programadaId', auth, authorize('Admin'), async (req, res) => {
+  const { id, programadaId } = req.params;
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    // Si ya llegó su hora se aplica aquí y deja de poder cancelarse
+    await aplicarTasasProgramadas(connection, [id]);
+    const [result] = await connection.query(
+      `UPDATE tasas_programadas SET estado = 'CANCELADA', cancelado_por = ?, fecha_cancelacion = NOW()
+       WHERE id = ? AND divisa_id = ? AND estado = 'PENDIENTE'`,
+      [req.user.id, programadaId, id]
+    );
+    await connection.commit();
+    if (!result.affectedRows) {
+      return res.status(400).json({ msg: 'El cambio programado no existe, ya entró en vigencia o ya fue cancelado' });
+    }
+    logger.info(`Cambio de tasa programado ${programadaId} cancelado`, { divisa_id: id, user: req.user.id });
+    notificarTasas('PROGRAMACION_CANCELADA', id);
+    res.json({ msg: 'Cambio programado cancelado' });
+  } catch (err) {
+    await connection.rollback();
+    logger.error(`Error cancelando tasa programada: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al cancelar tasa programada' });
+  } finally {
+    connection.release();
+  }
+});
+
+// 📌 GET historial de tasas de una divisa (Admin, Auditor)
+// ?desde=&hasta= (YYYY-MM-DD, por defecto los últimos 30 días); agrupacion=dia devuelve velas diarias
+router.get('/:id/historial', auth, authorize('Admin', 'Auditor'), async (req, res) => {
+  const { error, value } = historialQuerySchema.validate(req.query, { convert: true });
+  if (error) {
+    return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
+  }
+  const { id } = req.params;
+  const hasta = value.hasta || new Date().toISOString().slice(0, 10);
+  const desde = value.desde || new Date(Date.now() - 30 * 86400000).toISOString().slice(0, 10);
+  try {
+    const [divisa] = await pool.query('SELECT id, codigo FROM divisas WHERE id = ?', [id]);
+    if (!divisa.length) {
+      return res.status(404).json({ msg: 'Divisa no encontrada' });
+    }
+    const [versiones] = await pool.query(
+      `SELECT h.id, h.tasa_compra, h.tasa_venta, h.costo_base_moneda, h.tasa_compra_anterior, h.tasa_venta_anterior,
+              h.costo_base_anterior, h.origen, h.usuario_id, u.nombre AS usuario_nombre, h.created_at
+       FROM historial_tasas h LEFT JOIN users u ON h.usuario_id = u.id
+       WHERE h.divisa_id = ? AND h.created_at >= ? AND h.created_at < DATE(?) + INTERVAL 1 DAY
+       ORDER BY h.created_at ASC, h.id ASC`,
+      [id, desde, hasta]
+    );
+    if (value.agrupacion === 'dia') {
+      const inicial = await versionVigente(pool, id, `${desde} 00:00:00`);
+      const velas = velasDiarias(versiones, inicial && new Date(inicial.created_at) < new Date(`${desde}T00:00:00`) ? inicial : null, desde, hasta);
+      return res.json({ divisa: divisa[0], desde, hasta, agrupacion: 'dia', data: velas });
+    }
+    logger.info(`Historial de tasas obtenido: divisa ${id}`, { desde, hasta, cambios: versiones.length });
+    res.json({ divisa: divisa[0], desde, hasta, agrupacion: 'cambios', data: versiones });
+  } catch (err) {
+    logger.error(`Error obteniendo historial de tasas: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al obtener historial de tasas' });
+  }
+});
+
+// 📌 GET tasa vigente de una divisa en un momento dado (?fecha=ISO, por defecto ahora)
+router.get('/:id/tasa-vigente', auth, authorize('Admin', 'Auditor', 'Cajero'), async (req, res) => {
+  const { error, value } = tasaVigenteQuerySchema.validate(req.query, { convert: true });
+  if (error) {
+    return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
+  }
+  try {
+    const version = await versionVigente(pool, req.params.id, value.fecha || null);
+    if (!version) {
+      return res.status(404).json({ msg: 'No hay tasas registradas para esa divisa en esa fecha' });
+    }
+    res.json({ fecha: value.fecha || null, ...version });
+  } catch (err) {
+    logger.error(`Error obteniendo tasa vigente: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al obtener tasa vigente' });
+  }
+});
+
 // 📌 GET costo base de una divisa (Admin o Cajero)
 router.get('/:id/costo-base', auth, authorize('Admin', 'Cajero'), async (req, res) => {
   try {
@@ -262,81 +924,240 @@ router.get('/:id/costo-base', auth, authorize('Admin', 'Cajero'), async (req, re
   }
 });
 
-// 📌 GET costo base promedio ponderado desde inventario (optimizado con fallback y validaciones adicionales)
+// 📌 GET costo base que usaría la próxima venta según el método de costeo (con fallback y validaciones adicionales)
+// ?monto= calcula el costo unitario para vender ese monto; sin monto, el de la siguiente unidad
 router.get('/:id/costo-base-promedio', auth, authorize('Admin', 'Cajero'), async (req, res) => {
   const { id } = req.params;
   if (isNaN(id) || parseInt(id) < 2) {
     logger.warn(`ID de divisa inválido para costo-base-promedio: ${id}`, { user: req.user.id });
     return res.status(400).json({ success: false, msg: 'ID de divisa inválido (no puede ser PEN)' });
   }
+  const montoVenta = req.query.monto !== undefined ? Number(req.query.monto) : null;
+  if (montoVenta !== null && (isNaN(montoVenta) || montoVenta <= 0)) {
+    return res.status(400).json({ success: false, msg: 'Monto inválido' });
+  }
 
-  const connection = await pool.getConnection();
   try {
-    // Verificar si la divisa existe
-    const [divisaCheck] = await connection.query('SELECT id, tasa_compra FROM divisas WHERE id = ?', [id]);
-    if (!divisaCheck.length) {
-      logger.warn(`Divisa no encontrada: ID ${id}`, { user: req.user.id });
-      return res.status(404).json({ success: false, msg: 'Divisa no encontrada' });
-    }
-
-    // Intentar WAC desde inventario disponible (filtrado por caja abierta)
-    const [lotes] = await connection.query(
-      `SELECT monto, costo_base 
-       FROM divisas_inventario 
-       WHERE divisa_id = ? AND disponible = TRUE 
-         AND caja_id IN (SELECT id FROM caja WHERE usuario_id = ? AND estado = 'ABIERTA')`,
-      [id, req.user.id]
+    const resultado = await costoInventario(pool, { divisa_id: id, usuario_id: req.user.id, monto: montoVenta });
+    if (!resultado) {
+      logger.warn(`Divisa no encontrada o sin costo definido: ID ${id}`, { user: req.user.id });
+      return res.status(404).json({ success: false, msg: 'Divisa no encontrada o sin tasa de compra ni inventario disponible' });
+    }
+    const { costo, metodo_costeo, origen } = resultado;
+    logger.info(`Costo ${metodo_costeo} para divisa ID ${id}: ${costo.toFixed(4)} (${origen})`, { user: req.user.id, lotes: resultado.lotes, monto: montoVenta });
+    res.json({ success: true, data: { costo_base_promedio: costo, metodo_costeo } });
+  } catch (err) {
+    logger.error(`Error calculando costo base promedio para divisa ID ${id}: ${err.message}`, { stack: err.stack, user: req.user.id });
+    res.status(500).json({ success: false, msg: 'Error al calcular costo base promedio' });
+  }
+});
+
+// 📌 GET tramos de tasa por volumen de una divisa (Admin, Auditor, Cajero)
+router.get('/:id/tramos', auth, authorize('Admin', 'Auditor', 'Cajero'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [tramos] = await pool.query(
+      'SELECT id, monto_desde, monto_hasta, tasa_compra, tasa_venta FROM divisas_tramos WHERE divisa_id = ? ORDER BY monto_desde ASC',
+      [id]
     );
+    res.json(tramos);
+  } catch (err) {
+    logger.error(`Error obteniendo tramos de divisa ${id}: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al obtener tramos' });
+  }
+});
 
-    if (lotes.length) {
-      // Validar que todos los montos y costos sean numéricos
-      const validLotes = lotes.filter(lote => {
-        const monto = Number(lote.monto);
-        const costo_base = Number(lote.costo_base);
-        if (isNaN(monto) || isNaN(costo_base)) {
-          logger.warn(`Datos inválidos en divisas_inventario: monto=${lote.monto}, costo_base=${lote.costo_base}`, { divisa_id: id, user: req.user.id });
-          return false;
-        }
-        return true;
-      });
+// 📌 POST crear tramo de tasa (solo Admin)
+router.post('/:id/tramos', auth, authorize('Admin'), async (req, res) => {
+  const { error, value } = tramoSchema.validate(req.body, { convert: true });
+  if (error) {
+    logger.error(`Validación fallida al crear tramo: ${error.details.map(d => d.message).join(', ')}`);
+    return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
+  }
 
-      if (validLotes.length) {
-        const totalMonto = validLotes.reduce((sum, lote) => sum + Number(lote.monto), 0);
-        if (totalMonto > 0) {
-          const costoPonderado = validLotes.reduce((sum, lote) => sum + Number(lote.monto) * Number(lote.costo_base), 0) / totalMonto;
-          logger.info(`WAC calculado para divisa ID ${id}: ${costoPonderado.toFixed(4)}`, { user: req.user.id, lotes: validLotes.length });
-          return res.json({ success: true, data: { costo_base_promedio: Number(costoPonderado.toFixed(4)) } });
-        }
-      }
-      logger.warn(`No hay lotes válidos o monto total = 0 para divisa ID ${id}`, { user: req.user.id });
+  const { id } = req.params;
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [divisa] = await connection.query('SELECT 1 FROM divisas WHERE id = ? FOR UPDATE', [id]);
+    if (!divisa.length) {
+      await connection.rollback();
+      return res.status(404).json({ msg: 'Divisa no encontrada' });
+    }
+    const errorTramo = await validarTramo(connection, id, value);
+    if (errorTramo) {
+      await connection.rollback();
+      return res.status(400).json({ msg: errorTramo });
     }
 
-    // Fallback: Usar divisas_costos
-    const [costoBase] = await connection.query('SELECT costo_base_moneda FROM divisas_costos WHERE divisa_id = ?', [id]);
-    if (costoBase.length) {
-      const costoBaseMoneda = Number(costoBase[0].costo_base_moneda);
-      if (!isNaN(costoBaseMoneda) && costoBaseMoneda > 0) {
-        logger.info(`Usando costo_base_moneda de divisas_costos para divisa ID ${id}: ${costoBaseMoneda.toFixed(4)}`, { user: req.user.id });
-        return res.json({ success: true, data: { costo_base_promedio: Number(costoBaseMoneda.toFixed(4)) } });
-      }
-      logger.warn(`costo_base_moneda inválido o nulo en divisas_costos para divisa ID ${id}: ${costoBase[0].costo_base_moneda}`, { user: req.user.id });
+    const solapado = await tramoSolapado(connection, id, value);
+    if (solapado) {
+      await connection.rollback();
+      return res.status(400).json({ msg: `El tramo se superpone con el tramo ID ${solapado.id}` });
+    }
+
+    const [result] = await connection.query(
+      'INSERT INTO divisas_tramos (divisa_id, monto_desde, monto_hasta, tasa_compra, tasa_venta, created_at) VALUES (?, ?, ?, ?, ?, NOW())',
+      [id, value.monto_desde, value.monto_hasta, value.tasa_compra, value.tasa_venta]
+    );
+
+    await connection.commit();
+    logger.info(`Tramo creado para divisa ID ${id}`, { tramo_id: result.insertId, ...value });
+    notificarTasas('TRAMO', id);
+    res.status(201).json({ msg: 'Tramo creado exitosamente', id: result.insertId });
+  } catch (err) {
+    await connection.rollback();
+    logger.error(`Error creando tramo: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al crear tramo' });
+  } finally {
+    connection.release();
+  }
+});
+
+// 📌 PUT actualizar tramo de tasa (solo Admin)
+router.put('/:id/tramos/:tramoId', auth, authorize('Admin'), async (req, res) => {
+  const { error, value } = tramoSchema.validate(req.body, { convert: true });
+  if (error) {
+    logger.error(`Validación fallida al actualizar tramo: ${error.details.map(d => d.message).join(', ')}`);
+    return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
+  }
+
+  const { id, tramoId } = req.params;
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [tramo] = await connection.query('SELECT 1 FROM divisas_tramos WHERE id = ? AND divisa_id = ? FOR UPDATE', [tramoId, id]);
+    if (!tramo.length) {
+      await connection.rollback();
+      return res.status(404).json({ msg: 'Tramo no encontrado' });
+    }
+    const errorTramo = await validarTramo(connection, id, value);
+    if (errorTramo) {
+      await connection.rollback();
+      return res.status(400).json({ msg: errorTramo });
     }
 
-    // Fallback final: Usar tasa_compra de divisas
-    const tasaCompra = Number(divisaCheck[0].tasa_compra);
-    if (isNaN(tasaCompra) || tasaCompra <= 0) {
-      logger.warn(`No hay tasa_compra válida para divisa ID ${id}`, { user: req.user.id });
-      return res.status(404).json({ success: false, msg: 'No hay tasa de compra definida ni inventario disponible' });
+    const solapado = await tramoSolapado(connection, id, value, tramoId);
+    if (solapado) {
+      await connection.rollback();
+      return res.status(400).json({ msg: `El tramo se superpone con el tramo ID ${solapado.id}` });
     }
 
-    logger.info(`Usando tasa_compra como costo base inicial para divisa ID ${id}: ${tasaCompra.toFixed(4)}`, { user: req.user.id });
-    res.json({ success: true, data: { costo_base_promedio: Number(tasaCompra.toFixed(4)) } });
+    await connection.query(
+      'UPDATE divisas_tramos SET monto_desde = ?, monto_hasta = ?, tasa_compra = ?, tasa_venta = ?, updated_at = NOW() WHERE id = ?',
+      [value.monto_desde, value.monto_hasta, value.tasa_compra, value.tasa_venta, tramoId]
+    );
+
+    await connection.commit();
+    logger.info(`Tramo actualizado: ID ${tramoId}`, { divisa_id: id, ...value });
+    notificarTasas('TRAMO', id);
+    res.json({ msg: 'Tramo actualizado exitosamente' });
   } catch (err) {
-    logger.error(`Error calculando costo base promedio para divisa ID ${id}: ${err.message}`, { stack: err.stack, user: req.user.id });
-    res.status(500).json({ success: false, msg: 'Error al calcular costo base promedio' });
+    await connection.rollback();
+    logger.error(`Error actualizando tramo: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al actualizar tramo' });
   } finally {
     connection.release();
   }
 });
 
+// 📌 DELETE eliminar tramo de tasa (solo Admin)
+router.delete('/:id/tramos/:tramoId', auth, authorize('Admin'), async (req, res) => {
+  const { id, tramoId } = req.params;
+  try {
+    const [result] = await pool.query('DELETE FROM divisas_tramos WHERE id = ? AND divisa_id = ?', [tramoId, id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ msg: 'Tramo no encontrado' });
+    }
+    logger.info(`Tramo eliminado: ID ${tramoId}`, { divisa_id: id });
+    notificarTasas('TRAMO', id);
+    res.json({ msg: 'Tramo eliminado exitosamente' });
+  } catch (err) {
+    logger.error(`Error eliminando tramo: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al eliminar tramo' });
+  }
+});
+
+// 📌 GET catálogo de denominaciones de una divisa (Admin, Auditor, Cajero)
+router.get('/:id/denominaciones', auth, authorize('Admin', 'Auditor', 'Cajero'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [rows] = await pool.query(
+      'SELECT id, valor, tipo FROM divisas_denominaciones WHERE divisa_id = ? AND activo = TRUE ORDER BY valor DESC',
+      [id]
+    );
+    res.json(rows);
+  } catch (err) {
+    logger.error(`Error obteniendo denominaciones de divisa ${id}: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al obtener denominaciones' });
+  }
+});
+
+// 📌 POST agregar denominación (solo Admin)
+router.post('/:id/denominaciones', auth, authorize('Admin'), async (req, res) => {
+  const { error, value } = denominacionSchema.validate(req.body, { convert: true });
+  if (error) {
+    logger.error(`Validación fallida al crear denominación: ${error.details.map(d => d.message).join(', ')}`);
+    return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
+  }
+
+  const { id } = req.params;
+  try {
+    const [divisa] = await pool.query('SELECT 1 FROM divisas WHERE id = ?', [id]);
+    if (!divisa.length) {
+      return res.status(404).json({ msg: 'Divisa no encontrada' });
+    }
+
+    const [existing] = await pool.query(
+      'SELECT id, activo FROM divisas_denominaciones WHERE divisa_id = ? AND valor = ?',
+      [id, value.valor]
+    );
+    if (existing.length && existing[0].activo) {
+      return res.status(400).json({ msg: 'La denominación ya existe' });
+    }
+
+    let denominacionId;
+    if (existing.length) {
+      // Reactivar una denominación dada de baja
+      await pool.query('UPDATE divisas_denominaciones SET activo = TRUE, tipo = ? WHERE id = ?', [value.tipo, existing[0].id]);
+      denominacionId = existing[0].id;
+    } else {
+      const [result] = await pool.query(
+        'INSERT INTO divisas_denominaciones (divisa_id, valor, tipo, activo) VALUES (?, ?, ?, TRUE)',
+        [id, value.valor, value.tipo]
+      );
+      denominacionId = result.insertId;
+    }
+
+    logger.info(`Denominación registrada para divisa ID ${id}`, { denominacion_id: denominacionId, ...value });
+    notificarTasas('DENOMINACION', id);
+    res.status(201).json({ msg: 'Denominación registrada exitosamente', id: denominacionId });
+  } catch (err) {
+    logger.error(`Error creando denominación: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al crear denominación' });
+  }
+});
+
+// 📌 DELETE dar de baja una denominación (solo Admin); se conserva por los conteos históricos
+router.delete('/:id/denominaciones/:denominacionId', auth, authorize('Admin'), async (req, res) => {
+  const { id, denominacionId } = req.params;
+  try {
+    const [result] = await pool.query(
+      'UPDATE divisas_denominaciones SET activo = FALSE WHERE id = ? AND divisa_id = ? AND activo = TRUE',
+      [denominacionId, id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ msg: 'Denominación no encontrada' });
+    }
+    logger.info(`Denominación dada de baja: ID ${denominacionId}`, { divisa_id: id });
+    notificarTasas('DENOMINACION', id);
+    res.json({ msg: 'Denominación eliminada exitosamente' });
+  } catch (err) {
+    logger.error(`Error eliminando denominación: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ msg: 'Error al eliminar denominación' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,200 @@
+// listasControl.js - Listas de sanciones/PEP y casos de revisión por coincidencias
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const auth = require('../middlewares/auth');
+const { normalizarNombre, normalizarDocumento, indexarEntradas } = require('../services/listasControl');
+const { parsearCsv } = require('../services/csv');
+const Joi = require('joi');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  ]
+});
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({ format: winston.format.simple() }));
+}
+
+// Middleware de autorización por rol
+function authorize(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.rol)) {
+      logger.warn(`Acceso denegado para usuario ${req.user?.id || 'desconocido'} con rol ${req.user?.rol || 'ninguno'}`, {
+        rolesPermitidos: roles
+      });
+      return res.status(403).json({ success: false, msg: 'Acceso denegado' });
+    }
+    next();
+  };
+}
+
+// El CSV se envía como cuerpo de la petición (Content-Type: text/csv)
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '20mb' });
+
+const cargaQuerySchema = Joi.object({
+  nombre: Joi.string().trim().max(100).required(),
+  tipo: Joi.string().uppercase().valid('SANCIONES', 'PEP', 'OTRA').required()
+});
+
+const casosQuerySchema = Joi.object({
+  estado: Joi.string().uppercase().valid('ABIERTO', 'DESCARTADO', 'CONFIRMADO').default('ABIERTO'),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const resolucionSchema = Joi.object({
+  comentario: Joi.string().trim().min(5).max(255).required()
+});
+
+const TAMANO_LOTE = 1000;
+
+// GET /api/listas-control - Listas cargadas
+router.get('/', auth, authorize('Admin', 'Auditor'), async (req, res) => {
+  try {
+    const [listas] = await pool.query(
+      'SELECT id, nombre, tipo, total_registros, activa, cargada_por, created_at FROM listas_control ORDER BY created_at DESC'
+    );
+    res.json({ success: true, data: listas.map(l => ({ ...l, activa: !!l.activa })) });
+  } catch (err) {
+    logger.error(`Error obteniendo listas de control: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+// POST /api/listas-control?nombre=...&tipo=PEP - Cargar una lista desde CSV
+// Columnas: nombre (obligatoria), documento, pais, observaciones
+router.post('/', auth, authorize('Admin'), csvBody, async (req, res) => {
+  const { error, value } = cargaQuerySchema.validate(req.query, { convert: true });
+  if (error) {
+    return res.status(400).json({ success: false, msg: error.details.map(d => d.message).join(', ') });
+  }
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ success: false, msg: 'Envíe el contenido CSV con Content-Type text/csv' });
+  }
+
+  const filas = parsearCsv(req.body);
+  const entradas = filas
+    .map(f => ({
+      nombre: (f.nombre || f.nombre_completo || f.name || '').slice(0, 200),
+      documento: (f.documento || f.dni || f.numero_documento || f.document || '').slice(0, 30) || null,
+      pais: (f.pais || f.country || '').slice(0, 60) || null,
+      observaciones: (f.observaciones || f.notas || '').slice(0, 255) || null
+    }))
+    .filter(e => normalizarNombre(e.nombre));
+  if (!entradas.length) {
+    return res.status(400).json({ success: false, msg: 'El CSV no tiene filas con la columna nombre' });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [lista] = await connection.query(
+      'INSERT INTO listas_control (nombre, tipo, total_registros, cargada_por, created_at) VALUES (?, ?, ?, ?, NOW())',
+      [value.nombre, value.tipo, entradas.length, req.user.id]
+    );
+    for (let i = 0; i < entradas.length; i += TAMANO_LOTE) {
+      const lote = entradas.slice(i, i + TAMANO_LOTE);
+      await connection.query(
+        'INSERT INTO listas_control_entradas (lista_id, nombre, nombre_normalizado, documento, documento_normalizado, pais, observaciones) VALUES ' +
+        lote.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(','),
+        lote.flatMap(e => [lista.insertId, e.nombre, normalizarNombre(e.nombre).slice(0, 200), e.documento, normalizarDocumento(e.documento), e.pais, e.observaciones])
+      );
+    }
+    await indexarEntradas(connection, lista.insertId, TAMANO_LOTE);
+    await connection.commit();
+    logger.info(`Lista de control cargada: ${value.nombre}`, { user: req.user.id, id: lista.insertId, registros: entradas.length });
+    res.status(201).json({
+      success: true,
+      data: { id: lista.insertId, ...value, total_registros: entradas.length, filas_omitidas: filas.length - entradas.length }
+    });
+  } catch (err) {
+    await connection.rollback();
+    logger.error(`Error cargando lista de control: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  } finally {
+    connection.release();
+  }
+});
+
+// GET /api/listas-control/casos - Casos de revisión por coincidencias
+router.get('/casos', auth, authorize('Admin', 'Auditor'), async (req, res) => {
+  const { error, value } = casosQuerySchema.validate(req.query, { convert: true });
+  if (error) {
+    return res.status(400).json({ success: false, msg: error.details.map(d => d.message).join(', ') });
+  }
+  try {
+    const [casos] = await pool.query(
+      `SELECT cr.id, cr.cliente_id, cr.origen, cr.tipo_coincidencia, cr.puntaje, cr.nombre_consultado, cr.documento_consultado,
+              cr.estado, cr.usuario_id, cr.resuelto_por, cr.fecha_resolucion, cr.comentario, cr.created_at,
+              e.nombre AS entrada_nombre, e.documento AS entrada_documento, e.pais AS entrada_pais, e.observaciones AS entrada_observaciones,
+              l.id AS lista_id, l.nombre AS lista_nombre, l.tipo AS lista_tipo
+       FROM casos_revision cr
+       JOIN listas_control_entradas e ON cr.entrada_id = e.id
+       JOIN listas_control l ON e.lista_id = l.id
+       WHERE cr.estado = ?
+       ORDER BY cr.created_at ASC
+       LIMIT ? OFFSET ?`,
+      [value.estado, value.limit, value.offset]
+    );
+    res.json({ success: true, data: casos.map(c => ({ ...c, puntaje: Number(c.puntaje) })) });
+  } catch (err) {
+    logger.error(`Error obteniendo casos de revisión: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+// Un Auditor cierra el caso: DESCARTADO (falso positivo, el sujeto puede operar) o CONFIRMADO (sigue bloqueado)
+async function resolverCaso(req, res, estado) {
+  const { id } = req.params;
+  const { error, value } = resolucionSchema.validate(req.body, { convert: true });
+  if (error) {
+    return res.status(400).json({ success: false, msg: error.details.map(d => d.message).join(', ') });
+  }
+  try {
+    const [result] = await pool.query(
+      `UPDATE casos_revision SET estado = ?, resuelto_por = ?, fecha_resolucion = NOW(), comentario = ?
+       WHERE id = ? AND estado = 'ABIERTO'`,
+      [estado, req.user.id, value.comentario, id]
+    );
+    if (!result.affectedRows) {
+      return res.status(400).json({ success: false, msg: 'El caso no existe o ya fue resuelto' });
+    }
+    logger.info(`Caso de revisión ${id} ${estado.toLowerCase()}`, { user: req.user.id, comentario: value.comentario });
+    res.json({ success: true, data: { id: Number(id), estado } });
+  } catch (err) {
+    logger.error(`Error resolviendo caso de revisión ${id}: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+}
+
+// POST /api/listas-control/casos/:id/descartar - Falso positivo
+router.post('/casos/:id/descartar', auth, authorize('Auditor'), (req, res) => resolverCaso(req, res, 'DESCARTADO'));
+
+// POST /api/listas-control/casos/:id/confirmar - Coincidencia confirmada
+router.post('/casos/:id/confirmar', auth, authorize('Auditor'), (req, res) => resolverCaso(req, res, 'CONFIRMADO'));
+
+// DELETE /api/listas-control/:id - Desactivar una lista (se conserva por los casos que generó)
+router.delete('/:id', auth, authorize('Admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [result] = await pool.query('UPDATE listas_control SET activa = FALSE WHERE id = ? AND activa = TRUE', [id]);
+    if (!result.affectedRows) {
+      return res.status(404).json({ success: false, msg: 'Lista no encontrada o ya desactivada' });
+    }
+    logger.info(`Lista de control ${id} desactivada`, { user: req.user.id });
+    res.json({ success: true, msg: 'Lista desactivada' });
+  } catch (err) {
+    logger.error(`Error desactivando lista de control ${id}: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+module.exports = router;
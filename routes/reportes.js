@@ -21,40 +21,42 @@ if (process.env.NODE_ENV !== 'production') {
   logger.add(new winston.transports.Console({ format: winston.format.simple() }));
 }
 
-const reportesQuerySchema = Joi.object({
-  fecha_inicio: Joi.string()
-    .pattern(/^\d{4}-\d{2}-\d{2}$/)
-    .required()
-    .custom((value, helpers) => {
-      const date = new Date(value);
-      if (isNaN(date.getTime())) {
-        return helpers.error('date.invalid', { message: 'Formato de fecha inválido. Usa YYYY-MM-DD.' });
-      }
-      return value;
-    }, 'Validar formato de fecha'),
-  fecha_fin: Joi.string()
-    .pattern(/^\d{4}-\d{2}-\d{2}$/)
-    .required()
-    .custom((value, helpers) => {
-      const date = new Date(value);
-      if (isNaN(date.getTime())) {
-        return helpers.error('date.invalid', { message: 'Formato de fecha inválido. Usa YYYY-MM-DD.' });
-      }
-      return value;
-    }, 'Validar formato de fecha'),
-  detalle: Joi.boolean().default(false),
-  divisa_id: Joi.number().integer().min(1).optional(),
-  tipo: Joi.string().uppercase().valid('COMPRA', 'VENTA').optional(),
-  cliente_id: Joi.number().integer().min(1).optional(),
-  caja_id: Joi.number().integer().min(1).optional()
-}).custom((obj, helpers) => {
+const fechaSchema = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .required()
+  .custom((value, helpers) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return helpers.error('date.invalid', { message: 'Formato de fecha inválido. Usa YYYY-MM-DD.' });
+    }
+    return value;
+  }, 'Validar formato de fecha');
+
+// Valida que el rango de fechas esté en orden
+function rangoFechasValido(obj, helpers) {
   const fechaInicio = new Date(obj.fecha_inicio);
   const fechaFin = new Date(obj.fecha_fin);
   if (fechaInicio > fechaFin) {
     return helpers.error('any.custom', { message: 'La fecha de inicio debe ser anterior o igual a la fecha de fin.' });
   }
   return obj;
-});
+}
+
+const reportesQuerySchema = Joi.object({
+  fecha_inicio: fechaSchema,
+  fecha_fin: fechaSchema,
+  detalle: Joi.boolean().default(false),
+  divisa_id: Joi.number().integer().min(1).optional(),
+  tipo: Joi.string().uppercase().valid('COMPRA', 'VENTA', 'CANJE').optional(),
+  cliente_id: Joi.number().integer().min(1).optional(),
+  caja_id: Joi.number().integer().min(1).optional()
+}).custom(rangoFechasValido);
+
+const cotizacionesQuerySchema = Joi.object({
+  fecha_inicio: fechaSchema,
+  fecha_fin: fechaSchema,
+  divisa_id: Joi.number().integer().min(1).optional()
+}).custom(rangoFechasValido);
 
 // GET /api/reportes
 router.get('/', auth, async (req, res) => {
@@ -79,9 +81,12 @@ router.get('/', auth, async (req, res) => {
           t.tipo,
           d.codigo AS divisa_codigo,
           d.nombre AS divisa_nombre,
+          dd.codigo AS divisa_destino_codigo,
           t.monto,
+          t.monto_destino,
           t.total_soles,
           t.utilidad,
+          t.estado,
           t.fecha,
           t.cliente_id,
           c.nombre AS cliente_nombre,
@@ -89,6 +94,7 @@ router.get('/', auth, async (req, res) => {
           u.email AS usuario_email
         FROM transacciones t
         JOIN divisas d ON t.divisa_id = d.id
+        LEFT JOIN divisas dd ON t.divisa_destino_id = dd.id
         LEFT JOIN clientes c ON t.cliente_id = c.id
         JOIN usuarios u ON t.usuario_id = u.id
         WHERE t.usuario_id = ?
@@ -101,21 +107,25 @@ router.get('/', auth, async (req, res) => {
           t.tipo,
           d.codigo AS divisa_codigo,
           d.nombre AS divisa_nombre,
+          dd.codigo AS divisa_destino_codigo,
           SUM(t.monto) AS total_monto,
+          SUM(t.monto_destino) AS total_monto_destino,
           SUM(t.total_soles) AS total_soles,
           COUNT(t.id) AS num_transacciones,
           AVG(t.utilidad) AS utilidad_promedio
         FROM transacciones t
         JOIN divisas d ON t.divisa_id = d.id
+        LEFT JOIN divisas dd ON t.divisa_destino_id = dd.id
         WHERE t.usuario_id = ?
           AND t.fecha >= ?
           AND t.fecha <= ?
+          AND t.estado = 'COMPLETADA'
       `;
     }
 
     if (divisa_id) {
-      query += ' AND t.divisa_id = ?';
-      params.push(divisa_id);
+      query += ' AND (t.divisa_id = ? OR t.divisa_destino_id = ?)';
+      params.push(divisa_id, divisa_id);
     }
     if (tipo) {
       query += ' AND UPPER(t.tipo) = ?';
@@ -131,7 +141,7 @@ router.get('/', auth, async (req, res) => {
     }
 
     if (!detalle) {
-      query += ' GROUP BY t.tipo, d.codigo, d.nombre ORDER BY d.codigo, t.tipo';
+      query += ' GROUP BY t.tipo, d.codigo, d.nombre, dd.codigo ORDER BY d.codigo, t.tipo';
     } else {
       query += ' ORDER BY t.fecha DESC';
     }
@@ -144,9 +154,12 @@ router.get('/', auth, async (req, res) => {
           tipo: r.tipo,
           divisa_codigo: r.divisa_codigo,
           divisa_nombre: r.divisa_nombre,
+          divisa_destino_codigo: r.divisa_destino_codigo || null,
           monto: Number(r.monto).toFixed(2),
+          monto_destino: r.monto_destino !== null ? Number(r.monto_destino).toFixed(2) : null,
           total_soles: Number(r.total_soles).toFixed(2),
           utilidad: r.utilidad !== null ? Number(r.utilidad).toFixed(2) : null,
+          estado: r.estado,
           fecha: r.fecha,
           cliente_id: r.cliente_id,
           cliente_nombre: r.cliente_nombre || 'Sin cliente',
@@ -157,7 +170,9 @@ router.get('/', auth, async (req, res) => {
           tipo: r.tipo,
           divisa_codigo: r.divisa_codigo,
           divisa_nombre: r.divisa_nombre,
+          divisa_destino_codigo: r.divisa_destino_codigo || null,
           total_monto: Number(r.total_monto).toFixed(2),
+          total_monto_destino: r.total_monto_destino !== null ? Number(r.total_monto_destino).toFixed(2) : null,
           total_soles: Number(r.total_soles).toFixed(2),
           num_transacciones: r.num_transacciones,
           utilidad_promedio: r.utilidad_promedio !== null ? Number(r.utilidad_promedio).toFixed(2) : null
@@ -175,4 +190,60 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// GET /api/reportes/cotizaciones - Conversión de cotizaciones en transacciones
+router.get('/cotizaciones', auth, async (req, res) => {
+  const { error, value } = cotizacionesQuerySchema.validate(req.query);
+  if (error) {
+    logger.error(`Validación fallida en GET /api/reportes/cotizaciones: ${error.details.map(d => d.message).join(', ')}`, { user: req.user.id });
+    return res.status(400).json({ msg: error.details.map(d => d.message).join(', ') });
+  }
+
+  const { fecha_inicio, fecha_fin, divisa_id } = value;
+
+  try {
+    logger.info('Obteniendo conversión de cotizaciones', { user: req.user.id, params: value });
+
+    let query = `
+      SELECT 
+        q.tipo,
+        d.codigo AS divisa_codigo,
+        COUNT(q.id) AS num_cotizaciones,
+        SUM(q.estado = 'USADA') AS convertidas,
+        SUM(q.estado = 'VIGENTE' AND q.expires_at <= NOW()) AS vencidas,
+        SUM(q.estado = 'VIGENTE' AND q.expires_at > NOW()) AS vigentes,
+        SUM(CASE WHEN q.estado = 'USADA' THEN q.total_soles ELSE 0 END) AS total_soles_convertido
+      FROM cotizaciones q
+      JOIN divisas d ON q.divisa_id = d.id
+      WHERE q.usuario_id = ?
+        AND q.created_at >= ?
+        AND q.created_at <= ?
+    `;
+    const params = [req.user.id, `${fecha_inicio} 00:00:00`, `${fecha_fin} 23:59:59`];
+    if (divisa_id) {
+      query += ' AND q.divisa_id = ?';
+      params.push(divisa_id);
+    }
+    query += ' GROUP BY q.tipo, d.codigo ORDER BY d.codigo, q.tipo';
+
+    const [rows] = await pool.query(query, params);
+
+    const formattedRows = rows.map(r => ({
+      tipo: r.tipo,
+      divisa_codigo: r.divisa_codigo,
+      num_cotizaciones: r.num_cotizaciones,
+      convertidas: Number(r.convertidas),
+      vencidas: Number(r.vencidas),
+      vigentes: Number(r.vigentes),
+      tasa_conversion: r.num_cotizaciones ? Number((Number(r.convertidas) / r.num_cotizaciones * 100).toFixed(2)) : 0,
+      total_soles_convertido: Number(r.total_soles_convertido).toFixed(2)
+    }));
+
+    logger.info(`Conversión de cotizaciones obtenida`, { count: rows.length, user: req.user.id });
+    res.json(formattedRows);
+  } catch (err) {
+    logger.error(`Error obteniendo conversión de cotizaciones: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ msg: `Error: ${err.message}` });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
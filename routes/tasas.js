@@ -0,0 +1,45 @@
+// tasas.js - Pizarra pública de tasas para pantallas de exhibición y la web (sin autenticación)
+const express = require('express');
+const router = express.Router();
+const { tasasPublicas } = require('../services/tasasPublicas');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  ]
+});
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({ format: winston.format.simple() }));
+}
+
+// Segundos que navegadores y proxies pueden reutilizar la respuesta sin volver a preguntar
+const MAX_AGE_SEGUNDOS = process.env.TASAS_PUBLICAS_MAX_AGE !== undefined
+  ? Number(process.env.TASAS_PUBLICAS_MAX_AGE)
+  : 30;
+
+// GET /api/tasas/publicas - Tasas de las divisas públicas; con If-None-Match responde 304 si no cambiaron
+router.get('/publicas', async (req, res) => {
+  try {
+    const { data, etag } = await tasasPublicas();
+    res.set({
+      ETag: etag,
+      'Cache-Control': `public, max-age=${MAX_AGE_SEGUNDOS}, must-revalidate`
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.json({ success: true, data });
+  } catch (err) {
+    logger.error(`Error obteniendo tasas públicas: ${err.message}`, { stack: err.stack });
+    res.status(500).json({ success: false, msg: 'Error al obtener tasas' });
+  }
+});
+
+module.exports = router;
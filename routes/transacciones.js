@@ -3,6 +3,21 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const auth = require('../middlewares/auth');
+const idempotency = require('../middlewares/idempotency');
+const { desgloseSchema, resolverDesglose, moverDenominaciones } = require('../services/denominaciones');
+const { MEDIOS_PAGO, actualizarSaldo } = require('../services/mediosPago');
+const { asignarCorrelativo, formatearSerie, generarReciboPdf } = require('../services/recibos');
+const { registrarOperacion, reevaluarMultiples } = require('../services/uif');
+const { detectarEstructuracion, alertaBloqueante, liberarAlertasAnuladas } = require('../services/estructuracion');
+const { screening } = require('../services/listasControl');
+const { UMBRAL_KYC_SOLES, camposFaltantesKyc } = require('../services/kyc');
+const { evaluarRiesgo } = require('../services/riesgo');
+const { tasasEfectivas } = require('../services/tasasPreferenciales');
+const { versionVigente } = require('../services/historialTasas');
+const { aplicarTasasProgramadas, aplicarTasasVencidas } = require('../services/tasasProgramadas');
+const { validarMonto, montoEnSoles } = require('../services/precisionDivisas');
+const { consumirLotes } = require('../services/costoInventario');
+const crypto = require('crypto');
 const Joi = require('joi');
 const winston = require('winston');
 
@@ -21,20 +36,294 @@ if (process.env.NODE_ENV !== 'production') {
   logger.add(new winston.transports.Console({ format: winston.format.simple() }));
 }
 
+// Tolerancia relativa para la tasa cruzada de un CANJE (divisa contra divisa)
+const TOLERANCIA_CANJE = 0.03;
+
+// Segundos durante los que una cotización mantiene la tasa bloqueada
+const COTIZACION_TTL_SEGUNDOS = Number(process.env.COTIZACION_TTL_SEGUNDOS) || 120;
+
+// Medio de pago de una pata de la operación; la referencia es obligatoria si no es efectivo
+const pagoSchema = Joi.object({
+  medio: Joi.string().valid(...MEDIOS_PAGO).default('EFECTIVO'),
+  referencia: Joi.string().trim().max(100)
+    .when('medio', { is: 'EFECTIVO', then: Joi.optional().allow('', null), otherwise: Joi.required() })
+});
+
 const transaccionSchema = Joi.object({
-  tipo: Joi.string().valid('COMPRA', 'VENTA').required(),
+  tipo: Joi.string().valid('COMPRA', 'VENTA', 'CANJE').required(),
   divisa_id: Joi.number().integer().min(2).required(),
+  // CANJE: divisa_id es la divisa que entrega el cliente y divisa_destino_id la que recibe
+  divisa_destino_id: Joi.number().integer().min(2).invalid(Joi.ref('divisa_id'))
+    .when('tipo', { is: 'CANJE', then: Joi.required(), otherwise: Joi.forbidden() }),
   cliente_id: Joi.number().integer().min(1).allow(null),
   monto: Joi.number().positive().precision(2).required(),
   tasa: Joi.number().positive().precision(4).required(),
-  total_soles: Joi.number().positive().precision(2).required(),
+  total_soles: Joi.number().positive().precision(2)
+    .when('tipo', { is: 'CANJE', then: Joi.optional(), otherwise: Joi.required() }),
   comision: Joi.number().min(0).precision(2).default(0).optional(), // Cambiado de .positive() a .min(0)
+  cotizacion_id: Joi.string().guid().optional(),
+  // Billetes recibidos del cliente y entregados al cliente
+  denominaciones: Joi.object({
+    recibidas: desgloseSchema.optional(),
+    entregadas: desgloseSchema.optional()
+  }).optional(),
+  // Cómo pagó el cliente (recibido) y cómo se le pagó (entregado)
+  pagos: Joi.object({
+    recibido: pagoSchema.default(),
+    entregado: pagoSchema.default()
+  }).default(),
+  // Confirmación de debida diligencia reforzada, obligatoria con clientes de riesgo ALTO
+  debida_diligencia: Joi.object({
+    confirmada: Joi.boolean().valid(true).required(),
+    observacion: Joi.string().trim().min(5).max(255).required()
+  }).optional(),
+});
+
+const cotizacionSchema = Joi.object({
+  tipo: Joi.string().valid('COMPRA', 'VENTA', 'CANJE').required(),
+  divisa_id: Joi.number().integer().min(2).required(),
+  divisa_destino_id: Joi.number().integer().min(2).invalid(Joi.ref('divisa_id'))
+    .when('tipo', { is: 'CANJE', then: Joi.required(), otherwise: Joi.forbidden() }),
+  monto: Joi.number().positive().precision(2).required(),
+  // Con cliente se cotiza a su tasa preferencial si la tiene
+  cliente_id: Joi.number().integer().min(1).allow(null).optional(),
+});
+
+const anulacionSchema = Joi.object({
+  motivo: Joi.string().trim().min(5).max(255).required()
+});
+
+const rechazoSchema = Joi.object({
+  motivo: Joi.string().trim().min(5).max(255).required()
+});
+
+// Regla que envía la operación a aprobación; umbral en soles (MONTO_SOLES) o en % de desvío (DESVIO_TASA)
+const reglaAprobacionSchema = Joi.object({
+  nombre: Joi.string().trim().max(100).required(),
+  tipo: Joi.string().valid('MONTO_SOLES', 'DESVIO_TASA').required(),
+  divisa_id: Joi.number().integer().min(2).allow(null).default(null),
+  umbral: Joi.number().positive().precision(4).required(),
+  activo: Joi.boolean().default(true)
 });
 
 const transaccionQuerySchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(5)
 });
 
+const reciboQuerySchema = Joi.object({
+  formato: Joi.string().valid('A4', '80mm').default('A4')
+});
+
+// Tramo de tasa por volumen que corresponde al monto (null si la divisa no tiene tramos)
+async function buscarTramo(connection, divisa_id, monto) {
+  const [tramos] = await connection.query(
+    'SELECT id, tasa_compra, tasa_venta FROM divisas_tramos ' +
+    'WHERE divisa_id = ? AND monto_desde <= ? AND (monto_hasta IS NULL OR monto_hasta > ?) ' +
+    'ORDER BY monto_desde DESC LIMIT 1',
+    [divisa_id, monto, monto]
+  );
+  return tramos[0] || null;
+}
+
+// Reglas de aprobación activas que cumple la operación (generales o de alguna de sus divisas)
+async function reglasQueAplican(connection, { divisa_id, divisa_destino_id, total_soles, desvioTasa }) {
+  const [reglas] = await connection.query(
+    'SELECT id, nombre, tipo, umbral FROM reglas_aprobacion WHERE activo = TRUE AND (divisa_id IS NULL OR divisa_id IN (?, ?))',
+    [divisa_id, divisa_destino_id || divisa_id]
+  );
+  return reglas.filter(r => r.tipo === 'MONTO_SOLES'
+    ? total_soles > Number(r.umbral)
+    : desvioTasa !== null && desvioTasa * 100 > Number(r.umbral));
+}
+
+// Aplica los efectos de una transacción ya registrada: inventario, utilidad, saldos, billetes y
+// movimientos de caja. Se ejecuta al crearla o, si quedó PENDIENTE, cuando un Admin la aprueba.
+async function aplicarEfectos(connection, transaccion_id) {
+  const [tx] = await connection.query(
+    `SELECT t.id, t.caja_id, t.tipo, t.divisa_id, t.divisa_destino_id, t.cliente_id, t.monto, t.monto_destino, t.tipo_cambio,
+            t.total_soles, t.usuario_id,
+            d.codigo AS divisa_codigo, d.tasa_compra, d.metodo_costeo, d.unidad_cotizacion,
+            dd.codigo AS destino_codigo, dd.tasa_compra AS destino_tasa_compra, dd.metodo_costeo AS destino_metodo_costeo,
+            dd.unidad_cotizacion AS destino_unidad_cotizacion
+     FROM transacciones t
+     JOIN divisas d ON t.divisa_id = d.id
+     LEFT JOIN divisas dd ON t.divisa_destino_id = dd.id
+     WHERE t.id = ?`,
+    [transaccion_id]
+  );
+  const t = tx[0];
+  const { caja_id, tipo, divisa_id, divisa_destino_id, divisa_codigo, usuario_id } = t;
+  const monto = Number(t.monto);
+  const monto_destino = t.monto_destino !== null ? Number(t.monto_destino) : null;
+  const total_soles = Number(t.total_soles);
+
+  const [patas] = await connection.query(
+    'SELECT direccion, divisa_id, monto, medio_pago FROM transacciones_pagos WHERE transaccion_id = ?',
+    [transaccion_id]
+  );
+  const recibido = patas.find(p => p.direccion === 'RECIBIDO');
+  const entregado = patas.find(p => p.direccion === 'ENTREGADO');
+
+  // Inicializar y obtener saldos
+  const divisasInvolucradas = tipo === 'CANJE' ? [divisa_id, divisa_destino_id] : [1, divisa_id];
+  const saldoMap = {};
+  for (const dId of divisasInvolucradas) {
+    const [exists] = await connection.query(
+      'SELECT id, saldo_actual FROM caja_saldos WHERE caja_id = ? AND divisa_id = ? FOR UPDATE',
+      [caja_id, dId]
+    );
+    if (!exists.length) {
+      await connection.query(
+        'INSERT INTO caja_saldos (caja_id, divisa_id, saldo_inicial, saldo_actual) VALUES (?, ?, 0, 0)',
+        [caja_id, dId]
+      );
+      saldoMap[dId] = 0;
+    } else {
+      saldoMap[dId] = Number(exists[0].saldo_actual);
+    }
+  }
+
+  // Validar saldos (ahora como advertencia, permite negativos)
+  if (entregado.medio_pago === 'EFECTIVO' && saldoMap[entregado.divisa_id] < Number(entregado.monto)) {
+    logger.warn(`Saldo insuficiente en divisa ${entregado.divisa_id}: ${saldoMap[entregado.divisa_id].toFixed(2)} - Procediendo con balance negativo por fluctuaciones/estrategia`, { user: usuario_id, transaccion_id });
+  }
+
+  // Calcular utilidad (ventas y canjes): comision = utilidad
+  let utilidad = null;
+  if (tipo === 'VENTA' || tipo === 'CANJE') {
+    const entrega = tipo === 'VENTA'
+      ? { divisa_id, divisa_codigo, monto, tasa_compra: t.tasa_compra, unidad: t.unidad_cotizacion, metodo_costeo: t.metodo_costeo }
+      : {
+        divisa_id: divisa_destino_id, divisa_codigo: t.destino_codigo, monto: monto_destino,
+        tasa_compra: t.destino_tasa_compra, unidad: t.destino_unidad_cotizacion, metodo_costeo: t.destino_metodo_costeo
+      };
+    const consumo = await consumirLotes(connection, { caja_id, ...entrega, userId: usuario_id });
+    utilidad = Number((total_soles - consumo.costoTotal).toFixed(2));
+    if (utilidad < 0) {
+      logger.warn(`Utilidad negativa registrada: S/ ${utilidad}`, { divisa_id, tasa: t.tipo_cambio, costoTotal: consumo.costoTotal });
+    }
+    if (consumo.lotesConsumidos.length) {
+      await connection.query(
+        'INSERT INTO transacciones_lotes (transaccion_id, lote_id, monto, costo_base) VALUES ' +
+        consumo.lotesConsumidos.map(() => '(?, ?, ?, ?)').join(','),
+        consumo.lotesConsumidos.flatMap(l => [transaccion_id, l.lote_id, l.monto, l.costo_base])
+      );
+    }
+    await connection.query('UPDATE transacciones SET utilidad = ?, comision = ? WHERE id = ?', [utilidad, utilidad, transaccion_id]);
+  }
+  if (tipo === 'COMPRA' || tipo === 'CANJE') {
+    // Registrar en el inventario la divisa recibida, a su costo en soles por unidad de cotización
+    const costoLote = tipo === 'COMPRA' ? Number(t.tipo_cambio) : Number((total_soles / monto * t.unidad_cotizacion).toFixed(4));
+    await connection.query(
+      'INSERT INTO divisas_inventario (divisa_id, caja_id, monto, costo_base, fecha_adquisicion, transaccion_id) VALUES (?, ?, ?, ?, NOW(), ?)',
+      [divisa_id, caja_id, monto, costoLote, transaccion_id]
+    );
+    logger.info(`Lote registrado en inventario: ${monto} ${divisa_codigo}, costo base: ${costoLote}`, { divisa_id, caja_id });
+  }
+
+  // Actualizar saldos (el efectivo en caja_saldos, los demás medios en su propio saldo)
+  await actualizarSaldo(connection, caja_id, recibido.divisa_id, recibido.medio_pago, Number(recibido.monto));
+  await actualizarSaldo(connection, caja_id, entregado.divisa_id, entregado.medio_pago, -Number(entregado.monto));
+
+  // Actualizar conteo de billetes: primero los recibidos, luego los entregados
+  const [billetes] = await connection.query(
+    'SELECT td.denominacion_id, dd.valor, td.cantidad FROM transacciones_denominaciones td ' +
+    'JOIN divisas_denominaciones dd ON td.denominacion_id = dd.id WHERE td.transaccion_id = ? ORDER BY td.cantidad DESC',
+    [transaccion_id]
+  );
+  for (const b of billetes) {
+    const cantidad = Number(b.cantidad);
+    await moverDenominaciones(
+      connection, caja_id,
+      [{ denominacion_id: b.denominacion_id, valor: Number(b.valor), cantidad: Math.abs(cantidad) }],
+      cantidad > 0 ? 1 : -1
+    );
+  }
+
+  // Registrar movimientos
+  const etiqueta = tipo === 'CANJE' ? `${divisa_codigo} a ${t.destino_codigo}` : divisa_codigo;
+  const movimientos = tipo === 'CANJE' ? [
+    {
+      tipo: 'INGRESO',
+      divisa_id: divisa_id,
+      monto: monto,
+      medio_pago: recibido.medio_pago,
+      descripcion: `Recibido: ${tipo} de ${etiqueta} (Tx #${transaccion_id})`
+    },
+    {
+      tipo: 'EGRESO',
+      divisa_id: divisa_destino_id,
+      monto: monto_destino,
+      medio_pago: entregado.medio_pago,
+      descripcion: `Entregado: ${tipo} de ${etiqueta} (Tx #${transaccion_id})`
+    }
+  ] : [
+    {
+      tipo: tipo === 'COMPRA' ? 'EGRESO' : 'INGRESO',
+      divisa_id: 1,
+      monto: total_soles,
+      medio_pago: tipo === 'COMPRA' ? entregado.medio_pago : recibido.medio_pago,
+      descripcion: tipo === 'COMPRA' ? `Pago cliente: ${tipo} de ${divisa_codigo} (Tx #${transaccion_id})` : `Recibido cliente: ${tipo} de ${divisa_codigo} (Tx #${transaccion_id})`
+    },
+    {
+      tipo: tipo === 'COMPRA' ? 'INGRESO' : 'EGRESO',
+      divisa_id: divisa_id,
+      monto: monto,
+      medio_pago: tipo === 'COMPRA' ? recibido.medio_pago : entregado.medio_pago,
+      descripcion: tipo === 'COMPRA' ? `Recibido: ${tipo} de ${divisa_codigo} (Tx #${transaccion_id})` : `Entregado: ${tipo} de ${divisa_codigo} (Tx #${transaccion_id})`
+    }
+  ];
+  if (tipo !== 'COMPRA' && utilidad !== null) {
+    movimientos.push({
+      tipo: utilidad >= 0 ? 'INGRESO' : 'EGRESO',
+      divisa_id: 1,
+      monto: Math.abs(utilidad),
+      descripcion: utilidad >= 0
+        ? `Utilidad: ${tipo} de ${etiqueta} (Tx #${transaccion_id}) (+${utilidad})`
+        : `Pérdida: ${tipo} de ${etiqueta} (Tx #${transaccion_id}) (${utilidad})`
+    });
+  }
+  await connection.query(
+    'INSERT INTO movimientos_caja (caja_id, tipo, divisa_id, monto, medio_pago, descripcion, usuario_id, fecha) VALUES ' +
+    movimientos.map(() => '(?, ?, ?, ?, ?, ?, ?, NOW())').join(','),
+    movimientos.flatMap(m => [caja_id, m.tipo, m.divisa_id, m.monto, m.medio_pago || 'EFECTIVO', m.descripcion, usuario_id])
+  );
+
+  // Actualizar utilidad total
+  if (tipo !== 'COMPRA' && utilidad !== null) {
+    await connection.query('UPDATE caja SET utilidad_total = utilidad_total + ? WHERE id = ?', [utilidad, caja_id]);
+  }
+
+  // Log saldos finales
+  const [newSaldos] = await connection.query(
+    'SELECT d.codigo, cs.saldo_actual FROM caja_saldos cs JOIN divisas d ON cs.divisa_id = d.id WHERE cs.caja_id = ?',
+    [caja_id]
+  );
+  logger.info(`Saldos después - Caja ${caja_id}`, { saldos: newSaldos });
+
+  // Registro de Operaciones (UIF)
+  const registradas = await registrarOperacion(connection, transaccion_id);
+  if (registradas.length) {
+    logger.info(`Operaciones inscritas en el Registro de Operaciones`, { transaccion_id, registradas });
+  }
+
+  // Detección de fraccionamiento sobre las operaciones del cliente
+  const alertas = await detectarEstructuracion(connection, transaccion_id);
+  for (const alerta of alertas) {
+    logger.warn(`Alerta de estructuración #${alerta.id}: ${alerta.descripcion}`, { transaccion_id, bloquea: alerta.bloquea });
+  }
+
+  // Reevaluar el nivel de riesgo del cliente con la nueva operación
+  if (t.cliente_id) {
+    const riesgo = await evaluarRiesgo(connection, t.cliente_id, transaccion_id);
+    if (riesgo && riesgo.nivel !== riesgo.nivel_anterior) {
+      logger.info(`Riesgo del cliente ${t.cliente_id}: ${riesgo.nivel_anterior} -> ${riesgo.nivel}`, { transaccion_id, puntaje: riesgo.puntaje });
+    }
+  }
+
+  return { utilidad };
+}
+
 // GET /api/transacciones - Retrieve recent transactions
 router.get('/', auth, async (req, res) => {
   const { error, value } = transaccionQuerySchema.validate(req.query, { convert: true });
@@ -55,17 +344,22 @@ router.get('/', auth, async (req, res) => {
          t.divisa_id, 
          d.codigo AS divisa_codigo, 
          d.nombre AS divisa_nombre, 
+         t.divisa_destino_id, 
+         dd.codigo AS divisa_destino_codigo, 
          t.cliente_id, 
          c.nombre AS cliente_nombre, 
          t.monto, 
+         t.monto_destino, 
          t.comision, 
          t.tipo_cambio, 
          t.total_soles, 
          t.utilidad, 
+         t.estado, 
          t.fecha, 
          u.email AS usuario_email
        FROM transacciones t
        JOIN divisas d ON t.divisa_id = d.id
+       LEFT JOIN divisas dd ON t.divisa_destino_id = dd.id
        LEFT JOIN clientes c ON t.cliente_id = c.id
        JOIN usuarios u ON t.usuario_id = u.id
        WHERE t.caja_id IN (SELECT id FROM caja WHERE usuario_id = ? AND estado = 'ABIERTA')
@@ -81,13 +375,17 @@ router.get('/', auth, async (req, res) => {
       divisa_id: t.divisa_id,
       divisa_codigo: t.divisa_codigo,
       divisa_nombre: t.divisa_nombre,
+      divisa_destino_id: t.divisa_destino_id,
+      divisa_destino_codigo: t.divisa_destino_codigo || null,
       cliente_id: t.cliente_id,
       cliente_nombre: t.cliente_nombre || 'Sin cliente',
       monto: Number(t.monto).toFixed(2),
+      monto_destino: t.monto_destino !== null ? Number(t.monto_destino).toFixed(2) : null,
       comision: Number(t.comision).toFixed(2),
       tipo_cambio: Number(t.tipo_cambio).toFixed(4),
       total_soles: Number(t.total_soles).toFixed(2),
       utilidad: t.utilidad !== null ? Number(t.utilidad).toFixed(2) : null,
+      estado: t.estado,
       fecha: new Date(t.fecha).toLocaleString('es-PE', {
         year: 'numeric',
         month: '2-digit',
@@ -110,22 +408,48 @@ router.get('/', auth, async (req, res) => {
 });
 
 // POST /api/transacciones - Create a new transaction
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, idempotency, async (req, res) => {
   const { error, value } = transaccionSchema.validate(req.body, { convert: true });
   if (error) {
     logger.error(`Validación fallida: ${error.details.map(d => d.message).join(', ')}`, { user: req.user.id });
     return res.status(400).json({ success: false, msg: error.details.map(d => d.message).join(', ') });
   }
 
-  const { tipo, divisa_id, cliente_id, monto, tasa, total_soles: total_soles_input, comision = 0 } = value; // 🆕 Manejar comision del frontend o default 0
+  const { tipo, divisa_id, divisa_destino_id, cliente_id, monto, tasa, total_soles: total_soles_input, comision = 0, cotizacion_id, denominaciones, pagos, debida_diligencia } = value; // 🆕 Manejar comision del frontend o default 0
   if (divisa_id === 1) {
     return res.status(400).json({ success: false, msg: 'No se pueden realizar transacciones con PEN. Usa ajustes en Caja.' });
   }
 
+  // Screening del cliente contra listas de sanciones/PEP; va fuera de la transacción para que
+  // el caso de revisión quede registrado aunque la operación no continúe
+  if (cliente_id) {
+    try {
+      const [cliente] = await pool.query('SELECT nombre, dni, nivel_riesgo FROM clientes WHERE id = ? AND deleted_at IS NULL', [cliente_id]);
+      const caso = cliente.length
+        ? await screening(pool, { cliente_id, nombre: cliente[0].nombre, documento: cliente[0].dni, origen: 'TRANSACCION', usuario_id: req.user.id })
+        : null;
+      if (caso) {
+        logger.warn(`Operación detenida: cliente ${cliente_id} con coincidencia en listas de control (caso #${caso.id})`, { user: req.user.id });
+        return res.status(403).json({ success: false, msg: 'El cliente tiene una coincidencia en listas de control pendiente de revisión', caso_id: caso.id });
+      }
+      if (cliente.length && cliente[0].nivel_riesgo === 'ALTO' && !debida_diligencia) {
+        return res.status(409).json({
+          success: false,
+          msg: 'Cliente de riesgo ALTO: confirme la debida diligencia reforzada para continuar',
+          requiere_confirmacion: true,
+          nivel_riesgo: 'ALTO'
+        });
+      }
+    } catch (err) {
+      logger.error(`Error en screening del cliente ${cliente_id}: ${err.message}`, { user: req.user.id, stack: err.stack });
+      return res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+    }
+  }
+
   const connection = await pool.getConnection();
   try {
     await connection.beginTransaction();
-    logger.info(`Iniciando transacción ${tipo}`, { user: req.user.id, divisa_id, monto, tasa, comision });
+    logger.info(`Iniciando transacción ${tipo}`, { user: req.user.id, divisa_id, divisa_destino_id, monto, tasa, comision });
 
     // Verificar caja abierta
     const [caja] = await connection.query(
@@ -137,182 +461,704 @@ router.post('/', auth, async (req, res) => {
     }
     const caja_id = caja[0].id;
 
-    // Obtener datos de divisa
+    // Cliente con una alerta de estructuración abierta: no opera hasta que un Admin la libere
+    const bloqueo = await alertaBloqueante(connection, cliente_id);
+    if (bloqueo) {
+      await connection.rollback();
+      logger.warn(`Cliente ${cliente_id} bloqueado por alerta #${bloqueo.id}`, { user: req.user.id });
+      return res.status(403).json({ success: false, msg: 'El cliente tiene una alerta pendiente de revisión y no puede operar' });
+    }
+
+    // Obtener datos de divisa, con los cambios de tasa programados que ya entraron en vigencia
+    await aplicarTasasProgramadas(connection, [divisa_id, divisa_destino_id]);
     const [divisa] = await connection.query(
-      'SELECT d.id, d.codigo, d.nombre, d.tasa_compra, d.tasa_venta, dc.costo_base_moneda ' +
+      'SELECT d.id, d.codigo, d.nombre, d.tasa_compra, d.tasa_venta, d.metodo_costeo, d.unidad_cotizacion, d.decimales, dc.costo_base_moneda ' +
       'FROM divisas d LEFT JOIN divisas_costos dc ON d.id = dc.divisa_id WHERE d.id = ?',
       [divisa_id]
     );
     if (!divisa.length) {
       throw new Error('Divisa no encontrada');
     }
-    const { codigo: divisa_codigo, tasa_compra, tasa_venta, costo_base_moneda } = divisa[0];
+    const { codigo: divisa_codigo, tasa_compra, tasa_venta, metodo_costeo, costo_base_moneda } = divisa[0];
+    const unidad = Number(divisa[0].unidad_cotizacion);
+    const errorMonto = validarMonto(divisa[0], monto);
+    if (errorMonto) {
+      throw new Error(errorMonto);
+    }
+    // Versión de tasas contra la que se valida la operación
+    const version = await versionVigente(connection, divisa_id);
+    let versionDestino = null;
+
+    // Cotización con tasa bloqueada: se respeta aunque las tasas hayan cambiado
+    let cotizacion = null;
+    if (cotizacion_id) {
+      const [cot] = await connection.query(
+        'SELECT id, usuario_id, cliente_id, tipo, divisa_id, divisa_destino_id, monto, tasa, estado, expires_at > NOW() AS vigente ' +
+        'FROM cotizaciones WHERE id = ? FOR UPDATE',
+        [cotizacion_id]
+      );
+      if (!cot.length || cot[0].usuario_id !== req.user.id) {
+        throw new Error('Cotización no encontrada');
+      }
+      cotizacion = cot[0];
+      if (cotizacion.estado === 'USADA') {
+        throw new Error('La cotización ya fue utilizada');
+      }
+      if (!cotizacion.vigente) {
+        throw new Error('La cotización está vencida');
+      }
+      if (
+        cotizacion.tipo !== tipo ||
+        cotizacion.divisa_id !== divisa_id ||
+        (cotizacion.divisa_destino_id || null) !== (divisa_destino_id || null) ||
+        (cotizacion.cliente_id && cotizacion.cliente_id !== cliente_id) ||
+        Number(cotizacion.monto) !== monto ||
+        Math.abs(Number(cotizacion.tasa) - tasa) > 0.00005
+      ) {
+        throw new Error('Los datos de la transacción no coinciden con la cotización');
+      }
+      logger.info(`Usando cotización ${cotizacion_id} con tasa ${cotizacion.tasa}`, { user: req.user.id });
+    }
+
+    let destino = null;
+    let monto_destino = null;
+    let total_soles;
+    let desvioTasa = null; // Desvío relativo de la tasa pactada frente a la de referencia
+    let fueraDeRango = null;
+    let tasa_preferencial_id = null; // Tasa negociada del cliente contra la que se validó
+    if (tipo === 'CANJE') {
+      const [divisaDestino] = await connection.query(
+        'SELECT id, codigo, nombre, tasa_compra, tasa_venta, metodo_costeo, unidad_cotizacion, decimales FROM divisas WHERE id = ?',
+        [divisa_destino_id]
+      );
+      if (!divisaDestino.length) {
+        throw new Error('Divisa destino no encontrada');
+      }
+      destino = divisaDestino[0];
+      versionDestino = await versionVigente(connection, divisa_destino_id);
+
+      // Validar tasa cruzada: compramos la divisa origen y vendemos la destino,
+      // cada una a la tasa preferencial del cliente si la tiene. La tasa de canje son las
+      // unidades de destino que se entregan por unidad de cotización de la divisa origen.
+      monto_destino = Number((monto * tasa / unidad).toFixed(Number(destino.decimales)));
+      const origenCliente = await tasasEfectivas(connection, { cliente_id, divisa_id, monto, base: { tasa_compra, tasa_venta } });
+      const destinoCliente = await tasasEfectivas(connection, { cliente_id, divisa_id: divisa_destino_id, monto: monto_destino, base: destino });
+      tasa_preferencial_id = origenCliente.tasa_preferencial_id || destinoCliente.tasa_preferencial_id;
+      const tasaCruce = origenCliente.tasa_compra * Number(destino.unidad_cotizacion) / destinoCliente.tasa_venta;
+      if (!cotizacion && !isNaN(tasaCruce)) {
+        desvioTasa = Math.abs(tasa - tasaCruce) / tasaCruce;
+        if (desvioTasa > TOLERANCIA_CANJE) {
+          logger.warn(`Tasa de canje fuera de rango: ${tasa} vs ${tasaCruce}`, { divisa_id, divisa_destino_id });
+          fueraDeRango = `Tasa de canje fuera de rango. Sugerida: ${tasaCruce.toFixed(4)}`;
+        }
+      }
+
+      // Valorización en soles de la divisa recibida, a tasa de compra
+      total_soles = montoEnSoles(monto, parseFloat(tasa_compra), unidad);
+    } else {
+      // Validar tasa contra el tramo que corresponde al monto
+      // (o contra la tasa preferencial del cliente, que se aplica sobre la del tramo)
+      const tramo = await buscarTramo(connection, divisa_id, monto);
+      const tasas = await tasasEfectivas(connection, { cliente_id, divisa_id, monto, base: tramo || { tasa_compra, tasa_venta } });
+      tasa_preferencial_id = tasas.tasa_preferencial_id;
+      const tasaRef = tipo === 'COMPRA' ? tasas.tasa_compra : tasas.tasa_venta;
+      if (!cotizacion && !isNaN(tasaRef)) {
+        desvioTasa = Math.abs(tasa - tasaRef) / tasaRef;
+        if (Math.abs(tasa - tasaRef) > 0.1) {
+          logger.warn(`Tasa fuera de rango: ${tasa} vs ${tasaRef}`, { divisa_id, tipo, tramo_id: tramo ? tramo.id : null, tasa_preferencial_id });
+          fueraDeRango = `Tasa fuera de rango. Sugerida: ${tasaRef.toFixed(4)}`;
+        }
+      }
+
+      // Validar total_soles
+      const totalCalculado = montoEnSoles(monto, tasa, unidad);
+      if (Math.abs(totalCalculado - total_soles_input) > 0.01) {
+        throw new Error(`Total soles inconsistente. Calculado: ${totalCalculado}`);
+      }
+      total_soles = totalCalculado;
+    }
 
-    // Validar tasa
-    const tasaRef = tipo === 'COMPRA' ? parseFloat(tasa_compra) : parseFloat(tasa_venta);
-    if (!isNaN(tasaRef) && Math.abs(tasa - tasaRef) > 0.1) {
-      logger.warn(`Tasa fuera de rango: ${tasa} vs ${tasaRef}`, { divisa_id, tipo });
-      throw new Error(`Tasa fuera de rango. Sugerida: ${tasaRef.toFixed(4)}`);
+    if (total_soles > UMBRAL_KYC_SOLES) {
+      if (!cliente_id) {
+        throw new Error(`Cliente requerido para transacciones > S/${UMBRAL_KYC_SOLES.toLocaleString('en-US')}`);
+      }
+      const faltantes = await camposFaltantesKyc(connection, cliente_id);
+      if (faltantes.length) {
+        throw new Error(`Perfil del cliente incompleto para transacciones > S/${UMBRAL_KYC_SOLES.toLocaleString('en-US')}. Faltan: ${faltantes.join(', ')}`);
+      }
     }
 
-    // Validar total_soles
-    const totalCalculado = Number((monto * tasa).toFixed(2));
-    if (Math.abs(totalCalculado - total_soles_input) > 0.01) {
-      throw new Error(`Total soles inconsistente. Calculado: ${totalCalculado}`);
+    // Reglas de aprobación: si alguna aplica, la operación queda PENDIENTE en lugar de rechazarse
+    const reglas = await reglasQueAplican(connection, { divisa_id, divisa_destino_id, total_soles, desvioTasa });
+    if (fueraDeRango && !reglas.some(r => r.tipo === 'DESVIO_TASA')) {
+      throw new Error(fueraDeRango);
     }
-    const total_soles = totalCalculado;
+    const estado = reglas.length ? 'PENDIENTE' : 'COMPLETADA';
+    const motivo_aprobacion = reglas.length ? reglas.map(r => r.nombre).join(', ').slice(0, 255) : null;
 
-    // Inicializar y obtener saldos
-    const divisasInvolucradas = [1, divisa_id];
-    const saldoMap = {};
-    for (const dId of divisasInvolucradas) {
-      const [exists] = await connection.query(
-        'SELECT id, saldo_actual FROM caja_saldos WHERE caja_id = ? AND divisa_id = ? FOR UPDATE',
-        [caja_id, dId]
+    // Insertar transacción con su número de comprobante
+    // (utilidad y comisión de ventas/canjes se fijan al aplicar los efectos)
+    const { serie, numero } = await asignarCorrelativo(connection);
+    const [result] = await connection.query(
+      'INSERT INTO transacciones (serie, numero_recibo, caja_id, tipo, divisa_id, divisa_destino_id, cliente_id, monto, monto_destino, comision, tipo_cambio, tasa_preferencial_id, historial_tasa_id, historial_tasa_destino_id, total_soles, utilidad, estado, motivo_aprobacion, debida_diligencia, usuario_id, fecha) ' +
+      'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, ?, ?, ?, ?, NOW())',
+      [serie, numero, caja_id, tipo, divisa_id, divisa_destino_id || null, cliente_id, monto, monto_destino, comision, tasa, tasa_preferencial_id,
+        version ? version.id : null, versionDestino ? versionDestino.id : null, total_soles, estado, motivo_aprobacion, debida_diligencia ? debida_diligencia.observacion : null, req.user.id]
+    );
+    const transaccion_id = result.insertId;
+
+    if (cotizacion) {
+      await connection.query(
+        'UPDATE cotizaciones SET estado = "USADA", transaccion_id = ? WHERE id = ?',
+        [transaccion_id, cotizacion.id]
       );
-      if (!exists.length) {
+    }
+
+    // Patas de la operación: lo que entrega el cliente y lo que recibe, con su medio de pago
+    const recibido = {
+      ...(tipo === 'VENTA' ? { divisa_id: 1, monto: total_soles } : { divisa_id, monto }),
+      medio_pago: pagos.recibido.medio,
+      referencia: pagos.recibido.referencia || null
+    };
+    const entregado = {
+      ...(tipo === 'COMPRA'
+        ? { divisa_id: 1, monto: total_soles }
+        : tipo === 'VENTA' ? { divisa_id, monto } : { divisa_id: divisa_destino_id, monto: monto_destino }),
+      medio_pago: pagos.entregado.medio,
+      referencia: pagos.entregado.referencia || null
+    };
+    await connection.query(
+      'INSERT INTO transacciones_pagos (transaccion_id, direccion, divisa_id, monto, medio_pago, referencia) VALUES (?, ?, ?, ?, ?, ?), (?, ?, ?, ?, ?, ?)',
+      [
+        transaccion_id, 'RECIBIDO', recibido.divisa_id, recibido.monto, recibido.medio_pago, recibido.referencia,
+        transaccion_id, 'ENTREGADO', entregado.divisa_id, entregado.monto, entregado.medio_pago, entregado.referencia
+      ]
+    );
+
+    // Desglose de billetes (solo patas en efectivo); el conteo de la caja se mueve al aplicar los efectos
+    if (denominaciones) {
+      if ((denominaciones.recibidas && recibido.medio_pago !== 'EFECTIVO') || (denominaciones.entregadas && entregado.medio_pago !== 'EFECTIVO')) {
+        throw new Error('El desglose de billetes solo aplica a pagos en EFECTIVO');
+      }
+      const detalle = [];
+      if (denominaciones.recibidas) {
+        const items = await resolverDesglose(connection, recibido.divisa_id, denominaciones.recibidas, recibido.monto);
+        detalle.push(...items);
+      }
+      if (denominaciones.entregadas) {
+        const items = await resolverDesglose(connection, entregado.divisa_id, denominaciones.entregadas, entregado.monto);
+        detalle.push(...items.map(i => ({ ...i, cantidad: -i.cantidad })));
+      }
+      if (detalle.length) {
         await connection.query(
-          'INSERT INTO caja_saldos (caja_id, divisa_id, saldo_inicial, saldo_actual) VALUES (?, ?, 0, 0)',
-          [caja_id, dId]
+          'INSERT INTO transacciones_denominaciones (transaccion_id, denominacion_id, cantidad) VALUES ' +
+          detalle.map(() => '(?, ?, ?)').join(','),
+          detalle.flatMap(d => [transaccion_id, d.denominacion_id, d.cantidad])
         );
-        saldoMap[dId] = 0;
-      } else {
-        saldoMap[dId] = Number(exists[0].saldo_actual);
       }
     }
 
-    // Validar saldos (ahora como advertencia, permite negativos)
-    if (tipo === 'COMPRA' && saldoMap[1] < total_soles) {
-      logger.warn(`Saldo insuficiente en PEN: S/ ${saldoMap[1].toFixed(2)} - Procediendo con balance negativo por fluctuaciones/estrategia`, { user: req.user.id });
+    let utilidad = null;
+    if (estado === 'PENDIENTE') {
+      logger.info(`Transacción ${transaccion_id} pendiente de aprobación: ${motivo_aprobacion}`, { user: req.user.id, caja_id });
+    } else {
+      ({ utilidad } = await aplicarEfectos(connection, transaccion_id));
     }
-    if (tipo === 'VENTA' && saldoMap[divisa_id] < monto) {
-      logger.warn(`Saldo insuficiente en ${divisa_codigo}: ${saldoMap[divisa_id].toFixed(2)} - Procediendo with balance negativo por fluctuaciones/estrategia`, { user: req.user.id });
+
+    await connection.commit();
+    res.json({ success: true, data: { transaccion_id, numero_recibo: formatearSerie(serie, numero), estado, motivo_aprobacion, utilidad, monto_destino } });
+  } catch (err) {
+    await connection.rollback();
+    logger.error(`Error registrando transacción: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  } finally {
+    connection.release();
+  }
+});
+
+// POST /api/transacciones/cotizaciones - Cotización con tasa bloqueada por tiempo limitado
+router.post('/cotizaciones', auth, async (req, res) => {
+  const { error, value } = cotizacionSchema.validate(req.body, { convert: true });
+  if (error) {
+    logger.error(`Validación fallida en cotización: ${error.details.map(d => d.message).join(', ')}`, { user: req.user.id });
+    return res.status(400).json({ success: false, msg: error.details.map(d => d.message).join(', ') });
+  }
+
+  const { tipo, divisa_id, divisa_destino_id, monto, cliente_id } = value;
+  try {
+    await aplicarTasasVencidas([divisa_id, divisa_destino_id]);
+    const [divisas] = await pool.query(
+      'SELECT id, codigo, tasa_compra, tasa_venta, unidad_cotizacion, decimales FROM divisas WHERE id IN (?)',
+      [[divisa_id, divisa_destino_id || divisa_id]]
+    );
+    const divisa = divisas.find(d => d.id === divisa_id);
+    const destino = divisas.find(d => d.id === divisa_destino_id);
+    if (!divisa || (tipo === 'CANJE' && !destino)) {
+      return res.status(404).json({ success: false, msg: 'Divisa no encontrada' });
     }
-    if (total_soles > 10000 && !cliente_id) {
-      throw new Error('Cliente requerido para transacciones > S/10,000');
+    const errorMonto = validarMonto(divisa, monto);
+    if (errorMonto) {
+      return res.status(400).json({ success: false, msg: errorMonto });
     }
+    const unidad = Number(divisa.unidad_cotizacion);
 
-    // Calcular utilidad (solo para ventas) y manejar comision
-    let utilidad = null;
-    let comisionFinal = comision; // 🆕 Usar comision del frontend o 0
-    if (tipo === 'VENTA') {
-      let costoTotal = 0;
-      const [lotes] = await connection.query(
-        'SELECT id, monto, costo_base FROM divisas_inventario WHERE divisa_id = ? AND caja_id = ? AND disponible = TRUE',
-        [divisa_id, caja_id]
+    let tasa;
+    let total_soles;
+    let monto_destino = null;
+    if (tipo === 'CANJE') {
+      const origenCliente = await tasasEfectivas(pool, { cliente_id, divisa_id, monto, base: divisa });
+      const destinoCliente = await tasasEfectivas(pool, { cliente_id, divisa_id: divisa_destino_id, base: destino });
+      tasa = Number((origenCliente.tasa_compra * Number(destino.unidad_cotizacion) / destinoCliente.tasa_venta).toFixed(4));
+      monto_destino = Number((monto * tasa / unidad).toFixed(Number(destino.decimales)));
+      total_soles = montoEnSoles(monto, parseFloat(divisa.tasa_compra), unidad);
+    } else {
+      const tasas = await tasasEfectivas(pool, { cliente_id, divisa_id, monto, base: (await buscarTramo(pool, divisa_id, monto)) || divisa });
+      tasa = Number((tipo === 'COMPRA' ? tasas.tasa_compra : tasas.tasa_venta).toFixed(4));
+      total_soles = montoEnSoles(monto, tasa, unidad);
+    }
+
+    const cotizacion_id = crypto.randomUUID();
+    await pool.query(
+      'INSERT INTO cotizaciones (id, usuario_id, cliente_id, tipo, divisa_id, divisa_destino_id, monto, tasa, total_soles, monto_destino, estado, created_at, expires_at) ' +
+      'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, "VIGENTE", NOW(), DATE_ADD(NOW(), INTERVAL ? SECOND))',
+      [cotizacion_id, req.user.id, cliente_id || null, tipo, divisa_id, divisa_destino_id || null, monto, tasa, total_soles, monto_destino, COTIZACION_TTL_SEGUNDOS]
+    );
+    const [[{ expires_at }]] = await pool.query('SELECT expires_at FROM cotizaciones WHERE id = ?', [cotizacion_id]);
+
+    logger.info(`Cotización ${cotizacion_id} emitida: ${tipo} ${monto} ${divisa.codigo} a ${tasa}`, { user: req.user.id });
+    res.json({
+      success: true,
+      data: {
+        cotizacion_id,
+        tipo,
+        cliente_id: cliente_id || null,
+        divisa_id,
+        divisa_destino_id: divisa_destino_id || null,
+        monto,
+        tasa,
+        total_soles,
+        monto_destino,
+        vigencia_segundos: COTIZACION_TTL_SEGUNDOS,
+        expires_at
+      }
+    });
+  } catch (err) {
+    logger.error(`Error emitiendo cotización: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+// POST /api/transacciones/:id/anular - Revierte por completo una transacción
+router.post('/:id/anular', auth, async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(id)) {
+    return res.status(400).json({ success: false, msg: 'ID de transacción inválido' });
+  }
+  const { error, value } = anulacionSchema.validate(req.body, { convert: true });
+  if (error) {
+    logger.error(`Validación fallida en anulación: ${error.details.map(d => d.message).join(', ')}`, { user: req.user.id });
+    return res.status(400).json({ success: false, msg: error.details.map(d => d.message).join(', ') });
+  }
+  const { motivo } = value;
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    logger.info(`Iniciando anulación de transacción ${id}`, { user: req.user.id, motivo });
+
+    const [tx] = await connection.query(
+      `SELECT t.id, t.caja_id, t.tipo, t.divisa_id, d.codigo AS divisa_codigo, t.monto, t.total_soles, t.utilidad,
+              t.divisa_destino_id, dd.codigo AS divisa_destino_codigo, t.monto_destino,
+              t.estado, t.usuario_id, t.cliente_id, c.estado AS caja_estado
+       FROM transacciones t
+       JOIN divisas d ON t.divisa_id = d.id
+       LEFT JOIN divisas dd ON t.divisa_destino_id = dd.id
+       JOIN caja c ON t.caja_id = c.id
+       WHERE t.id = ? FOR UPDATE`,
+      [id]
+    );
+    if (!tx.length) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, msg: 'Transacción no encontrada' });
+    }
+    const t = tx[0];
+    if (t.usuario_id !== req.user.id && req.user.rol !== 'Admin') {
+      await connection.rollback();
+      logger.warn(`Intento de anular transacción ajena ${id}`, { user: req.user.id });
+      return res.status(403).json({ success: false, msg: 'Acceso denegado' });
+    }
+    if (t.estado === 'ANULADA') {
+      await connection.rollback();
+      return res.status(400).json({ success: false, msg: 'La transacción ya está anulada' });
+    }
+    if (t.estado !== 'COMPLETADA') {
+      // Pendientes y rechazadas no aplicaron efectos: se resuelven con aprobar/rechazar
+      await connection.rollback();
+      return res.status(400).json({ success: false, msg: 'Solo se pueden anular transacciones completadas' });
+    }
+    if (t.caja_estado !== 'ABIERTA') {
+      await connection.rollback();
+      return res.status(400).json({ success: false, msg: 'Solo se pueden anular transacciones de una caja abierta' });
+    }
+
+    const caja_id = t.caja_id;
+    const monto = Number(t.monto);
+    const total_soles = Number(t.total_soles);
+    const utilidad = t.utilidad !== null ? Number(t.utilidad) : null;
+    const monto_destino = t.monto_destino !== null ? Number(t.monto_destino) : null;
+    const etiqueta = t.tipo === 'CANJE' ? `${t.divisa_codigo} a ${t.divisa_destino_codigo}` : t.divisa_codigo;
+
+    // Revertir inventario: lote creado por la divisa recibida
+    if (t.tipo === 'COMPRA' || t.tipo === 'CANJE') {
+      const [lote] = await connection.query(
+        'SELECT id, monto FROM divisas_inventario WHERE transaccion_id = ? FOR UPDATE',
+        [id]
       );
-      logger.info(`Inventario disponible para ${divisa_codigo}:`, { lotes: lotes, caja_id, divisa_id });
-      if (lotes.length) {
-        const totalMonto = lotes.reduce((sum, lote) => sum + Number(lote.monto), 0);
-        if (totalMonto >= monto) {
-          const costoPonderado = lotes.reduce((sum, lote) => sum + Number(lote.monto) * Number(lote.costo_base), 0) / totalMonto;
-          costoTotal = monto * costoPonderado;
-          let montoRestante = monto;
-          for (const lote of lotes) {
-            if (montoRestante <= 0) break;
-            const montoUsado = Math.min(montoRestante, Number(lote.monto));
-            await connection.query(
-              'UPDATE divisas_inventario SET monto = monto - ?, disponible = IF(monto - ? <= 0, FALSE, TRUE) WHERE id = ?',
-              [montoUsado, montoUsado, lote.id]
-            );
-            montoRestante -= montoUsado;
-            logger.info(`Consumiendo lote: ID ${lote.id}, monto usado: ${montoUsado}, costo base: ${lote.costo_base}`, { divisa_id });
-          }
-        } else {
-          logger.warn(`Inventario insuficiente para divisa ${divisa_id}, usando tasa_compra`, { caja_id, user: req.user.id });
-          costoTotal = monto * tasa_compra;
+      if (lote.length) {
+        if (Number(lote[0].monto) < monto) {
+          await connection.rollback();
+          logger.warn(`Anulación rechazada: lote ${lote[0].id} ya consumido`, { user: req.user.id, transaccion_id: id });
+          return res.status(400).json({ success: false, msg: 'El lote de esta compra ya fue consumido por ventas posteriores; anule esas ventas primero' });
         }
+        await connection.query(
+          'UPDATE divisas_inventario SET monto = 0, disponible = FALSE WHERE id = ?',
+          [lote[0].id]
+        );
+        logger.info(`Lote ${lote[0].id} retirado del inventario`, { transaccion_id: id });
       } else {
-        costoTotal = monto * tasa_compra;
+        logger.warn(`${t.tipo} ${id} sin lote vinculado, inventario no revertido`, { user: req.user.id });
       }
-      utilidad = Number((total_soles - costoTotal).toFixed(2));
-      comisionFinal = utilidad; // Para VENTA, comision = utilidad
-      if (utilidad < 0) {
-        logger.warn(`Utilidad negativa registrada: S/ ${utilidad}`, { divisa_id, tasa, costoTotal });
-      }
-    } else {
-      // Para compras, registrar en el inventario
-      await connection.query(
-        'INSERT INTO divisas_inventario (divisa_id, caja_id, monto, costo_base, fecha_adquisicion) VALUES (?, ?, ?, ?, NOW())',
-        [divisa_id, caja_id, monto, tasa]
+    }
+    // Revertir inventario: lotes consumidos por la divisa entregada
+    if (t.tipo === 'VENTA' || t.tipo === 'CANJE') {
+      const [consumidos] = await connection.query(
+        'SELECT lote_id, monto FROM transacciones_lotes WHERE transaccion_id = ?',
+        [id]
       );
-      logger.info(`Lote registrado en inventario: ${monto} ${divisa_codigo}, costo base: ${tasa}`, { divisa_id, caja_id });
+      if (consumidos.length) {
+        for (const l of consumidos) {
+          await connection.query(
+            'UPDATE divisas_inventario SET monto = monto + ?, disponible = TRUE WHERE id = ?',
+            [l.monto, l.lote_id]
+          );
+          logger.info(`Restituyendo lote: ID ${l.lote_id}, monto: ${l.monto}`, { transaccion_id: id });
+        }
+      } else {
+        // La operación se registró sin inventario suficiente y no consumió lotes: no hay nada que restituir
+        logger.warn(`${t.tipo} ${id} sin lotes consumidos, inventario no revertido`, { user: req.user.id });
+      }
     }
 
-    // Insertar transacción
-    const [result] = await connection.query(
-      'INSERT INTO transacciones (caja_id, tipo, divisa_id, cliente_id, monto, comision, tipo_cambio, total_soles, utilidad, usuario_id, fecha) ' +
-      'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())',
-      [caja_id, tipo, divisa_id, cliente_id, monto, comisionFinal, tasa, total_soles, utilidad, req.user.id]
+    // Patas de la operación con su medio de pago (las transacciones anteriores fueron en efectivo)
+    let [patas] = await connection.query(
+      'SELECT direccion, divisa_id, monto, medio_pago FROM transacciones_pagos WHERE transaccion_id = ?',
+      [id]
     );
-    const transaccion_id = result.insertId;
+    if (!patas.length) {
+      patas = [
+        { direccion: 'RECIBIDO', divisa_id: t.tipo === 'VENTA' ? 1 : t.divisa_id, monto: t.tipo === 'VENTA' ? total_soles : monto, medio_pago: 'EFECTIVO' },
+        {
+          direccion: 'ENTREGADO',
+          divisa_id: t.tipo === 'COMPRA' ? 1 : t.tipo === 'VENTA' ? t.divisa_id : t.divisa_destino_id,
+          monto: t.tipo === 'COMPRA' ? total_soles : t.tipo === 'VENTA' ? monto : monto_destino,
+          medio_pago: 'EFECTIVO'
+        }
+      ];
+    }
 
-    // Actualizar saldos
-    const saldoUpdates = [
-      { divisa_id: 1, delta: tipo === 'COMPRA' ? -total_soles : total_soles },
-      { divisa_id: divisa_id, delta: tipo === 'COMPRA' ? monto : -monto }
-    ];
-    for (const { divisa_id, delta } of saldoUpdates) {
-      await connection.query(
-        'UPDATE caja_saldos SET saldo_actual = saldo_actual + ? WHERE caja_id = ? AND divisa_id = ?',
-        [delta, caja_id, divisa_id]
+    // Revertir saldos
+    for (const p of patas) {
+      const delta = p.direccion === 'RECIBIDO' ? -Number(p.monto) : Number(p.monto);
+      await actualizarSaldo(connection, caja_id, p.divisa_id, p.medio_pago, delta);
+    }
+
+    // Revertir conteo de billetes: primero vuelven los entregados, luego salen los recibidos
+    const [billetes] = await connection.query(
+      'SELECT td.denominacion_id, dd.valor, td.cantidad FROM transacciones_denominaciones td ' +
+      'JOIN divisas_denominaciones dd ON td.denominacion_id = dd.id WHERE td.transaccion_id = ? ORDER BY td.cantidad ASC',
+      [id]
+    );
+    for (const b of billetes) {
+      const cantidad = Number(b.cantidad);
+      await moverDenominaciones(
+        connection, caja_id,
+        [{ denominacion_id: b.denominacion_id, valor: Number(b.valor), cantidad: Math.abs(cantidad) }],
+        cantidad > 0 ? -1 : 1
       );
     }
 
-    // Registrar movimientos
-    const movimientos = [
-      {
-        tipo: tipo === 'COMPRA' ? 'EGRESO' : 'INGRESO',
-        divisa_id: 1,
-        monto: total_soles,
-        descripcion: tipo === 'COMPRA' ? `Pago cliente: ${tipo} de ${divisa_codigo} (Tx #${transaccion_id})` : `Recibido cliente: ${tipo} de ${divisa_codigo} (Tx #${transaccion_id})`
-      },
-      {
-        tipo: tipo === 'COMPRA' ? 'INGRESO' : 'EGRESO',
-        divisa_id: divisa_id,
-        monto: monto,
-        descripcion: tipo === 'COMPRA' ? `Recibido: ${tipo} de ${divisa_codigo} (Tx #${transaccion_id})` : `Entregado: ${tipo} de ${divisa_codigo} (Tx #${transaccion_id})`
-      }
-    ];
-    if (tipo === 'VENTA' && utilidad !== null) {
+    // Contramovimientos
+    const movimientos = patas.map(p => ({
+      tipo: p.direccion === 'RECIBIDO' ? 'EGRESO' : 'INGRESO',
+      divisa_id: p.divisa_id,
+      monto: Number(p.monto),
+      medio_pago: p.medio_pago,
+      descripcion: `Anulación: ${t.tipo} de ${etiqueta} (Tx #${id}) - ${motivo}`
+    }));
+    if (t.tipo !== 'COMPRA' && utilidad !== null) {
       movimientos.push({
-        tipo: utilidad >= 0 ? 'INGRESO' : 'EGRESO',
+        tipo: utilidad >= 0 ? 'EGRESO' : 'INGRESO',
         divisa_id: 1,
         monto: Math.abs(utilidad),
-        descripcion: utilidad >= 0 
-          ? `Utilidad: ${tipo} de ${divisa_codigo} (Tx #${transaccion_id}) (+${utilidad})`
-          : `Pérdida: ${tipo} de ${divisa_codigo} (Tx #${transaccion_id}) (${utilidad})`
+        descripcion: `Anulación ${utilidad >= 0 ? 'utilidad' : 'pérdida'}: ${t.tipo} de ${etiqueta} (Tx #${id}) (${-utilidad})`
       });
     }
     await connection.query(
-      'INSERT INTO movimientos_caja (caja_id, tipo, divisa_id, monto, descripcion, usuario_id, fecha) VALUES ' +
-      movimientos.map(() => '(?, ?, ?, ?, ?, ?, NOW())').join(','),
-      movimientos.flatMap(m => [caja_id, m.tipo, m.divisa_id, m.monto, m.descripcion, req.user.id])
+      'INSERT INTO movimientos_caja (caja_id, tipo, divisa_id, monto, medio_pago, descripcion, usuario_id, fecha) VALUES ' +
+      movimientos.map(() => '(?, ?, ?, ?, ?, ?, ?, NOW())').join(','),
+      movimientos.flatMap(m => [caja_id, m.tipo, m.divisa_id, m.monto, m.medio_pago || 'EFECTIVO', m.descripcion, req.user.id])
     );
 
-    // Actualizar utilidad total
-    if (tipo === 'VENTA' && utilidad !== null) {
-      await connection.query('UPDATE caja SET utilidad_total = utilidad_total + ? WHERE id = ?', [utilidad, caja_id]);
+    // Revertir utilidad total
+    if (t.tipo !== 'COMPRA' && utilidad !== null) {
+      await connection.query('UPDATE caja SET utilidad_total = utilidad_total - ? WHERE id = ?', [utilidad, caja_id]);
     }
 
-    // Log saldos finales
-    const [newSaldos] = await connection.query(
-      'SELECT d.codigo, cs.saldo_actual FROM caja_saldos cs JOIN divisas d ON cs.divisa_id = d.id WHERE cs.caja_id = ?',
-      [caja_id]
+    await connection.query(
+      `UPDATE transacciones SET estado = 'ANULADA', motivo_anulacion = ?, anulada_por = ?, fecha_anulacion = NOW() WHERE id = ?`,
+      [motivo, req.user.id, id]
     );
-    logger.info(`Saldos después - Caja ${caja_id}`, { saldos: newSaldos });
+
+    // La operación anulada ya no cuenta para las alertas de estructuración ni para el riesgo del cliente
+    const alertasLiberadas = await liberarAlertasAnuladas(connection, Number(id), req.user.id, motivo);
+    if (t.cliente_id) {
+      await evaluarRiesgo(connection, t.cliente_id);
+    }
+    // ...ni para el registro de operaciones múltiples del mes
+    const multiplesRetirados = await reevaluarMultiples(connection, Number(id));
 
     await connection.commit();
-    res.json({ success: true, data: { transaccion_id, utilidad } });
+    logger.info(`Transacción ${id} anulada`, { user: req.user.id, caja_id, alertas_liberadas: alertasLiberadas, multiples_retirados: multiplesRetirados });
+    res.json({ success: true, data: { transaccion_id: Number(id), estado: 'ANULADA' } });
   } catch (err) {
     await connection.rollback();
-    logger.error(`Error registrando transacción: ${err.message}`, { user: req.user.id, stack: err.stack });
+    logger.error(`Error anulando transacción ${id}: ${err.message}`, { user: req.user.id, stack: err.stack });
     res.status(500).json({ success: false, msg: `Error: ${err.message}` });
   } finally {
     connection.release();
   }
 });
 
+// GET /api/transacciones/pendientes - Cola de transacciones pendientes de aprobación
+// (el cajero ve las suyas; el Admin, las de todas las cajas)
+router.get('/pendientes', auth, async (req, res) => {
+  try {
+    const esAdmin = req.user.rol === 'Admin';
+    const [pendientes] = await pool.query(
+      `SELECT t.id, t.caja_id, t.tipo, t.divisa_id, d.codigo AS divisa_codigo, dd.codigo AS divisa_destino_codigo,
+              t.cliente_id, c.nombre AS cliente_nombre, t.monto, t.monto_destino, t.tipo_cambio, t.total_soles,
+              t.motivo_aprobacion, t.fecha, u.email AS usuario_email
+       FROM transacciones t
+       JOIN divisas d ON t.divisa_id = d.id
+       LEFT JOIN divisas dd ON t.divisa_destino_id = dd.id
+       LEFT JOIN clientes c ON t.cliente_id = c.id
+       JOIN users u ON t.usuario_id = u.id
+       WHERE t.estado = 'PENDIENTE'${esAdmin ? '' : ' AND t.usuario_id = ?'}
+       ORDER BY t.fecha ASC`,
+      esAdmin ? [] : [req.user.id]
+    );
+
+    const data = pendientes.map(t => ({
+      id: t.id,
+      caja_id: t.caja_id,
+      tipo: t.tipo,
+      divisa_id: t.divisa_id,
+      divisa_codigo: t.divisa_codigo,
+      divisa_destino_codigo: t.divisa_destino_codigo || null,
+      cliente_id: t.cliente_id,
+      cliente_nombre: t.cliente_nombre || 'Sin cliente',
+      monto: Number(t.monto).toFixed(2),
+      monto_destino: t.monto_destino !== null ? Number(t.monto_destino).toFixed(2) : null,
+      tipo_cambio: Number(t.tipo_cambio).toFixed(4),
+      total_soles: Number(t.total_soles).toFixed(2),
+      motivo_aprobacion: t.motivo_aprobacion,
+      fecha: t.fecha,
+      usuario_email: t.usuario_email
+    }));
+
+    logger.info(`Transacciones pendientes obtenidas`, { count: data.length, user: req.user.id });
+    res.json({ success: true, data });
+  } catch (err) {
+    logger.error(`Error obteniendo transacciones pendientes: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+// POST /api/transacciones/:id/aprobar - Aprobar una transacción pendiente y aplicar sus efectos (solo Admin)
+router.post('/:id/aprobar', auth, async (req, res) => {
+  if (req.user.rol !== 'Admin') {
+    return res.status(403).json({ success: false, msg: 'Acceso denegado' });
+  }
+  const { id } = req.params;
+  if (!id || isNaN(id)) {
+    return res.status(400).json({ success: false, msg: 'ID de transacción inválido' });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [tx] = await connection.query(
+      `SELECT t.id, t.estado, t.caja_id, t.cliente_id, c.estado AS caja_estado
+       FROM transacciones t JOIN caja c ON t.caja_id = c.id
+       WHERE t.id = ? FOR UPDATE`,
+      [id]
+    );
+    if (!tx.length) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, msg: 'Transacción no encontrada' });
+    }
+    if (tx[0].estado !== 'PENDIENTE') {
+      await connection.rollback();
+      return res.status(400).json({ success: false, msg: 'La transacción no está pendiente de aprobación' });
+    }
+    if (tx[0].caja_estado !== 'ABIERTA') {
+      await connection.rollback();
+      return res.status(400).json({ success: false, msg: 'La caja de la transacción no está abierta' });
+    }
+    const bloqueo = await alertaBloqueante(connection, tx[0].cliente_id);
+    if (bloqueo) {
+      await connection.rollback();
+      return res.status(400).json({ success: false, msg: `El cliente tiene abierta la alerta #${bloqueo.id}; libérela antes de aprobar` });
+    }
+
+    const { utilidad } = await aplicarEfectos(connection, Number(id));
+    await connection.query(
+      `UPDATE transacciones SET estado = 'COMPLETADA', revisada_por = ?, fecha_revision = NOW() WHERE id = ?`,
+      [req.user.id, id]
+    );
+
+    await connection.commit();
+    logger.info(`Transacción ${id} aprobada`, { user: req.user.id, caja_id: tx[0].caja_id });
+    res.json({ success: true, data: { transaccion_id: Number(id), estado: 'COMPLETADA', utilidad } });
+  } catch (err) {
+    await connection.rollback();
+    logger.error(`Error aprobando transacción ${id}: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  } finally {
+    connection.release();
+  }
+});
+
+// POST /api/transacciones/:id/rechazar - Rechazar una transacción pendiente (solo Admin)
+router.post('/:id/rechazar', auth, async (req, res) => {
+  if (req.user.rol !== 'Admin') {
+    return res.status(403).json({ success: false, msg: 'Acceso denegado' });
+  }
+  const { id } = req.params;
+  if (!id || isNaN(id)) {
+    return res.status(400).json({ success: false, msg: 'ID de transacción inválido' });
+  }
+  const { error, value } = rechazoSchema.validate(req.body, { convert: true });
+  if (error) {
+    return res.status(400).json({ success: false, msg: error.details.map(d => d.message).join(', ') });
+  }
+
+  try {
+    // Una pendiente no tocó saldos ni inventario: basta con cambiar su estado
+    const [result] = await pool.query(
+      `UPDATE transacciones SET estado = 'RECHAZADA', motivo_rechazo = ?, revisada_por = ?, fecha_revision = NOW()
+       WHERE id = ? AND estado = 'PENDIENTE'`,
+      [value.motivo, req.user.id, id]
+    );
+    if (!result.affectedRows) {
+      return res.status(400).json({ success: false, msg: 'La transacción no existe o no está pendiente de aprobación' });
+    }
+    logger.info(`Transacción ${id} rechazada`, { user: req.user.id, motivo: value.motivo });
+    res.json({ success: true, data: { transaccion_id: Number(id), estado: 'RECHAZADA' } });
+  } catch (err) {
+    logger.error(`Error rechazando transacción ${id}: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+// GET /api/transacciones/reglas-aprobacion - Reglas que envían operaciones a aprobación (solo Admin)
+router.get('/reglas-aprobacion', auth, async (req, res) => {
+  if (req.user.rol !== 'Admin') {
+    return res.status(403).json({ success: false, msg: 'Acceso denegado' });
+  }
+  try {
+    const [reglas] = await pool.query(
+      `SELECT r.id, r.nombre, r.tipo, r.divisa_id, d.codigo AS divisa_codigo, r.umbral, r.activo, r.created_at, r.updated_at
+       FROM reglas_aprobacion r LEFT JOIN divisas d ON r.divisa_id = d.id
+       ORDER BY r.id`
+    );
+    res.json({ success: true, data: reglas.map(r => ({ ...r, umbral: Number(r.umbral), activo: !!r.activo })) });
+  } catch (err) {
+    logger.error(`Error obteniendo reglas de aprobación: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+// POST /api/transacciones/reglas-aprobacion - Crear regla de aprobación (solo Admin)
+router.post('/reglas-aprobacion', auth, async (req, res) => {
+  if (req.user.rol !== 'Admin') {
+    return res.status(403).json({ success: false, msg: 'Acceso denegado' });
+  }
+  const { error, value } = reglaAprobacionSchema.validate(req.body, { convert: true });
+  if (error) {
+    return res.status(400).json({ success: false, msg: error.details.map(d => d.message).join(', ') });
+  }
+  try {
+    const { nombre, tipo, divisa_id, umbral, activo } = value;
+    const [result] = await pool.query(
+      'INSERT INTO reglas_aprobacion (nombre, tipo, divisa_id, umbral, activo, created_at) VALUES (?, ?, ?, ?, ?, NOW())',
+      [nombre, tipo, divisa_id, umbral, activo]
+    );
+    logger.info(`Regla de aprobación creada: ${nombre}`, { user: req.user.id, id: result.insertId, tipo, umbral });
+    res.status(201).json({ success: true, data: { id: result.insertId, ...value } });
+  } catch (err) {
+    logger.error(`Error creando regla de aprobación: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+// PUT /api/transacciones/reglas-aprobacion/:reglaId - Actualizar regla de aprobación (solo Admin)
+router.put('/reglas-aprobacion/:reglaId', auth, async (req, res) => {
+  if (req.user.rol !== 'Admin') {
+    return res.status(403).json({ success: false, msg: 'Acceso denegado' });
+  }
+  const { reglaId } = req.params;
+  const { error, value } = reglaAprobacionSchema.validate(req.body, { convert: true });
+  if (error) {
+    return res.status(400).json({ success: false, msg: error.details.map(d => d.message).join(', ') });
+  }
+  try {
+    const { nombre, tipo, divisa_id, umbral, activo } = value;
+    const [result] = await pool.query(
+      'UPDATE reglas_aprobacion SET nombre = ?, tipo = ?, divisa_id = ?, umbral = ?, activo = ?, updated_at = NOW() WHERE id = ?',
+      [nombre, tipo, divisa_id, umbral, activo, reglaId]
+    );
+    if (!result.affectedRows) {
+      return res.status(404).json({ success: false, msg: 'Regla no encontrada' });
+    }
+    logger.info(`Regla de aprobación ${reglaId} actualizada`, { user: req.user.id, tipo, umbral, activo });
+    res.json({ success: true, data: { id: Number(reglaId), ...value } });
+  } catch (err) {
+    logger.error(`Error actualizando regla de aprobación ${reglaId}: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+// DELETE /api/transacciones/reglas-aprobacion/:reglaId - Eliminar regla de aprobación (solo Admin)
+router.delete('/reglas-aprobacion/:reglaId', auth, async (req, res) => {
+  if (req.user.rol !== 'Admin') {
+    return res.status(403).json({ success: false, msg: 'Acceso denegado' });
+  }
+  const { reglaId } = req.params;
+  try {
+    const [result] = await pool.query('DELETE FROM reglas_aprobacion WHERE id = ?', [reglaId]);
+    if (!result.affectedRows) {
+      return res.status(404).json({ success: false, msg: 'Regla no encontrada' });
+    }
+    logger.info(`Regla de aprobación ${reglaId} eliminada`, { user: req.user.id });
+    res.json({ success: true, msg: 'Regla eliminada' });
+  } catch (err) {
+    logger.error(`Error eliminando regla de aprobación ${reglaId}: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
 // 🆕 GET /api/transacciones/recientes - Lista últimos recibos (ahora sin filtro por caja abierta, con paginación)
 router.get('/recientes', auth, async (req, res) => {
   const transaccionQuerySchema = Joi.object({
@@ -333,10 +1179,12 @@ router.get('/recientes', auth, async (req, res) => {
     const [recibos] = await pool.query(
       `SELECT 
          t.id, t.tipo, t.divisa_id, d.codigo AS divisa_codigo, d.nombre AS divisa_nombre,
+         t.divisa_destino_id, dd.codigo AS divisa_destino_codigo, dd.nombre AS divisa_destino_nombre, t.monto_destino,
          t.cliente_id, c.nombre AS cliente_nombre, c.whatsapp,
-         t.monto, t.comision, t.tipo_cambio AS tasa, t.total_soles, t.utilidad, t.fecha
+         t.monto, t.comision, t.tipo_cambio AS tasa, t.total_soles, t.utilidad, t.estado, t.fecha
        FROM transacciones t
        JOIN divisas d ON t.divisa_id = d.id
+       LEFT JOIN divisas dd ON t.divisa_destino_id = dd.id
        LEFT JOIN clientes c ON t.cliente_id = c.id
        WHERE t.usuario_id = ? 
        ORDER BY t.fecha DESC
@@ -348,14 +1196,19 @@ router.get('/recientes', auth, async (req, res) => {
       id: t.id,
       tipo: t.tipo.toUpperCase(),
       divisa: { id: t.divisa_id, codigo: t.divisa_codigo, nombre: t.divisa_nombre },
+      divisa_destino: t.divisa_destino_id
+        ? { id: t.divisa_destino_id, codigo: t.divisa_destino_codigo, nombre: t.divisa_destino_nombre }
+        : null,
       cliente_id: t.cliente_id,
       cliente_nombre: t.cliente_nombre || 'Sin cliente',
       whatsapp: t.whatsapp || null,
       monto: Number(t.monto).toFixed(2),
+      monto_destino: t.monto_destino !== null ? Number(t.monto_destino).toFixed(2) : null,
       comision: Number(t.comision || 0).toFixed(2),
       tasa: Number(t.tasa).toFixed(3),
       total_soles: Number(t.total_soles).toFixed(2),
       utilidad: t.utilidad !== null ? Number(t.utilidad).toFixed(2) : null,
+      estado: t.estado,
       fecha: new Date(t.fecha).toLocaleString('es-PE', {
         year: 'numeric',
         month: '2-digit',
@@ -376,6 +1229,74 @@ router.get('/recientes', auth, async (req, res) => {
   }
 });
 
+// GET /api/transacciones/:id/recibo.pdf - Comprobante imprimible (A4 o ticket de 80mm).
+// La primera impresión es el original; las siguientes salen con el mismo número marcadas como copia.
+router.get('/:id/recibo.pdf', auth, async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(id)) {
+    return res.status(400).json({ success: false, msg: 'ID de recibo inválido' });
+  }
+  const { error, value } = reciboQuerySchema.validate(req.query, { convert: true });
+  if (error) {
+    return res.status(400).json({ success: false, msg: error.details.map(d => d.message).join(', ') });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [rows] = await connection.query(
+      `SELECT t.id, t.serie, t.numero_recibo, t.impresiones, t.tipo, t.estado, t.fecha, t.usuario_id,
+              d.codigo AS divisa_codigo, dd.codigo AS divisa_destino_codigo,
+              d.unidad_cotizacion, d.decimales, dd.decimales AS destino_decimales,
+              t.monto, t.monto_destino, t.tipo_cambio, t.total_soles,
+              c.nombre AS cliente_nombre, c.dni AS cliente_dni, u.nombre AS cajero
+       FROM transacciones t
+       JOIN divisas d ON t.divisa_id = d.id
+       LEFT JOIN divisas dd ON t.divisa_destino_id = dd.id
+       LEFT JOIN clientes c ON t.cliente_id = c.id
+       LEFT JOIN users u ON t.usuario_id = u.id
+       WHERE t.id = ? FOR UPDATE`,
+      [id]
+    );
+    if (!rows.length) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, msg: 'Recibo no encontrado' });
+    }
+    const recibo = rows[0];
+    if (recibo.usuario_id !== req.user.id && !['Admin', 'Auditor'].includes(req.user.rol)) {
+      await connection.rollback();
+      logger.warn(`Intento de imprimir recibo ajeno ${id}`, { user: req.user.id });
+      return res.status(403).json({ success: false, msg: 'Acceso denegado' });
+    }
+
+    const [pagos] = await connection.query(
+      'SELECT direccion, medio_pago, referencia FROM transacciones_pagos WHERE transaccion_id = ? ORDER BY direccion DESC',
+      [id]
+    );
+    recibo.pagos = pagos;
+    const copia = recibo.impresiones > 0;
+    const pdf = await generarReciboPdf(recibo, { formato: value.formato, copia });
+
+    await connection.query('UPDATE transacciones SET impresiones = impresiones + 1 WHERE id = ?', [id]);
+    await connection.commit();
+
+    const nombre = recibo.numero_recibo ? formatearSerie(recibo.serie, recibo.numero_recibo) : `tx_${recibo.id}`;
+    logger.info(`Recibo ${nombre} impreso${copia ? ' (copia)' : ''}`, { user: req.user.id, formato: value.formato });
+    res.writeHead(200, {
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="recibo_${nombre}${copia ? '_copia' : ''}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.end(pdf);
+  } catch (err) {
+    await connection.rollback();
+    logger.error(`Error generando recibo ${id}: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  } finally {
+    connection.release();
+  }
+});
+
 // GET /api/transacciones/:id - Detalles de un recibo específico (sin filtro por caja abierta)
 router.get('/:id', auth, async (req, res) => {
   const { id } = req.params;
@@ -387,11 +1308,14 @@ router.get('/:id', auth, async (req, res) => {
     logger.info(`Obteniendo detalles de recibo ${id}`, { user: req.user.id });
     const [recibo] = await pool.query(
       `SELECT 
-         t.id, t.tipo, t.divisa_id, d.codigo AS divisa_codigo, d.nombre AS divisa_nombre,
+         t.id, t.serie, t.numero_recibo, t.tipo, t.divisa_id, d.codigo AS divisa_codigo, d.nombre AS divisa_nombre,
+         t.divisa_destino_id, dd.codigo AS divisa_destino_codigo, dd.nombre AS divisa_destino_nombre, t.monto_destino,
          t.cliente_id, c.nombre AS cliente_nombre, c.whatsapp,
-         t.monto, t.comision, t.tipo_cambio AS tasa, t.total_soles, t.utilidad, t.fecha
+         t.monto, t.comision, t.tipo_cambio AS tasa, t.tasa_preferencial_id, t.historial_tasa_id, t.historial_tasa_destino_id,
+         t.total_soles, t.utilidad, t.fecha, t.estado, t.motivo_anulacion, t.fecha_anulacion, t.motivo_aprobacion, t.motivo_rechazo, t.fecha_revision
        FROM transacciones t
        JOIN divisas d ON t.divisa_id = d.id
+       LEFT JOIN divisas dd ON t.divisa_destino_id = dd.id
        LEFT JOIN clientes c ON t.cliente_id = c.id
        WHERE t.id = ? AND t.usuario_id = ?`,
       [id, req.user.id]
@@ -404,16 +1328,27 @@ router.get('/:id', auth, async (req, res) => {
 
     const formattedRecibo = {
       id: recibo[0].id,
+      numero_recibo: recibo[0].numero_recibo ? formatearSerie(recibo[0].serie, recibo[0].numero_recibo) : null,
       tipo: recibo[0].tipo.toUpperCase(),
       divisa: { id: recibo[0].divisa_id, codigo: recibo[0].divisa_codigo, nombre: recibo[0].divisa_nombre },
+      divisa_destino: recibo[0].divisa_destino_id
+        ? { id: recibo[0].divisa_destino_id, codigo: recibo[0].divisa_destino_codigo, nombre: recibo[0].divisa_destino_nombre }
+        : null,
       cliente_id: recibo[0].cliente_id,
       cliente_nombre: recibo[0].cliente_nombre || 'Sin cliente',
       whatsapp: recibo[0].whatsapp || null,
       monto: Number(recibo[0].monto).toFixed(2),
+      monto_destino: recibo[0].monto_destino !== null ? Number(recibo[0].monto_destino).toFixed(2) : null,
       comision: Number(recibo[0].comision || 0).toFixed(2),
       tasa: Number(recibo[0].tasa).toFixed(3),
       total_soles: Number(recibo[0].total_soles).toFixed(2),
       utilidad: recibo[0].utilidad !== null ? Number(recibo[0].utilidad).toFixed(2) : null,
+      estado: recibo[0].estado,
+      motivo_anulacion: recibo[0].motivo_anulacion || null,
+      fecha_anulacion: recibo[0].fecha_anulacion,
+      motivo_aprobacion: recibo[0].motivo_aprobacion || null,
+      motivo_rechazo: recibo[0].motivo_rechazo || null,
+      fecha_revision: recibo[0].fecha_revision,
       fecha: new Date(recibo[0].fecha).toLocaleString('es-PE', {
         year: 'numeric',
         month: '2-digit',
@@ -426,6 +1361,21 @@ router.get('/:id', auth, async (req, res) => {
       }),
     };
 
+    const [pagos] = await pool.query(
+      `SELECT tp.direccion, d.codigo AS divisa_codigo, tp.monto, tp.medio_pago, tp.referencia
+       FROM transacciones_pagos tp
+       JOIN divisas d ON tp.divisa_id = d.id
+       WHERE tp.transaccion_id = ?`,
+      [id]
+    );
+    formattedRecibo.pagos = pagos.map(p => ({
+      direccion: p.direccion,
+      divisa_codigo: p.divisa_codigo,
+      monto: Number(p.monto).toFixed(2),
+      medio_pago: p.medio_pago,
+      referencia: p.referencia
+    }));
+
     logger.info(`Detalles de recibo ${id} obtenidos exitosamente`, { user: req.user.id });
     res.json({ success: true, data: formattedRecibo });
   } catch (err) {
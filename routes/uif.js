@@ -0,0 +1,217 @@
+// uif.js - Registro de Operaciones para la Unidad de Inteligencia Financiera
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const auth = require('../middlewares/auth');
+const { formatearSerie } = require('../services/recibos');
+const { UMBRAL_USD, UMBRAL_MULTIPLE_USD, registrarOperacion, generarArchivo } = require('../services/uif');
+const Joi = require('joi');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  ]
+});
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({ format: winston.format.simple() }));
+}
+
+// Middleware de autorización por rol
+function authorize(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.rol)) {
+      logger.warn(`Acceso denegado para usuario ${req.user?.id || 'desconocido'} con rol ${req.user?.rol || 'ninguno'}`, {
+        rolesPermitidos: roles
+      });
+      return res.status(403).json({ success: false, msg: 'Acceso denegado' });
+    }
+    next();
+  };
+}
+
+const fechaSchema = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required();
+
+const registroQuerySchema = Joi.object({
+  fecha_inicio: fechaSchema,
+  fecha_fin: fechaSchema,
+  estado: Joi.string().uppercase().valid('PENDIENTE', 'REVISADO', 'PRESENTADO').optional(),
+  tipo_registro: Joi.string().uppercase().valid('UNICA', 'MULTIPLE').optional(),
+  formato: Joi.string().lowercase().valid('csv', 'txt').default('csv')
+});
+
+const recalculoSchema = Joi.object({
+  fecha_inicio: fechaSchema,
+  fecha_fin: fechaSchema
+});
+
+// Registros del rango (por fecha de la operación); excluye operaciones anuladas después de inscritas
+async function buscarRegistros({ fecha_inicio, fecha_fin, estado, tipo_registro }) {
+  let query = `
+    SELECT r.id, r.transaccion_id, r.tipo_registro, r.monto_usd, r.tasa_usd, r.estado,
+           r.revisado_por, r.fecha_revision, r.presentado_por, r.fecha_presentacion,
+           t.fecha, t.tipo, t.monto, t.tipo_cambio, t.serie, t.numero_recibo, d.codigo AS divisa_codigo,
+           c.id AS cliente_id, c.nombre AS cliente_nombre, c.dni AS cliente_documento
+    FROM registro_operaciones r
+    JOIN transacciones t ON r.transaccion_id = t.id
+    JOIN divisas d ON t.divisa_id = d.id
+    LEFT JOIN clientes c ON r.cliente_id = c.id
+    WHERE t.fecha BETWEEN ? AND ? AND t.estado = 'COMPLETADA'`;
+  const params = [`${fecha_inicio} 00:00:00`, `${fecha_fin} 23:59:59`];
+  if (estado) {
+    query += ' AND r.estado = ?';
+    params.push(estado);
+  }
+  if (tipo_registro) {
+    query += ' AND r.tipo_registro = ?';
+    params.push(tipo_registro);
+  }
+  query += ' ORDER BY t.fecha ASC, r.id ASC';
+  const [registros] = await pool.query(query, params);
+  return registros;
+}
+
+// GET /api/uif/registro - Registro de Operaciones de un rango de fechas
+router.get('/registro', auth, authorize('Admin', 'Auditor'), async (req, res) => {
+  const { error, value } = registroQuerySchema.validate(req.query, { convert: true });
+  if (error) {
+    return res.status(400).json({ success: false, msg: error.details.map(d => d.message).join(', ') });
+  }
+  try {
+    const registros = await buscarRegistros(value);
+    res.json({
+      success: true,
+      data: registros.map(r => ({
+        ...r,
+        monto: Number(r.monto),
+        monto_usd: Number(r.monto_usd),
+        tasa_usd: Number(r.tasa_usd),
+        tipo_cambio: Number(r.tipo_cambio),
+        numero_recibo: r.numero_recibo ? formatearSerie(r.serie, r.numero_recibo) : null
+      })),
+      umbrales: { operacion_usd: UMBRAL_USD, multiple_usd: UMBRAL_MULTIPLE_USD }
+    });
+  } catch (err) {
+    logger.error(`Error obteniendo Registro de Operaciones: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+// GET /api/uif/registro/exportar - Archivo del registro en CSV o ancho fijo (formato=txt)
+router.get('/registro/exportar', auth, authorize('Admin', 'Auditor'), async (req, res) => {
+  const { error, value } = registroQuerySchema.validate(req.query, { convert: true });
+  if (error) {
+    return res.status(400).json({ success: false, msg: error.details.map(d => d.message).join(', ') });
+  }
+  try {
+    const registros = await buscarRegistros(value);
+    const filas = registros.map(r => {
+      const fecha = new Date(r.fecha);
+      return {
+        numero_registro: r.id,
+        fecha: fecha.toLocaleDateString('en-CA', { timeZone: 'America/Lima' }),
+        hora: fecha.toLocaleTimeString('en-GB', { timeZone: 'America/Lima' }),
+        tipo_registro: r.tipo_registro === 'UNICA' ? 'U' : 'M',
+        tipo_operacion: r.tipo,
+        numero_recibo: r.numero_recibo ? formatearSerie(r.serie, r.numero_recibo) : '',
+        cliente_documento: r.cliente_documento || '',
+        cliente_nombre: r.cliente_nombre || '',
+        moneda: r.divisa_codigo,
+        monto: Number(r.monto).toFixed(2),
+        tipo_cambio: Number(r.tipo_cambio).toFixed(4),
+        monto_usd: Number(r.monto_usd).toFixed(2)
+      };
+    });
+    const archivo = generarArchivo(filas, value.formato);
+
+    logger.info('Registro de Operaciones exportado', { user: req.user.id, params: value, registros: filas.length });
+    res.writeHead(200, {
+      'Content-Type': value.formato === 'txt' ? 'text/plain; charset=utf-8' : 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="registro_operaciones_${value.fecha_inicio}_${value.fecha_fin}.${value.formato}"`,
+      'Content-Length': Buffer.byteLength(archivo)
+    });
+    res.end(archivo);
+  } catch (err) {
+    logger.error(`Error exportando Registro de Operaciones: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+// POST /api/uif/registro/recalcular - Evalúa operaciones completadas del rango que aún no tienen equivalente en USD
+router.post('/registro/recalcular', auth, authorize('Admin'), async (req, res) => {
+  const { error, value } = recalculoSchema.validate(req.body, { convert: true });
+  if (error) {
+    return res.status(400).json({ success: false, msg: error.details.map(d => d.message).join(', ') });
+  }
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [pendientes] = await connection.query(
+      `SELECT id FROM transacciones
+       WHERE estado = 'COMPLETADA' AND monto_usd IS NULL AND fecha BETWEEN ? AND ?
+       ORDER BY fecha ASC, id ASC`,
+      [`${value.fecha_inicio} 00:00:00`, `${value.fecha_fin} 23:59:59`]
+    );
+    let inscritas = 0;
+    for (const { id } of pendientes) {
+      inscritas += (await registrarOperacion(connection, id)).length;
+    }
+    await connection.commit();
+    logger.info('Registro de Operaciones recalculado', { user: req.user.id, evaluadas: pendientes.length, inscritas });
+    res.json({ success: true, data: { evaluadas: pendientes.length, inscritas } });
+  } catch (err) {
+    await connection.rollback();
+    logger.error(`Error recalculando Registro de Operaciones: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  } finally {
+    connection.release();
+  }
+});
+
+// POST /api/uif/registro/:id/revisar - Marcar un registro como revisado
+router.post('/registro/:id/revisar', auth, authorize('Admin', 'Auditor'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [result] = await pool.query(
+      `UPDATE registro_operaciones SET estado = 'REVISADO', revisado_por = ?, fecha_revision = NOW()
+       WHERE id = ? AND estado = 'PENDIENTE'`,
+      [req.user.id, id]
+    );
+    if (!result.affectedRows) {
+      return res.status(400).json({ success: false, msg: 'El registro no existe o ya fue revisado' });
+    }
+    logger.info(`Registro de operación ${id} revisado`, { user: req.user.id });
+    res.json({ success: true, data: { id: Number(id), estado: 'REVISADO' } });
+  } catch (err) {
+    logger.error(`Error revisando registro ${id}: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+// POST /api/uif/registro/:id/presentar - Marcar un registro revisado como presentado a la UIF
+router.post('/registro/:id/presentar', auth, authorize('Admin', 'Auditor'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [result] = await pool.query(
+      `UPDATE registro_operaciones SET estado = 'PRESENTADO', presentado_por = ?, fecha_presentacion = NOW()
+       WHERE id = ? AND estado = 'REVISADO'`,
+      [req.user.id, id]
+    );
+    if (!result.affectedRows) {
+      return res.status(400).json({ success: false, msg: 'El registro no existe o no está revisado' });
+    }
+    logger.info(`Registro de operación ${id} presentado`, { user: req.user.id });
+    res.json({ success: true, data: { id: Number(id), estado: 'PRESENTADO' } });
+  } catch (err) {
+    logger.error(`Error presentando registro ${id}: ${err.message}`, { user: req.user.id, stack: err.stack });
+    res.status(500).json({ success: false, msg: `Error: ${err.message}` });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+// services/costoInventario.js - Costo unitario de la próxima venta y consumo de lotes según el método de costeo
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  ]
+});
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({ format: winston.format.simple() }));
+}
+
+// Orden de consumo de lotes según el método de costeo de la divisa
+const ORDEN_COSTEO = {
+  FIFO: 'fecha_adquisicion ASC, id ASC',
+  LIFO: 'fecha_adquisicion DESC, id DESC',
+  WAC: 'fecha_adquisicion ASC, id ASC'
+};
+
+// Costo en soles por unidad de lo que se vendería a continuación, con el inventario disponible en
+// cajas abiertas (de un usuario o de todas si usuario_id es null). Con monto, el costo de vender
+// ese monto; sin monto, el de la siguiente unidad (WAC: el promedio).
+// Sin inventario se recurre a divisas_costos y después a tasa_compra; origen indica de dónde salió.
+// Devuelve null si la divisa no existe o no hay ningún costo válido.
+async function costoInventario(connection, { divisa_id, usuario_id = null, monto = null }) {
+  const [divisa] = await connection.query('SELECT id, tasa_compra, metodo_costeo FROM divisas WHERE id = ?', [divisa_id]);
+  if (!divisa.length) return null;
+  const metodo = divisa[0].metodo_costeo || 'WAC';
+  const tasaCompra = Number(divisa[0].tasa_compra);
+
+  const [lotes] = await connection.query(
+    `SELECT monto, costo_base
+     FROM divisas_inventario
+     WHERE divisa_id = ? AND disponible = TRUE
+       AND caja_id IN (SELECT id FROM caja WHERE estado = 'ABIERTA' AND (? IS NULL OR usuario_id = ?))
+     ORDER BY ${ORDEN_COSTEO[metodo]}`,
+    [divisa_id, usuario_id, usuario_id]
+  );
+  const validos = lotes.filter(l => !isNaN(Number(l.monto)) && !isNaN(Number(l.costo_base)));
+  const totalMonto = validos.reduce((sum, l) => sum + Number(l.monto), 0);
+
+  if (validos.length && monto !== null && monto > totalMonto) {
+    // Sin inventario suficiente, la venta se costea a tasa_compra
+    return { costo: Number(tasaCompra.toFixed(4)), metodo_costeo: metodo, origen: 'INVENTARIO_INSUFICIENTE', lotes: validos.length, total_monto: totalMonto };
+  }
+  if (totalMonto > 0) {
+    let costo;
+    if (metodo === 'WAC') {
+      costo = validos.reduce((sum, l) => sum + Number(l.monto) * Number(l.costo_base), 0) / totalMonto;
+    } else if (monto === null) {
+      costo = Number(validos[0].costo_base);
+    } else {
+      // FIFO/LIFO: recorrer los lotes en orden de consumo hasta cubrir el monto
+      let restante = monto;
+      let costoTotal = 0;
+      for (const lote of validos) {
+        if (restante <= 0) break;
+        const usado = Math.min(restante, Number(lote.monto));
+        costoTotal += usado * Number(lote.costo_base);
+        restante -= usado;
+      }
+      costo = costoTotal / monto;
+    }
+    return { costo: Number(costo.toFixed(4)), metodo_costeo: metodo, origen: 'INVENTARIO', lotes: validos.length, total_monto: totalMonto };
+  }
+
+  const [costoBase] = await connection.query('SELECT costo_base_moneda FROM divisas_costos WHERE divisa_id = ?', [divisa_id]);
+  const costoBaseMoneda = costoBase.length ? Number(costoBase[0].costo_base_moneda) : NaN;
+  if (!isNaN(costoBaseMoneda) && costoBaseMoneda > 0) {
+    return { costo: Number(costoBaseMoneda.toFixed(4)), metodo_costeo: metodo, origen: 'COSTO_BASE', lotes: 0, total_monto: 0 };
+  }
+  if (!isNaN(tasaCompra) && tasaCompra > 0) {
+    return { costo: Number(tasaCompra.toFixed(4)), metodo_costeo: metodo, origen: 'TASA_COMPRA', lotes: 0, total_monto: 0 };
+  }
+  return null;
+}
+
+// Consume lotes disponibles de una divisa y devuelve el costo en soles de lo entregado.
+// FIFO/LIFO cuestan cada lote a su costo_base; WAC descuenta de todos los lotes en proporción
+// para que el costo promedio de lo que queda no cambie. costo_base y tasa_compra van por unidad de cotización.
+async function consumirLotes(connection, { caja_id, divisa_id, divisa_codigo, monto, tasa_compra, unidad = 1, metodo_costeo = 'WAC', userId }) {
+  const lotesConsumidos = [];
+  let costoTotal = 0;
+  const [lotes] = await connection.query(
+    `SELECT id, monto, costo_base FROM divisas_inventario WHERE divisa_id = ? AND caja_id = ? AND disponible = TRUE ORDER BY ${ORDEN_COSTEO[metodo_costeo]}`,
+    [divisa_id, caja_id]
+  );
+  logger.info(`Inventario disponible para ${divisa_codigo}:`, { lotes: lotes, caja_id, divisa_id, metodo_costeo });
+  if (lotes.length) {
+    const totalMonto = lotes.reduce((sum, lote) => sum + Number(lote.monto), 0);
+    if (totalMonto >= monto) {
+      const costoPonderado = lotes.reduce((sum, lote) => sum + Number(lote.monto) * Number(lote.costo_base), 0) / totalMonto;
+      // WAC: cada lote aporta su parte proporcional, truncada al centavo para no pasarse del monto.
+      // Lo que falte (por el truncado, o todo en FIFO/LIFO) se toma de los lotes con saldo, en orden.
+      const usos = lotes.map(lote => (metodo_costeo === 'WAC'
+        ? Math.min(Number(lote.monto), Math.floor(Number(lote.monto) * monto / totalMonto * 100 + 1e-6) / 100)
+        : 0));
+      let montoRestante = Number((monto - usos.reduce((sum, u) => sum + u, 0)).toFixed(2));
+      for (const [i, lote] of lotes.entries()) {
+        if (montoRestante <= 0) break;
+        const adicional = Math.min(montoRestante, Number((Number(lote.monto) - usos[i]).toFixed(2)));
+        if (adicional <= 0) continue;
+        usos[i] = Number((usos[i] + adicional).toFixed(2));
+        montoRestante = Number((montoRestante - adicional).toFixed(2));
+      }
+      if (montoRestante > 0.005) {
+        throw new Error(`No se pudo descontar ${montoRestante} ${divisa_codigo} del inventario`);
+      }
+      for (const [i, lote] of lotes.entries()) {
+        const montoUsado = usos[i];
+        if (montoUsado <= 0) continue;
+        costoTotal += montoUsado * Number(lote.costo_base) / unidad;
+        // MySQL evalúa las asignaciones en orden: disponible ya ve el monto descontado
+        await connection.query(
+          'UPDATE divisas_inventario SET monto = monto - ?, disponible = monto > 0 WHERE id = ?',
+          [montoUsado, lote.id]
+        );
+        lotesConsumidos.push({ lote_id: lote.id, monto: montoUsado, costo_base: lote.costo_base });
+        logger.info(`Consumiendo lote: ID ${lote.id}, monto usado: ${montoUsado}, costo base: ${lote.costo_base}`, { divisa_id });
+      }
+      if (metodo_costeo === 'WAC') {
+        costoTotal = monto * costoPonderado / unidad;
+      }
+    } else {
+      logger.warn(`Inventario insuficiente para divisa ${divisa_id}, usando tasa_compra`, { caja_id, user: userId });
+      costoTotal = monto * tasa_compra / unidad;
+    }
+  } else {
+    costoTotal = monto * tasa_compra / unidad;
+  }
+  return { costoTotal, lotesConsumidos };
+}
+
+module.exports = { ORDEN_COSTEO, costoInventario, consumirLotes };
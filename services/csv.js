@@ -0,0 +1,44 @@
+// services/csv.js - Lectura de archivos CSV (listas de control, referencias de tasas e importación de clientes)
+
+// CSV con cabecera (las columnas quedan en minúsculas, sin tildes y con _ en lugar de espacios);
+// se aceptan coma o punto y coma y campos entre comillas
+function parsearCsv(texto) {
+  const lineas = String(texto || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim());
+  if (!lineas.length) return [];
+  const separador = (lineas[0].match(/;/g) || []).length > (lineas[0].match(/,/g) || []).length ? ';' : ',';
+  const parsearLinea = linea => {
+    const campos = [];
+    let campo = '';
+    let entreComillas = false;
+    for (let i = 0; i < linea.length; i++) {
+      const c = linea[i];
+      if (entreComillas) {
+        if (c === '"' && linea[i + 1] === '"') {
+          campo += '"';
+          i++;
+        } else if (c === '"') {
+          entreComillas = false;
+        } else {
+          campo += c;
+        }
+      } else if (c === '"') {
+        entreComillas = true;
+      } else if (c === separador) {
+        campos.push(campo.trim());
+        campo = '';
+      } else {
+        campo += c;
+      }
+    }
+    campos.push(campo.trim());
+    return campos;
+  };
+  const cabecera = parsearLinea(lineas[0]).map(c =>
+    c.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim().replace(/\s+/g, '_'));
+  return lineas.slice(1).map(linea => {
+    const campos = parsearLinea(linea);
+    return Object.fromEntries(cabecera.map((c, i) => [c, campos[i] || '']));
+  });
+}
+
+module.exports = { parsearCsv };
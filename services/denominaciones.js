@@ -0,0 +1,59 @@
+// services/denominaciones.js - Desglose de billetes/monedas y conteo por caja
+const Joi = require('joi');
+
+// Desglose enviado por el frontend: [{ valor: 100, cantidad: 2 }, ...]
+const desgloseSchema = Joi.array().items(
+  Joi.object({
+    valor: Joi.number().positive().precision(2).required(),
+    cantidad: Joi.number().integer().min(1).required()
+  })
+).min(1);
+
+// Resuelve un desglose contra el catálogo de la divisa y valida que sume el monto esperado
+async function resolverDesglose(connection, divisa_id, desglose, montoEsperado) {
+  const [catalogo] = await connection.query(
+    'SELECT d.id, d.valor, dv.codigo FROM divisas_denominaciones d JOIN divisas dv ON d.divisa_id = dv.id ' +
+    'WHERE d.divisa_id = ? AND d.activo = TRUE',
+    [divisa_id]
+  );
+  const items = desglose.map(({ valor, cantidad }) => {
+    const denominacion = catalogo.find(c => Number(c.valor) === valor);
+    if (!denominacion) {
+      throw new Error(`Denominación ${valor} no registrada para la divisa ${divisa_id}`);
+    }
+    return { denominacion_id: denominacion.id, valor, cantidad };
+  });
+
+  const suma = Number(items.reduce((sum, i) => sum + i.valor * i.cantidad, 0).toFixed(2));
+  if (Math.abs(suma - montoEsperado) > 0.005) {
+    throw new Error(`El desglose de ${catalogo[0].codigo} suma ${suma.toFixed(2)} y debe sumar ${Number(montoEsperado).toFixed(2)}`);
+  }
+  return items;
+}
+
+// Suma (signo 1) o resta (signo -1) billetes del conteo de la caja; no permite entregar billetes que no hay
+async function moverDenominaciones(connection, caja_id, items, signo) {
+  for (const { denominacion_id, valor, cantidad } of items) {
+    const [actual] = await connection.query(
+      'SELECT cantidad FROM caja_denominaciones WHERE caja_id = ? AND denominacion_id = ? FOR UPDATE',
+      [caja_id, denominacion_id]
+    );
+    const disponible = actual.length ? Number(actual[0].cantidad) : 0;
+    if (signo < 0 && disponible < cantidad) {
+      throw new Error(`No hay suficientes billetes de ${valor} en caja (disponibles: ${disponible}, requeridos: ${cantidad})`);
+    }
+    if (actual.length) {
+      await connection.query(
+        'UPDATE caja_denominaciones SET cantidad = cantidad + ? WHERE caja_id = ? AND denominacion_id = ?',
+        [signo * cantidad, caja_id, denominacion_id]
+      );
+    } else {
+      await connection.query(
+        'INSERT INTO caja_denominaciones (caja_id, denominacion_id, cantidad) VALUES (?, ?, ?)',
+        [caja_id, denominacion_id, signo * cantidad]
+      );
+    }
+  }
+}
+
+module.exports = { desgloseSchema, resolverDesglose, moverDenominaciones };
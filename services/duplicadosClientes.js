@@ -0,0 +1,200 @@
+// services/duplicadosClientes.js - Sugerencia de clientes duplicados y fusión reversible
+const { normalizarNombre, normalizarDocumento, similitudNombres } = require('./listasControl');
+
+// Similitud mínima de nombres para sugerir un posible duplicado
+const UMBRAL_DUPLICADO = Number(process.env.CLIENTES_UMBRAL_DUPLICADO) || 0.85;
+
+// Campos que el principal toma del duplicado cuando los tiene vacíos (el documento va con su tipo)
+const CAMPOS_FUSION = ['dni', 'whatsapp', 'email', 'nacionalidad', 'fecha_nacimiento', 'direccion', 'ocupacion',
+  'es_pep', 'pep_cargo', 'origen_fondos', 'centro_laboral', 'ingreso_mensual'];
+
+// Tablas cuyas filas del duplicado pasan al principal: operaciones, cumplimiento y tarifario
+const TABLAS_FUSION = ['transacciones', 'registro_operaciones', 'alertas', 'historial_riesgo', 'casos_revision',
+  'tasas_preferenciales', 'cotizaciones'];
+
+const COLUMNAS_CLIENTE = `id, nombre, tipo_documento, dni, whatsapp, email, nacionalidad,
+  DATE_FORMAT(fecha_nacimiento, '%Y-%m-%d') AS fecha_nacimiento, direccion, ocupacion, es_pep, pep_cargo,
+  origen_fondos, centro_laboral, ingreso_mensual, created_at`;
+
+// 0 es un valor válido (es_pep = 0, ingreso_mensual = 0): solo cuentan como vacíos nulo y texto en blanco
+function vacio(valor) {
+  return valor === null || valor === undefined || String(valor).trim() === '';
+}
+
+// Últimos 9 dígitos del celular, así +51 999 888 777 y 999888777 coinciden
+function normalizarWhatsapp(whatsapp) {
+  const digitos = String(whatsapp || '').replace(/\D/g, '');
+  return digitos.length >= 7 ? digitos.slice(-9) : null;
+}
+
+function normalizarEmail(email) {
+  return String(email || '').trim().toLowerCase() || null;
+}
+
+// Pares de clientes activos que probablemente son la misma persona: mismo documento, WhatsApp o
+// email, o nombres parecidos. Para no comparar todos contra todos, los nombres solo se comparan
+// entre clientes que comparten alguna palabra. Con cliente_id se limita a los pares de ese cliente.
+async function sugerirDuplicados(connection, { cliente_id = null, umbral = UMBRAL_DUPLICADO } = {}) {
+  const [clientes] = await connection.query(
+    'SELECT id, nombre, dni, whatsapp, email FROM clientes WHERE deleted_at IS NULL ORDER BY id'
+  );
+  const datos = clientes.map(c => ({
+    ...c,
+    nombre_normalizado: normalizarNombre(c.nombre),
+    documento: normalizarDocumento(c.dni),
+    telefono: normalizarWhatsapp(c.whatsapp),
+    correo: normalizarEmail(c.email)
+  }));
+
+  const pares = new Map();
+  const agregar = (a, b, motivo, puntaje) => {
+    if (a.id === b.id) return;
+    if (cliente_id && a.id !== cliente_id && b.id !== cliente_id) return;
+    const [x, y] = a.id < b.id ? [a, b] : [b, a];
+    const clave = `${x.id}-${y.id}`;
+    const par = pares.get(clave) || { clientes: [x, y], motivos: [], puntaje: 0 };
+    if (!par.motivos.includes(motivo)) par.motivos.push(motivo);
+    par.puntaje = Math.max(par.puntaje, puntaje);
+    pares.set(clave, par);
+  };
+
+  // Coincidencias exactas de documento, WhatsApp o email
+  for (const [campo, motivo] of [['documento', 'DOCUMENTO'], ['telefono', 'WHATSAPP'], ['correo', 'EMAIL']]) {
+    const grupos = {};
+    for (const c of datos) {
+      if (c[campo]) (grupos[c[campo]] = grupos[c[campo]] || []).push(c);
+    }
+    for (const grupo of Object.values(grupos)) {
+      for (let i = 0; i < grupo.length; i++) {
+        for (let j = i + 1; j < grupo.length; j++) agregar(grupo[i], grupo[j], motivo, 1);
+      }
+    }
+  }
+
+  // Nombres parecidos entre clientes que comparten al menos una palabra. Si los dos tienen
+  // documento y es distinto no son la misma persona aunque se llamen igual.
+  const porPalabra = {};
+  for (const c of datos) {
+    for (const palabra of new Set(c.nombre_normalizado.split(' ').filter(t => t.length > 2))) {
+      (porPalabra[palabra] = porPalabra[palabra] || []).push(c);
+    }
+  }
+  const comparados = new Set();
+  for (const grupo of Object.values(porPalabra)) {
+    for (let i = 0; i < grupo.length; i++) {
+      for (let j = i + 1; j < grupo.length; j++) {
+        const [a, b] = [grupo[i], grupo[j]];
+        const clave = `${a.id}-${b.id}`;
+        if (comparados.has(clave)) continue;
+        comparados.add(clave);
+        if (a.documento && b.documento && a.documento !== b.documento) continue;
+        if (cliente_id && a.id !== cliente_id && b.id !== cliente_id) continue;
+        const puntaje = similitudNombres(a.nombre_normalizado, b.nombre_normalizado);
+        if (puntaje >= umbral) agregar(a, b, 'NOMBRE', Number(puntaje.toFixed(4)));
+      }
+    }
+  }
+
+  return [...pares.values()]
+    .map(p => ({
+      clientes: p.clientes.map(c => ({ id: c.id, nombre: c.nombre, dni: c.dni, whatsapp: c.whatsapp, email: c.email })),
+      motivos: p.motivos,
+      puntaje: p.puntaje
+    }))
+    .sort((a, b) => b.motivos.length - a.motivos.length || b.puntaje - a.puntaje);
+}
+
+// Fusiona el duplicado en el principal dentro de la transacción de la conexión recibida: mueve
+// sus operaciones, completa los campos vacíos del principal y da de baja al duplicado.
+// Los dos clientes deben estar bloqueados (FOR UPDATE) por quien llama.
+async function fusionarClientes(connection, { principal, duplicado, motivo = null, usuario_id }) {
+  const campos = CAMPOS_FUSION.filter(campo => vacio(principal[campo]) && !vacio(duplicado[campo]));
+  const camposAnteriores = Object.fromEntries(campos.map(campo => [campo, principal[campo]]));
+  const nuevos = Object.fromEntries(campos.map(campo => [campo, duplicado[campo]]));
+  if (campos.includes('dni')) {
+    camposAnteriores.tipo_documento = principal.tipo_documento;
+    nuevos.tipo_documento = duplicado.tipo_documento;
+  }
+
+  const registrosMovidos = {};
+  for (const tabla of TABLAS_FUSION) {
+    const [filas] = await connection.query(`SELECT id FROM ${tabla} WHERE cliente_id = ?`, [duplicado.id]);
+    registrosMovidos[tabla] = filas.map(f => f.id);
+    if (filas.length) {
+      await connection.query(`UPDATE ${tabla} SET cliente_id = ? WHERE cliente_id = ?`, [principal.id, duplicado.id]);
+    }
+  }
+
+  const columnas = Object.keys(nuevos);
+  if (columnas.length) {
+    await connection.query(
+      `UPDATE clientes SET ${columnas.map(c => `${c} = ?`).join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...columnas.map(c => nuevos[c]), principal.id]
+    );
+  }
+  await connection.query('UPDATE clientes SET deleted_at = NOW() WHERE id = ?', [duplicado.id]);
+
+  const [result] = await connection.query(
+    `INSERT INTO fusiones_clientes (cliente_principal_id, cliente_duplicado_id, campos_anteriores, registros_movidos, motivo, fusionado_por, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [principal.id, duplicado.id, JSON.stringify({ anteriores: camposAnteriores, nuevos }), JSON.stringify(registrosMovidos), motivo, usuario_id]
+  );
+  return { id: result.insertId, campos_completados: columnas, registros_movidos: registrosMovidos };
+}
+
+// Deshace una fusión: las filas movidas vuelven al duplicado, el principal recupera los campos
+// que se completaron (solo si nadie los cambió después) y el duplicado se reactiva. Si el
+// documento del duplicado ya está en otro cliente activo no lo reactiva y devuelve { error }:
+// quien llama debe revertir la transacción.
+async function deshacerFusion(connection, fusion, usuario_id) {
+  const parsear = valor => (typeof valor === 'string' ? JSON.parse(valor) : valor);
+  const { anteriores, nuevos } = parsear(fusion.campos_anteriores);
+  const registrosMovidos = parsear(fusion.registros_movidos);
+
+  for (const tabla of TABLAS_FUSION) {
+    const ids = registrosMovidos[tabla] || [];
+    if (ids.length) {
+      await connection.query(
+        `UPDATE ${tabla} SET cliente_id = ? WHERE cliente_id = ? AND id IN (?)`,
+        [fusion.cliente_duplicado_id, fusion.cliente_principal_id, ids]
+      );
+    }
+  }
+
+  const [principal] = await connection.query(`SELECT ${COLUMNAS_CLIENTE} FROM clientes WHERE id = ? FOR UPDATE`, [fusion.cliente_principal_id]);
+  const restaurables = Object.keys(anteriores).filter(campo => String(principal[0][campo] ?? '') === String(nuevos[campo] ?? ''));
+  if (restaurables.length) {
+    await connection.query(
+      `UPDATE clientes SET ${restaurables.map(c => `${c} = ?`).join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...restaurables.map(c => anteriores[c]), fusion.cliente_principal_id]
+    );
+  }
+
+  // Misma validación que al restaurar un cliente dado de baja
+  const [duplicado] = await connection.query('SELECT dni FROM clientes WHERE id = ?', [fusion.cliente_duplicado_id]);
+  if (duplicado.length && duplicado[0].dni) {
+    const [dniDuplicate] = await connection.query(
+      'SELECT id FROM clientes WHERE dni = ? AND id != ? AND deleted_at IS NULL',
+      [duplicado[0].dni, fusion.cliente_duplicado_id]
+    );
+    if (dniDuplicate.length > 0) {
+      return { error: 'El DNI del cliente fusionado ya está registrado en otro cliente', cliente_id: dniDuplicate[0].id };
+    }
+  }
+
+  await connection.query('UPDATE clientes SET deleted_at = NULL WHERE id = ?', [fusion.cliente_duplicado_id]);
+  await connection.query(
+    "UPDATE fusiones_clientes SET estado = 'REVERTIDA', revertido_por = ?, fecha_reversion = NOW() WHERE id = ?",
+    [usuario_id, fusion.id]
+  );
+  return { campos_restaurados: restaurables };
+}
+
+module.exports = {
+  UMBRAL_DUPLICADO,
+  COLUMNAS_CLIENTE,
+  normalizarWhatsapp,
+  sugerirDuplicados,
+  fusionarClientes,
+  deshacerFusion
+};
@@ -0,0 +1,88 @@
+// services/estructuracion.js - Detección de fraccionamiento de operaciones por cliente
+
+// Condición SQL y parámetros de cada ventana, relativa a la fecha de la operación evaluada
+const VENTANAS = {
+  DIA: fecha => ['t.fecha >= DATE(?) AND t.fecha <= ?', [fecha, fecha]],
+  '7_DIAS': fecha => ['t.fecha > ? - INTERVAL 7 DAY AND t.fecha <= ?', [fecha, fecha]],
+  MES: fecha => ["t.fecha >= DATE_FORMAT(?, '%Y-%m-01') AND t.fecha <= ?", [fecha, fecha]]
+};
+
+// Evalúa las reglas activas sobre las operaciones del cliente de la transacción y guarda una alerta
+// por cada regla que se cumpla (si ya hay una abierta de la misma regla no se duplica).
+// Devuelve las alertas creadas.
+async function detectarEstructuracion(connection, transaccion_id) {
+  const [tx] = await connection.query('SELECT id, cliente_id, fecha FROM transacciones WHERE id = ?', [transaccion_id]);
+  const { cliente_id, fecha } = tx[0];
+  if (!cliente_id) return [];
+
+  const [reglas] = await connection.query('SELECT * FROM reglas_estructuracion WHERE activo = TRUE');
+  const creadas = [];
+  for (const regla of reglas) {
+    const [condicion, params] = VENTANAS[regla.ventana](fecha);
+    // La operación evaluada puede seguir PENDIENTE mientras se aprueba
+    const [operaciones] = await connection.query(
+      `SELECT t.id, t.fecha, t.tipo, t.total_soles FROM transacciones t
+       WHERE t.cliente_id = ? AND (t.estado = 'COMPLETADA' OR t.id = ?) AND ${condicion}
+       ORDER BY t.fecha ASC`,
+      [cliente_id, transaccion_id, ...params]
+    );
+
+    const umbral = Number(regla.umbral_soles);
+    const consideradas = regla.tipo === 'FRACCIONAMIENTO'
+      ? operaciones.filter(o => Number(o.total_soles) < umbral && Number(o.total_soles) >= umbral * (1 - Number(regla.cercania_pct || 0) / 100))
+      : operaciones;
+    const total = Number(consideradas.reduce((sum, o) => sum + Number(o.total_soles), 0).toFixed(2));
+    if (consideradas.length < regla.min_operaciones) continue;
+    if (regla.tipo === 'MONTO_ACUMULADO' && total < umbral) continue;
+    if (!consideradas.some(o => o.id === transaccion_id)) continue;
+
+    const [abierta] = await connection.query(
+      'SELECT id FROM alertas WHERE cliente_id = ? AND regla_id = ? AND estado = "ABIERTA" LIMIT 1',
+      [cliente_id, regla.id]
+    );
+    if (abierta.length) continue;
+
+    const descripcion = regla.tipo === 'FRACCIONAMIENTO'
+      ? `${regla.nombre}: ${consideradas.length} operaciones cerca de S/ ${umbral.toFixed(2)} (total S/ ${total.toFixed(2)})`
+      : `${regla.nombre}: ${consideradas.length} operaciones suman S/ ${total.toFixed(2)} (umbral S/ ${umbral.toFixed(2)})`;
+    const evidencia = {
+      regla: { id: regla.id, tipo: regla.tipo, ventana: regla.ventana, umbral_soles: umbral, min_operaciones: regla.min_operaciones, cercania_pct: regla.cercania_pct !== null ? Number(regla.cercania_pct) : null },
+      total_soles: total,
+      operaciones: consideradas.map(o => ({ id: o.id, fecha: o.fecha, tipo: o.tipo, total_soles: Number(o.total_soles) }))
+    };
+    const [result] = await connection.query(
+      'INSERT INTO alertas (cliente_id, regla_id, transaccion_id, descripcion, evidencia, bloquea, created_at) VALUES (?, ?, ?, ?, ?, ?, NOW())',
+      [cliente_id, regla.id, transaccion_id, descripcion.slice(0, 255), JSON.stringify(evidencia), regla.bloquea]
+    );
+    creadas.push({ id: result.insertId, regla_id: regla.id, descripcion, bloquea: !!regla.bloquea });
+  }
+  return creadas;
+}
+
+// Alerta abierta que impide operar al cliente (null si puede operar)
+async function alertaBloqueante(connection, cliente_id) {
+  if (!cliente_id) return null;
+  const [alertas] = await connection.query(
+    'SELECT id, descripcion FROM alertas WHERE cliente_id = ? AND estado = "ABIERTA" AND bloquea = TRUE ORDER BY id LIMIT 1',
+    [cliente_id]
+  );
+  return alertas[0] || null;
+}
+
+// Al anular una operación, libera las alertas abiertas que ella disparó: ya no cuenta para las
+// reglas y no debe seguir bloqueando al cliente. Devuelve los ids liberados.
+async function liberarAlertasAnuladas(connection, transaccion_id, usuario_id, motivo) {
+  const [abiertas] = await connection.query(
+    'SELECT id FROM alertas WHERE transaccion_id = ? AND estado = "ABIERTA" FOR UPDATE',
+    [transaccion_id]
+  );
+  if (!abiertas.length) return [];
+  await connection.query(
+    `UPDATE alertas SET estado = 'LIBERADA', liberada_por = ?, fecha_liberacion = NOW(), comentario = ?
+     WHERE id IN (?)`,
+    [usuario_id, `Operación anulada (Tx #${transaccion_id}): ${motivo}`.slice(0, 255), abiertas.map(a => a.id)]
+  );
+  return abiertas.map(a => a.id);
+}
+
+module.exports = { VENTANAS, detectarEstructuracion, alertaBloqueante, liberarAlertasAnuladas };
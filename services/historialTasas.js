@@ -0,0 +1,74 @@
+// services/historialTasas.js - Versiones de las tasas de cada divisa
+
+// Guarda como nueva versión las tasas actuales de la divisa (si cambiaron respecto de la última).
+// Se llama después de actualizar divisas/divisas_costos, dentro de la misma transacción.
+// fecha fecha la versión en el pasado (cambios programados que se aplican con retraso), nunca
+// antes de la versión anterior.
+async function registrarCambioTasa(connection, { divisa_id, usuario_id = null, origen = 'MANUAL', fecha = null }) {
+  const [actual] = await connection.query(
+    `SELECT d.tasa_compra, d.tasa_venta, dc.costo_base_moneda
+     FROM divisas d LEFT JOIN divisas_costos dc ON d.id = dc.divisa_id WHERE d.id = ?`,
+    [divisa_id]
+  );
+  if (!actual.length) return null;
+  const nueva = actual[0];
+  const anterior = await versionVigente(connection, divisa_id);
+  if (
+    anterior &&
+    Number(anterior.tasa_compra) === Number(nueva.tasa_compra) &&
+    Number(anterior.tasa_venta) === Number(nueva.tasa_venta) &&
+    Number(anterior.costo_base_moneda) === Number(nueva.costo_base_moneda)
+  ) {
+    return anterior.id;
+  }
+  const fechaVersion = fecha && (!anterior || new Date(anterior.created_at) <= new Date(fecha)) ? fecha : null;
+  const [result] = await connection.query(
+    `INSERT INTO historial_tasas (divisa_id, tasa_compra, tasa_venta, costo_base_moneda, tasa_compra_anterior, tasa_venta_anterior,
+       costo_base_anterior, origen, usuario_id, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, NOW()))`,
+    [
+      divisa_id, nueva.tasa_compra, nueva.tasa_venta, nueva.costo_base_moneda,
+      anterior ? anterior.tasa_compra : null, anterior ? anterior.tasa_venta : null, anterior ? anterior.costo_base_moneda : null,
+      origen, usuario_id, fechaVersion
+    ]
+  );
+  return result.insertId;
+}
+
+// Versión de tasas vigente en una fecha (por defecto, ahora); null si la divisa no tenía tasas aún
+async function versionVigente(connection, divisa_id, fecha = null) {
+  const [versiones] = await connection.query(
+    `SELECT id, divisa_id, tasa_compra, tasa_venta, costo_base_moneda, origen, usuario_id, created_at
+     FROM historial_tasas
+     WHERE divisa_id = ? AND created_at <= COALESCE(?, NOW())
+     ORDER BY created_at DESC, id DESC LIMIT 1`,
+    [divisa_id, fecha]
+  );
+  return versiones[0] || null;
+}
+
+// Velas diarias (apertura, máximo, mínimo, cierre) de compra y venta. versiones va en orden
+// cronológico; inicial es la versión vigente al empezar el rango (puede ser null).
+function velasDiarias(versiones, inicial, desde, hasta) {
+  const dia = fecha => new Date(fecha.getTime() - fecha.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+  const velas = [];
+  let vigente = inicial;
+  let i = 0;
+  for (let d = new Date(`${desde}T00:00:00`); dia(d) <= hasta; d.setDate(d.getDate() + 1)) {
+    const clave = dia(d);
+    const delDia = [];
+    while (i < versiones.length && dia(new Date(versiones[i].created_at)) === clave) delDia.push(versiones[i++]);
+    const puntos = [...(vigente ? [vigente] : []), ...delDia];
+    if (puntos.length) {
+      const vela = campo => {
+        const valores = puntos.map(p => Number(p[campo]));
+        return { apertura: valores[0], maximo: Math.max(...valores), minimo: Math.min(...valores), cierre: valores[valores.length - 1] };
+      };
+      velas.push({ fecha: clave, cambios: delDia.length, compra: vela('tasa_compra'), venta: vela('tasa_venta') });
+    }
+    if (delDia.length) vigente = delDia[delDia.length - 1];
+  }
+  return velas;
+}
+
+module.exports = { registrarCambioTasa, versionVigente, velasDiarias };
@@ -0,0 +1,71 @@
+// services/importacionClientes.js - Lectura de archivos CSV/XLSX para la carga masiva de clientes
+const ExcelJS = require('exceljs');
+const { parsearCsv } = require('./csv');
+
+const TIPO_XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Nombres de columna aceptados además de los del propio cliente
+const ALIAS_COLUMNAS = {
+  documento: 'dni',
+  numero_documento: 'dni',
+  nro_documento: 'dni',
+  tipo_doc: 'tipo_documento',
+  celular: 'whatsapp',
+  telefono: 'whatsapp',
+  correo: 'email',
+  pep: 'es_pep',
+  cargo_pep: 'pep_cargo',
+  ingreso: 'ingreso_mensual'
+};
+
+function normalizarCabecera(texto) {
+  return String(texto || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim().replace(/\s+/g, '_');
+}
+
+function aTexto(valor) {
+  if (valor === null || valor === undefined) return '';
+  if (valor instanceof Date) return valor.toISOString().slice(0, 10);
+  if (typeof valor === 'object') {
+    if (valor.richText) return valor.richText.map(t => t.text).join('');
+    if (valor.text !== undefined) return String(valor.text);
+    if (valor.result !== undefined) return aTexto(valor.result);
+  }
+  return String(valor).trim();
+}
+
+// Primera hoja del libro, con la primera fila como cabecera
+async function leerXlsx(buffer) {
+  const libro = new ExcelJS.Workbook();
+  await libro.xlsx.load(buffer);
+  const hoja = libro.worksheets[0];
+  if (!hoja) return [];
+  const cabecera = [];
+  hoja.getRow(1).eachCell((celda, columna) => {
+    cabecera[columna] = normalizarCabecera(aTexto(celda.value));
+  });
+  const filas = [];
+  for (let i = 2; i <= hoja.rowCount; i++) {
+    const fila = hoja.getRow(i);
+    if (!fila.hasValues) continue;
+    const datos = {};
+    cabecera.forEach((campo, columna) => {
+      if (campo) datos[campo] = aTexto(fila.getCell(columna).value);
+    });
+    filas.push({ numero: i, datos });
+  }
+  return filas;
+}
+
+// Filas del archivo como { numero, datos } con las columnas ya traducidas a los campos del cliente.
+// numero es la fila de datos contando la cabecera como 1 (en CSV no se cuentan las líneas en blanco).
+async function leerArchivoClientes(buffer, tipoContenido) {
+  const filas = String(tipoContenido || '').includes(TIPO_XLSX)
+    ? await leerXlsx(buffer)
+    : parsearCsv(buffer.toString('utf8')).map((datos, i) => ({ numero: i + 2, datos }));
+  return filas.map(({ numero, datos }) => ({
+    numero,
+    datos: Object.fromEntries(Object.entries(datos).map(([campo, valor]) => [ALIAS_COLUMNAS[campo] || campo, valor]))
+  }));
+}
+
+module.exports = { TIPO_XLSX, leerArchivoClientes };
@@ -0,0 +1,32 @@
+// services/kyc.js - Completitud del perfil del cliente para operaciones grandes
+
+// Desde este total en soles la operación exige cliente con perfil completo
+const UMBRAL_KYC_SOLES = Number(process.env.KYC_UMBRAL_SOLES) || 10000;
+
+const CAMPOS_BASICOS = ['dni', 'nacionalidad', 'fecha_nacimiento', 'direccion', 'ocupacion'];
+const CAMPOS_OPERACION_GRANDE = ['origen_fondos', 'centro_laboral'];
+
+// Dígito verificador del RUC (módulo 11 sobre los 10 primeros dígitos)
+function rucValido(ruc) {
+  if (!/^(10|15|16|17|20)\d{9}$/.test(ruc)) return false;
+  const pesos = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+  const suma = pesos.reduce((total, peso, i) => total + peso * Number(ruc[i]), 0);
+  const digito = (11 - (suma % 11)) % 10;
+  return digito === Number(ruc[10]);
+}
+
+// Campos que le faltan al cliente para una operación grande (vacío si el perfil está completo).
+// Las empresas (RUC 20) no tienen fecha de nacimiento ni ocupación.
+async function camposFaltantesKyc(connection, cliente_id) {
+  const [cliente] = await connection.query('SELECT * FROM clientes WHERE id = ? AND deleted_at IS NULL', [cliente_id]);
+  if (!cliente.length) return ['cliente'];
+  const c = cliente[0];
+  const esEmpresa = c.tipo_documento === 'RUC' && String(c.dni || '').startsWith('20');
+  const requeridos = [...CAMPOS_BASICOS, ...CAMPOS_OPERACION_GRANDE]
+    .filter(campo => !(esEmpresa && ['fecha_nacimiento', 'ocupacion'].includes(campo)));
+  const faltantes = requeridos.filter(campo => c[campo] === null || c[campo] === undefined || String(c[campo]).trim() === '');
+  if (c.es_pep && !c.pep_cargo) faltantes.push('pep_cargo');
+  return faltantes;
+}
+
+module.exports = { UMBRAL_KYC_SOLES, rucValido, camposFaltantesKyc };
@@ -0,0 +1,194 @@
+// services/listasControl.js - Carga de listas de control y screening de clientes
+
+// Similitud mínima (0 a 1) para considerar que dos nombres coinciden
+const UMBRAL_SIMILITUD = Number(process.env.LISTAS_UMBRAL_SIMILITUD) || 0.85;
+
+// Mayúsculas, sin tildes ni signos y con las palabras ordenadas, para que no importe el orden
+function normalizarNombre(texto) {
+  return String(texto || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase().replace(/[^A-Z0-9 ]/g, ' ')
+    .split(/\s+/).filter(Boolean).sort().join(' ');
+}
+
+function normalizarDocumento(documento) {
+  const valor = String(documento || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return valor || null;
+}
+
+function levenshtein(a, b) {
+  let previa = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const actual = [i];
+    for (let j = 1; j <= b.length; j++) {
+      actual[j] = Math.min(previa[j] + 1, actual[j - 1] + 1, previa[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previa = actual;
+  }
+  return previa[b.length];
+}
+
+// Similitud entre dos nombres normalizados: cada palabra del nombre más corto se compara con la
+// palabra más parecida del otro (tolera errores de tipeo y nombres incompletos). Se ignoran
+// partículas de una o dos letras y hacen falta al menos dos palabras para comparar.
+function similitudNombres(a, b) {
+  const tokensA = a.split(' ').filter(t => t.length > 2);
+  const tokensB = b.split(' ').filter(t => t.length > 2);
+  const [corto, largo] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  if (corto.length < 2) return 0;
+  const suma = corto.reduce((total, t) => total + Math.max(...largo.map(l => 1 - levenshtein(t, l) / Math.max(t.length, l.length))), 0);
+  return suma / corto.length;
+}
+
+// Claves de preselección de un nombre normalizado: inicio y final de cada palabra de más de dos letras
+function clavesPalabras(nombreNormalizado) {
+  const palabras = nombreNormalizado.split(' ').filter(t => t.length > 2);
+  return palabras.map(p => ({ prefijo: p.slice(0, 3), sufijo: p.slice(-3) }));
+}
+
+// Guarda las claves de preselección de las entradas de una lista recién cargada
+async function indexarEntradas(connection, lista_id, tamanoLote = 1000) {
+  const [entradas] = await connection.query('SELECT id, nombre_normalizado FROM listas_control_entradas WHERE lista_id = ?', [lista_id]);
+  const filas = entradas.flatMap(e => clavesPalabras(e.nombre_normalizado).map(c => [e.id, c.prefijo, c.sufijo]));
+  for (let i = 0; i < filas.length; i += tamanoLote) {
+    const lote = filas.slice(i, i + tamanoLote);
+    await connection.query(
+      'INSERT IGNORE INTO listas_control_palabras (entrada_id, prefijo, sufijo) VALUES ' + lote.map(() => '(?, ?, ?)').join(','),
+      lote.flat()
+    );
+  }
+}
+
+// Entradas activas en memoria, para screenings en lote (ej. una importación de clientes):
+// se consulta la base una sola vez en lugar de una por sujeto
+async function cargarIndiceListas(connection) {
+  const [entradas] = await connection.query(
+    `SELECT e.id, e.nombre, e.nombre_normalizado, e.documento, e.documento_normalizado, l.nombre AS lista, l.tipo
+     FROM listas_control_entradas e JOIN listas_control l ON e.lista_id = l.id
+     WHERE l.activa = TRUE`
+  );
+  const indice = { porDocumento: new Map(), porClave: new Map() };
+  const agregar = (mapa, clave, entrada) => {
+    if (!mapa.has(clave)) mapa.set(clave, new Set());
+    mapa.get(clave).add(entrada);
+  };
+  for (const e of entradas) {
+    if (e.documento_normalizado) agregar(indice.porDocumento, e.documento_normalizado, e);
+    for (const c of clavesPalabras(e.nombre_normalizado)) {
+      agregar(indice.porClave, `P:${c.prefijo}`, e);
+      agregar(indice.porClave, `S:${c.sufijo}`, e);
+    }
+  }
+  return indice;
+}
+
+// Entradas activas con el documento indicado
+async function entradasPorDocumento(connection, documentoNormalizado, indice) {
+  if (indice) return [...(indice.porDocumento.get(documentoNormalizado) || [])];
+  const [entradas] = await connection.query(
+    `SELECT e.id, e.nombre, e.documento, l.nombre AS lista, l.tipo
+     FROM listas_control_entradas e JOIN listas_control l ON e.lista_id = l.id
+     WHERE l.activa = TRUE AND e.documento_normalizado = ?`,
+    [documentoNormalizado]
+  );
+  return entradas;
+}
+
+// Entradas activas que comparten el inicio o el final de alguna palabra con el nombre
+async function entradasCandidatas(connection, nombreNormalizado, indice) {
+  const claves = clavesPalabras(nombreNormalizado);
+  // La similitud necesita al menos dos palabras para comparar
+  if (claves.length < 2) return [];
+  if (indice) {
+    const candidatas = new Set();
+    for (const c of claves) {
+      for (const e of indice.porClave.get(`P:${c.prefijo}`) || []) candidatas.add(e);
+      for (const e of indice.porClave.get(`S:${c.sufijo}`) || []) candidatas.add(e);
+    }
+    return [...candidatas];
+  }
+  const [entradas] = await connection.query(
+    `SELECT e.id, e.nombre, e.nombre_normalizado, e.documento, l.nombre AS lista, l.tipo
+     FROM listas_control_entradas e JOIN listas_control l ON e.lista_id = l.id
+     WHERE l.activa = TRUE AND e.id IN (
+       SELECT entrada_id FROM listas_control_palabras WHERE prefijo IN (?)
+       UNION
+       SELECT entrada_id FROM listas_control_palabras WHERE sufijo IN (?)
+     )`,
+    [[...new Set(claves.map(c => c.prefijo))], [...new Set(claves.map(c => c.sufijo))]]
+  );
+  return entradas;
+}
+
+// Coincidencias de un sujeto (nombre y documento) contra las listas activas. Con indice (de
+// cargarIndiceListas) se busca en memoria; si no, en la base.
+async function buscarCoincidencias(connection, { nombre, documento }, indice = null) {
+  const nombreNormalizado = normalizarNombre(nombre);
+  const documentoNormalizado = normalizarDocumento(documento);
+  const coincidencias = [];
+
+  if (documentoNormalizado) {
+    const porDocumento = await entradasPorDocumento(connection, documentoNormalizado, indice);
+    coincidencias.push(...porDocumento.map(e => ({
+      id: e.id, nombre: e.nombre, documento: e.documento, lista: e.lista, tipo: e.tipo, tipo_coincidencia: 'DOCUMENTO', puntaje: 1
+    })));
+  }
+
+  const entradas = await entradasCandidatas(connection, nombreNormalizado, indice);
+  for (const e of entradas) {
+    if (coincidencias.some(c => c.id === e.id)) continue;
+    const puntaje = similitudNombres(nombreNormalizado, e.nombre_normalizado);
+    if (puntaje >= UMBRAL_SIMILITUD) {
+      coincidencias.push({ id: e.id, nombre: e.nombre, documento: e.documento, lista: e.lista, tipo: e.tipo, tipo_coincidencia: 'NOMBRE', puntaje: Number(puntaje.toFixed(4)) });
+    }
+  }
+  return coincidencias;
+}
+
+// Screening de un cliente (o de los datos con que se quiere registrar). Las coincidencias ya
+// descartadas por un Auditor para los mismos datos no se vuelven a levantar. Devuelve el caso que
+// impide continuar (abierto o confirmado) o null si el sujeto puede operar.
+async function screening(connection, { cliente_id = null, nombre, documento, origen, usuario_id, indice = null }) {
+  const nombreNormalizado = normalizarNombre(nombre);
+  const documentoConsultado = normalizarDocumento(documento);
+  const sujeto = 'nombre_consultado_normalizado = ? AND documento_consultado <=> ?';
+
+  const [vigente] = await connection.query(
+    `SELECT id, estado FROM casos_revision WHERE ${sujeto} AND estado IN ('ABIERTO', 'CONFIRMADO') ORDER BY id LIMIT 1`,
+    [nombreNormalizado, documentoConsultado]
+  );
+  if (vigente.length) return vigente[0];
+
+  const coincidencias = await buscarCoincidencias(connection, { nombre, documento }, indice);
+  if (!coincidencias.length) return null;
+
+  const [descartados] = await connection.query(
+    `SELECT entrada_id FROM casos_revision WHERE ${sujeto} AND estado = 'DESCARTADO'`,
+    [nombreNormalizado, documentoConsultado]
+  );
+  const nuevas = coincidencias.filter(c => !descartados.some(d => d.entrada_id === c.id));
+  if (!nuevas.length) return null;
+
+  let caso = null;
+  for (const c of nuevas) {
+    const [result] = await connection.query(
+      `INSERT INTO casos_revision (cliente_id, entrada_id, origen, tipo_coincidencia, puntaje, nombre_consultado,
+         nombre_consultado_normalizado, documento_consultado, usuario_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [cliente_id, c.id, origen, c.tipo_coincidencia, c.puntaje, nombre, nombreNormalizado, documentoConsultado, usuario_id]
+    );
+    caso = caso || { id: result.insertId, estado: 'ABIERTO' };
+  }
+  return caso;
+}
+
+module.exports = {
+  UMBRAL_SIMILITUD,
+  normalizarNombre,
+  normalizarDocumento,
+  similitudNombres,
+  indexarEntradas,
+  cargarIndiceListas,
+  buscarCoincidencias,
+  screening
+};
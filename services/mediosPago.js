@@ -0,0 +1,20 @@
+// services/mediosPago.js - Saldos de caja por medio de pago
+const MEDIOS_PAGO = ['EFECTIVO', 'TRANSFERENCIA', 'YAPE', 'PLIN', 'TARJETA'];
+
+// El efectivo vive en caja_saldos; los demás medios llevan su propio saldo en caja_saldos_medios
+async function actualizarSaldo(connection, caja_id, divisa_id, medio_pago, delta) {
+  if (medio_pago === 'EFECTIVO') {
+    await connection.query(
+      'UPDATE caja_saldos SET saldo_actual = saldo_actual + ? WHERE caja_id = ? AND divisa_id = ?',
+      [delta, caja_id, divisa_id]
+    );
+    return;
+  }
+  await connection.query(
+    'INSERT INTO caja_saldos_medios (caja_id, divisa_id, medio_pago, saldo_actual) VALUES (?, ?, ?, ?) ' +
+    'ON DUPLICATE KEY UPDATE saldo_actual = saldo_actual + VALUES(saldo_actual)',
+    [caja_id, divisa_id, medio_pago, delta]
+  );
+}
+
+module.exports = { MEDIOS_PAGO, actualizarSaldo };
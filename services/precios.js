@@ -0,0 +1,149 @@
+// services/precios.js - Tasas de compra/venta calculadas desde la referencia con márgenes
+const pool = require('../config/db');
+const { referenciaVigente } = require('./tasasReferencia');
+const { costoInventario } = require('./costoInventario');
+const { registrarCambioTasa } = require('./historialTasas');
+const { validarTasas } = require('./precisionDivisas');
+const { aplicarTasasProgramadas } = require('./tasasProgramadas');
+
+// Minutos que una tasa puesta a mano queda bloqueada si la regla no indica otro valor
+const BLOQUEO_MINUTOS = Number(process.env.PRECIOS_BLOQUEO_MINUTOS) || 60;
+
+function redondear(valor, decimales, sentido) {
+  const factor = 10 ** decimales;
+  // El épsilon evita que 3.7 * 100 = 370.00000000000006 suba un centavo
+  if (sentido === 'ARRIBA') return Math.ceil(valor * factor - 1e-9) / factor;
+  if (sentido === 'ABAJO') return Math.floor(valor * factor + 1e-9) / factor;
+  return Math.round(valor * factor) / factor;
+}
+
+// Tasas que resultan de aplicar la regla a la referencia; costo es el piso de la venta.
+// Con redondeo FAVORABLE la compra se redondea hacia abajo y la venta hacia arriba.
+function calcularTasas(regla, referencia, costo = null) {
+  const margenCompra = Number(regla.margen_compra);
+  const margenVenta = Number(regla.margen_venta);
+  let compra = regla.tipo_margen === 'PORCENTAJE'
+    ? Number(referencia.compra) * (1 - margenCompra / 100)
+    : Number(referencia.compra) - margenCompra;
+  let venta = regla.tipo_margen === 'PORCENTAJE'
+    ? Number(referencia.venta) * (1 + margenVenta / 100)
+    : Number(referencia.venta) + margenVenta;
+
+  // Spread mínimo: se abre por igual a ambos lados del punto medio
+  const spreadMinimo = Number(regla.spread_minimo || 0);
+  if (venta - compra < spreadMinimo) {
+    const medio = (compra + venta) / 2;
+    compra = medio - spreadMinimo / 2;
+    venta = medio + spreadMinimo / 2;
+  }
+
+  const favorable = regla.redondeo === 'FAVORABLE';
+  compra = redondear(compra, regla.decimales, favorable ? 'ABAJO' : 'CERCANO');
+  venta = redondear(venta, regla.decimales, favorable ? 'ARRIBA' : 'CERCANO');
+
+  // La venta nunca por debajo del costo del inventario
+  let ajustada_por_costo = false;
+  if (costo !== null && venta < costo) {
+    venta = redondear(costo, regla.decimales, 'ARRIBA');
+    ajustada_por_costo = true;
+  }
+  return { tasa_compra: compra, tasa_venta: venta, ajustada_por_costo };
+}
+
+// Recalcula las tasas de una divisa con su regla, dentro de la transacción de la conexión.
+// Si la tasa está bloqueada por un cambio manual se registra como omitida, salvo con forzar
+// (que además levanta el bloqueo). Devuelve lo registrado en log_repreciacion o null si la
+// divisa no tiene regla activa o las tasas no cambian.
+async function repreciarDivisa(connection, divisa_id, { forzar = false, usuario_id = null } = {}) {
+  // Un cambio programado que ya venció cuenta como manual: se aplica primero y bloquea la regla
+  await aplicarTasasProgramadas(connection, [divisa_id]);
+  const [reglas] = await connection.query(
+    `SELECT r.*, d.codigo, d.tasa_compra AS actual_compra, d.tasa_venta AS actual_venta,
+            d.unidad_cotizacion, d.tasa_minima, d.tasa_maxima,
+            d.bloqueo_manual_hasta, d.bloqueo_manual_hasta > NOW() AS bloqueada
+     FROM reglas_precio r JOIN divisas d ON r.divisa_id = d.id
+     WHERE r.divisa_id = ? AND r.activo = TRUE
+     FOR UPDATE`,
+    [divisa_id]
+  );
+  if (!reglas.length) return null;
+  const regla = reglas[0];
+
+  const referencia = await referenciaVigente(connection, divisa_id, regla.fuente);
+  if (!referencia) return null;
+
+  const registrar = async (resultado, tasas, motivo, costo) => {
+    const detalle = {
+      referencia: { id: referencia.id, fuente: referencia.fuente, compra: Number(referencia.compra), venta: Number(referencia.venta) },
+      regla: {
+        tipo_margen: regla.tipo_margen, margen_compra: Number(regla.margen_compra), margen_venta: Number(regla.margen_venta),
+        decimales: regla.decimales, redondeo: regla.redondeo, spread_minimo: Number(regla.spread_minimo)
+      },
+      costo_inventario: costo
+    };
+    const [result] = await connection.query(
+      `INSERT INTO log_repreciacion (divisa_id, resultado, motivo, tasa_compra_anterior, tasa_venta_anterior, tasa_compra, tasa_venta,
+         ajustada_por_costo, detalle, usuario_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [divisa_id, resultado, motivo, regla.actual_compra, regla.actual_venta, tasas.tasa_compra, tasas.tasa_venta,
+        tasas.ajustada_por_costo, JSON.stringify(detalle), usuario_id]
+    );
+    return { id: result.insertId, divisa_id, resultado, motivo, ...tasas, detalle };
+  };
+
+  const inventario = await costoInventario(connection, { divisa_id });
+  const costo = inventario && inventario.origen === 'INVENTARIO' ? inventario.costo : null;
+  const tasas = calcularTasas(regla, referencia, costo);
+
+  if (regla.bloqueada && !forzar) {
+    return registrar('OMITIDA', tasas, `Tasa bloqueada por cambio manual hasta ${new Date(regla.bloqueo_manual_hasta).toISOString()}`, costo);
+  }
+  // Una referencia anómala no debe llevar las tasas fuera del rango permitido de la divisa
+  const fueraDeRango = validarTasas({
+    codigo: regla.codigo,
+    unidad_cotizacion: regla.unidad_cotizacion,
+    tasa_minima: regla.tasa_minima !== null ? Number(regla.tasa_minima) : null,
+    tasa_maxima: regla.tasa_maxima !== null ? Number(regla.tasa_maxima) : null
+  }, { tasa_compra: tasas.tasa_compra, tasa_venta: tasas.tasa_venta });
+  if (fueraDeRango) {
+    return registrar('OMITIDA', tasas, fueraDeRango.slice(0, 255), costo);
+  }
+  if (Number(regla.actual_compra) === tasas.tasa_compra && Number(regla.actual_venta) === tasas.tasa_venta && !regla.bloqueo_manual_hasta) {
+    return null;
+  }
+
+  await connection.query(
+    'UPDATE divisas SET tasa_compra = ?, tasa_venta = ?, bloqueo_manual_hasta = NULL WHERE id = ?',
+    [tasas.tasa_compra, tasas.tasa_venta, divisa_id]
+  );
+  await registrarCambioTasa(connection, { divisa_id, usuario_id, origen: 'AUTOMATICO' });
+  return registrar('APLICADA', tasas, tasas.ajustada_por_costo ? 'Venta llevada al costo del inventario' : null, costo);
+}
+
+// Reprecia cada divisa en su propia transacción (una que falle no detiene a las demás)
+async function repreciarDivisas(divisaIds, opciones = {}) {
+  const resultados = [];
+  for (const divisa_id of [...new Set(divisaIds)]) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const resultado = await repreciarDivisa(connection, divisa_id, opciones);
+      await connection.commit();
+      if (resultado) resultados.push(resultado);
+    } catch (err) {
+      await connection.rollback();
+      resultados.push({ divisa_id, resultado: 'ERROR', motivo: err.message });
+    } finally {
+      connection.release();
+    }
+  }
+  return resultados;
+}
+
+// Tras consultar los proveedores: reprecia las divisas que recibieron una referencia nueva
+function repreciarTrasReferencias(resultado) {
+  const divisaIds = Object.values(resultado).flatMap(r => r.divisas || []);
+  return divisaIds.length ? repreciarDivisas(divisaIds) : Promise.resolve([]);
+}
+
+module.exports = { BLOQUEO_MINUTOS, calcularTasas, repreciarDivisa, repreciarDivisas, repreciarTrasReferencias };
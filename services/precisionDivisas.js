@@ -0,0 +1,65 @@
+// services/precisionDivisas.js - Unidad de cotización, decimales de los montos y rango de tasas por divisa
+
+// Cantidades de divisa a las que puede referirse una tasa (ej. JPY se cotiza por 100 unidades)
+const UNIDADES_COTIZACION = [1, 10, 100, 1000];
+// Los montos se guardan con dos decimales: una divisa puede usar menos (CLP, JPY), no más
+const DECIMALES_MAXIMOS = 2;
+
+// Parámetros de todas las divisas, o de las indicadas por id
+async function parametrosDivisas(connection, ids = null) {
+  const [divisas] = await connection.query(
+    `SELECT id, codigo, unidad_cotizacion, decimales, tasa_minima, tasa_maxima FROM divisas${ids ? ' WHERE id IN (?)' : ''}`,
+    ids ? [ids] : []
+  );
+  return divisas.map(d => ({
+    ...d,
+    unidad_cotizacion: Number(d.unidad_cotizacion),
+    decimales: Number(d.decimales),
+    tasa_minima: d.tasa_minima !== null ? Number(d.tasa_minima) : null,
+    tasa_maxima: d.tasa_maxima !== null ? Number(d.tasa_maxima) : null
+  }));
+}
+
+function tieneDecimalesDeMas(monto, decimales) {
+  const escalado = Number(monto) * 10 ** decimales;
+  return Math.abs(escalado - Math.round(escalado)) > 1e-6;
+}
+
+// Mensaje de error si el monto tiene más decimales de los que admite la divisa
+function validarMonto(divisa, monto, campo = 'monto') {
+  if (!tieneDecimalesDeMas(monto, divisa.decimales)) return null;
+  return divisa.decimales
+    ? `${campo} en ${divisa.codigo} admite como máximo ${divisa.decimales} decimales`
+    : `${campo} en ${divisa.codigo} debe ser un número entero`;
+}
+
+// Mensaje de error si alguna de las tasas ({ tasa_compra, tasa_venta, ... }) está fuera del rango de la divisa
+function validarTasas(divisa, tasas) {
+  for (const [campo, valor] of Object.entries(tasas)) {
+    if (valor === null || valor === undefined) continue;
+    if ((divisa.tasa_minima !== null && valor < divisa.tasa_minima) || (divisa.tasa_maxima !== null && valor > divisa.tasa_maxima)) {
+      const rango = [divisa.tasa_minima ?? '-', divisa.tasa_maxima ?? '-'].join(' y ');
+      return `${campo} de ${divisa.codigo} debe estar entre ${rango} (por ${divisa.unidad_cotizacion} ${divisa.codigo})`;
+    }
+  }
+  return null;
+}
+
+// Soles que corresponden a un monto de divisa con una tasa expresada por unidad de cotización
+function montoEnSoles(monto, tasa, unidad = 1) {
+  return Number((monto * tasa / unidad).toFixed(2));
+}
+
+function formatearMonto(monto, decimales = 2) {
+  return Number(monto).toFixed(decimales);
+}
+
+module.exports = {
+  UNIDADES_COTIZACION,
+  DECIMALES_MAXIMOS,
+  parametrosDivisas,
+  validarMonto,
+  validarTasas,
+  montoEnSoles,
+  formatearMonto
+};
@@ -0,0 +1,143 @@
+// services/recibos.js - Numeración correlativa y PDF de comprobantes de operación
+const PDFDocument = require('pdfkit');
+
+const SERIE_RECIBO = process.env.RECIBO_SERIE || 'R001';
+
+// Cabecera del comprobante
+const NEGOCIO = {
+  nombre: process.env.NEGOCIO_NOMBRE || 'Casa de Cambio',
+  ruc: process.env.NEGOCIO_RUC || '',
+  direccion: process.env.NEGOCIO_DIRECCION || '',
+  telefono: process.env.NEGOCIO_TELEFONO || ''
+};
+
+// Hoja A4 o rollo térmico de 80mm (226.77pt de ancho; el alto se calcula según el contenido)
+const FORMATOS = {
+  A4: { margin: 50, fuente: { titulo: 16, normal: 10, pequena: 8 } },
+  '80mm': { ancho: 226.77, margin: 12, fuente: { titulo: 11, normal: 8, pequena: 7 } }
+};
+
+// Siguiente número de la serie, tomado dentro de la transacción de BD en curso: si la operación
+// se revierte el número también, así la serie no tiene saltos
+async function asignarCorrelativo(connection, serie = SERIE_RECIBO) {
+  await connection.query('INSERT IGNORE INTO series_comprobante (serie, ultimo_numero) VALUES (?, 0)', [serie]);
+  const [fila] = await connection.query('SELECT ultimo_numero FROM series_comprobante WHERE serie = ? FOR UPDATE', [serie]);
+  const numero = Number(fila[0].ultimo_numero) + 1;
+  await connection.query('UPDATE series_comprobante SET ultimo_numero = ? WHERE serie = ?', [numero, serie]);
+  return { serie, numero };
+}
+
+function formatearSerie(serie, numero) {
+  return `${serie}-${String(numero).padStart(8, '0')}`;
+}
+
+function importe(monto, codigo, decimales = 2) {
+  const valor = Number(monto).toLocaleString('es-PE', { minimumFractionDigits: decimales, maximumFractionDigits: decimales });
+  return `${codigo === 'PEN' ? 'S/' : codigo} ${valor}`;
+}
+
+// Dibuja el comprobante en el documento desde la posición actual
+function dibujarRecibo(doc, f, recibo, copia) {
+  const ancho = doc.page.width - f.margin * 2;
+  const centrado = (texto, tamano, fuente = 'Helvetica') => {
+    doc.font(fuente).fontSize(tamano).text(texto, f.margin, doc.y, { width: ancho, align: 'center' });
+  };
+  const fila = (etiqueta, valor) => {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(f.fuente.normal).text(etiqueta, f.margin, y, { width: ancho * 0.45 });
+    const yEtiqueta = doc.y;
+    doc.text(valor, f.margin + ancho * 0.45, y, { width: ancho * 0.55, align: 'right' });
+    doc.y = Math.max(doc.y, yEtiqueta) + 2;
+  };
+  const separador = () => {
+    doc.moveDown(0.4);
+    doc.moveTo(f.margin, doc.y).lineTo(f.margin + ancho, doc.y).dash(2, { space: 2 }).stroke().undash();
+    doc.moveDown(0.4);
+  };
+
+  // Cabecera del negocio
+  centrado(NEGOCIO.nombre, f.fuente.titulo, 'Helvetica-Bold');
+  if (NEGOCIO.ruc) centrado(`RUC: ${NEGOCIO.ruc}`, f.fuente.pequena);
+  if (NEGOCIO.direccion) centrado(NEGOCIO.direccion, f.fuente.pequena);
+  if (NEGOCIO.telefono) centrado(`Tel.: ${NEGOCIO.telefono}`, f.fuente.pequena);
+  separador();
+
+  centrado('COMPROBANTE DE OPERACIÓN DE CAMBIO', f.fuente.normal, 'Helvetica-Bold');
+  centrado(
+    recibo.numero_recibo ? formatearSerie(recibo.serie, recibo.numero_recibo) : `S/N (Tx #${recibo.id})`,
+    f.fuente.titulo, 'Helvetica-Bold'
+  );
+  if (copia) {
+    centrado(`COPIA - Reimpresión ${new Date().toLocaleString('es-PE', { timeZone: 'America/Lima' })}`, f.fuente.normal, 'Helvetica-Bold');
+  }
+  if (recibo.estado !== 'COMPLETADA') {
+    centrado(`ESTADO: ${recibo.estado}`, f.fuente.normal, 'Helvetica-Bold');
+  }
+  doc.moveDown(0.5);
+
+  fila('Fecha', new Date(recibo.fecha).toLocaleString('es-PE', { timeZone: 'America/Lima' }));
+  fila('Cajero', recibo.cajero || '-');
+  separador();
+
+  // Cliente
+  fila('Cliente', recibo.cliente_nombre || 'Cliente no identificado');
+  if (recibo.cliente_dni) fila('Documento', recibo.cliente_dni);
+  separador();
+
+  // Operación, vista desde el cliente: lo que entrega y lo que recibe
+  // El tipo de cambio está expresado por la unidad de cotización de la divisa (ej. 100 JPY)
+  const { tipo, divisa_codigo, divisa_destino_codigo, unidad_cotizacion = 1, decimales = 2, destino_decimales = 2 } = recibo;
+  fila('Operación', tipo);
+  if (tipo === 'CANJE') {
+    fila('Cliente entrega', importe(recibo.monto, divisa_codigo, decimales));
+    fila('Tipo de cambio', `${unidad_cotizacion} ${divisa_codigo} = ${Number(recibo.tipo_cambio).toFixed(4)} ${divisa_destino_codigo}`);
+    fila('Cliente recibe', importe(recibo.monto_destino, divisa_destino_codigo, destino_decimales));
+  } else {
+    fila('Cliente entrega', tipo === 'COMPRA' ? importe(recibo.monto, divisa_codigo, decimales) : importe(recibo.total_soles, 'PEN'));
+    fila('Tipo de cambio', unidad_cotizacion > 1
+      ? `${unidad_cotizacion} ${divisa_codigo} = S/ ${Number(recibo.tipo_cambio).toFixed(4)}`
+      : Number(recibo.tipo_cambio).toFixed(4));
+    fila('Cliente recibe', tipo === 'COMPRA' ? importe(recibo.total_soles, 'PEN') : importe(recibo.monto, divisa_codigo, decimales));
+  }
+  for (const p of recibo.pagos) {
+    fila(
+      p.direccion === 'RECIBIDO' ? 'Medio de pago (entrega)' : 'Medio de pago (recibe)',
+      p.referencia ? `${p.medio_pago} ${p.referencia}` : p.medio_pago
+    );
+  }
+  separador();
+
+  centrado('Conserve este comprobante. Gracias por su preferencia.', f.fuente.pequena);
+}
+
+// Alto que ocupa el comprobante en el rollo de 80mm: se dibuja en una página de prueba muy alta
+// (los nombres, direcciones o referencias largas ocupan varias líneas)
+function altoRollo(f, recibo, copia) {
+  const prueba = new PDFDocument({ size: [f.ancho, 14400], margin: f.margin });
+  dibujarRecibo(prueba, f, recibo, copia);
+  const alto = Math.ceil(prueba.y + f.margin);
+  prueba.end();
+  return alto;
+}
+
+// Genera el PDF del comprobante y devuelve el Buffer. `recibo` trae la transacción con cliente,
+// cajero y pagos; `copia` marca las reimpresiones.
+function generarReciboPdf(recibo, { formato = 'A4', copia = false } = {}) {
+  const f = FORMATOS[formato];
+  const doc = new PDFDocument({
+    size: f.ancho ? [f.ancho, altoRollo(f, recibo, copia)] : 'A4',
+    margin: f.margin
+  });
+
+  return new Promise((resolve, reject) => {
+    const buffers = [];
+    doc.on('data', buffers.push.bind(buffers));
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+
+    dibujarRecibo(doc, f, recibo, copia);
+    doc.end();
+  });
+}
+
+module.exports = { SERIE_RECIBO, FORMATOS, asignarCorrelativo, formatearSerie, generarReciboPdf };
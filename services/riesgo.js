@@ -0,0 +1,76 @@
+// services/riesgo.js - Nivel de riesgo del cliente (BAJO/MEDIO/ALTO) a partir de factores configurables
+
+// Puntaje desde el que el cliente pasa a MEDIO y a ALTO
+const UMBRAL_MEDIO = Number(process.env.RIESGO_UMBRAL_MEDIO) || 30;
+const UMBRAL_ALTO = Number(process.env.RIESGO_UMBRAL_ALTO) || 60;
+// Días hacia atrás que se miran para frecuencia, montos y uso de efectivo
+const VENTANA_DIAS = Number(process.env.RIESGO_VENTANA_DIAS) || 90;
+
+function normalizar(texto) {
+  return String(texto || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase().trim();
+}
+
+function nivelPorPuntaje(puntaje) {
+  if (puntaje >= UMBRAL_ALTO) return 'ALTO';
+  if (puntaje >= UMBRAL_MEDIO) return 'MEDIO';
+  return 'BAJO';
+}
+
+// Recalcula el riesgo del cliente y guarda el cambio en el historial si el puntaje o el nivel variaron.
+// Por cada factor cuenta solo la regla de más puntos que se cumpla.
+async function evaluarRiesgo(connection, cliente_id, transaccion_id = null) {
+  const [cliente] = await connection.query(
+    'SELECT id, nacionalidad, ocupacion, es_pep, nivel_riesgo, puntaje_riesgo FROM clientes WHERE id = ? FOR UPDATE',
+    [cliente_id]
+  );
+  if (!cliente.length) return null;
+  const c = cliente[0];
+
+  // La operación que se está registrando puede seguir PENDIENTE mientras se aprueba
+  const [actividad] = await connection.query(
+    `SELECT COUNT(*) AS operaciones, COALESCE(SUM(t.total_soles), 0) AS monto,
+            COALESCE(SUM(EXISTS (SELECT 1 FROM transacciones_pagos tp WHERE tp.transaccion_id = t.id AND tp.medio_pago = 'EFECTIVO')), 0) AS en_efectivo
+     FROM transacciones t
+     WHERE t.cliente_id = ? AND (t.estado = 'COMPLETADA' OR t.id = ?) AND t.fecha >= NOW() - INTERVAL ? DAY`,
+    [cliente_id, transaccion_id, VENTANA_DIAS]
+  );
+  const operaciones = Number(actividad[0].operaciones);
+  const monto = Number(actividad[0].monto);
+  const porcentajeEfectivo = operaciones ? Number(actividad[0].en_efectivo) * 100 / operaciones : 0;
+
+  const [factores] = await connection.query('SELECT id, factor, valor, puntos FROM factores_riesgo WHERE activo = TRUE');
+  const cumple = {
+    NACIONALIDAD: f => !!c.nacionalidad && normalizar(c.nacionalidad) === normalizar(f.valor),
+    OCUPACION: f => !!c.ocupacion && normalizar(c.ocupacion).includes(normalizar(f.valor)),
+    PEP: () => !!c.es_pep,
+    FRECUENCIA: f => operaciones >= Number(f.valor),
+    MONTO: f => monto >= Number(f.valor),
+    EFECTIVO: f => operaciones > 0 && porcentajeEfectivo >= Number(f.valor)
+  };
+  const aplicados = {};
+  for (const f of factores) {
+    if (cumple[f.factor](f) && (!aplicados[f.factor] || aplicados[f.factor].puntos < f.puntos)) {
+      aplicados[f.factor] = { factor_id: f.id, valor: f.valor, puntos: f.puntos };
+    }
+  }
+  const puntaje = Object.values(aplicados).reduce((total, f) => total + f.puntos, 0);
+  const nivel = nivelPorPuntaje(puntaje);
+
+  await connection.query(
+    'UPDATE clientes SET nivel_riesgo = ?, puntaje_riesgo = ?, riesgo_actualizado_at = NOW() WHERE id = ?',
+    [nivel, puntaje, cliente_id]
+  );
+  if (nivel !== c.nivel_riesgo || puntaje !== Number(c.puntaje_riesgo)) {
+    const detalle = {
+      factores: aplicados,
+      actividad: { ventana_dias: VENTANA_DIAS, operaciones, monto, porcentaje_efectivo: Number(porcentajeEfectivo.toFixed(2)) }
+    };
+    await connection.query(
+      'INSERT INTO historial_riesgo (cliente_id, nivel_anterior, nivel_nuevo, puntaje_anterior, puntaje_nuevo, detalle, transaccion_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())',
+      [cliente_id, c.nivel_riesgo, nivel, c.puntaje_riesgo, puntaje, JSON.stringify(detalle), transaccion_id]
+    );
+  }
+  return { nivel, puntaje, nivel_anterior: c.nivel_riesgo };
+}
+
+module.exports = { UMBRAL_MEDIO, UMBRAL_ALTO, VENTANA_DIAS, evaluarRiesgo };
@@ -0,0 +1,59 @@
+// services/tasasPreferenciales.js - Tasas negociadas por cliente
+
+// Tarifa preferencial vigente hoy para el cliente y la divisa. Con monto se descartan las que
+// tienen un tope menor; si hay varias gana la más reciente. Devuelve null si no tiene.
+async function buscarTasaPreferencial(connection, { cliente_id, divisa_id, monto = null }) {
+  if (!cliente_id) return null;
+  const [tasas] = await connection.query(
+    `SELECT id, tipo, mejora, tasa_compra, tasa_venta, monto_maximo, vigente_desde, vigente_hasta
+     FROM tasas_preferenciales
+     WHERE cliente_id = ? AND divisa_id = ? AND activo = TRUE
+       AND (vigente_desde IS NULL OR vigente_desde <= CURDATE())
+       AND (vigente_hasta IS NULL OR vigente_hasta >= CURDATE())
+       AND (monto_maximo IS NULL OR ? IS NULL OR monto_maximo >= ?)
+     ORDER BY id DESC LIMIT 1`,
+    [cliente_id, divisa_id, monto, monto]
+  );
+  return tasas[0] || null;
+}
+
+// Tasas de compra y venta para el cliente a partir de las estándar (de la divisa o del tramo).
+// Si la tarifa dejaría la compra igual o por encima de la venta (una mejora mayor que medio
+// spread, o una tasa especial de un lado que cruza la estándar del otro) se usan las estándar.
+function aplicarTasaPreferencial(base, preferencial) {
+  const compra = parseFloat(base.tasa_compra);
+  const venta = parseFloat(base.tasa_venta);
+  const estandar = { tasa_compra: compra, tasa_venta: venta, tasa_preferencial_id: null };
+  if (!preferencial) return estandar;
+  let tasas;
+  if (preferencial.tipo === 'MEJORA_SPREAD') {
+    const mejora = parseFloat(preferencial.mejora);
+    tasas = {
+      tasa_compra: Number((compra + mejora).toFixed(4)),
+      tasa_venta: Number((venta - mejora).toFixed(4)),
+      tasa_preferencial_id: preferencial.id
+    };
+  } else {
+    tasas = {
+      tasa_compra: preferencial.tasa_compra !== null ? parseFloat(preferencial.tasa_compra) : compra,
+      tasa_venta: preferencial.tasa_venta !== null ? parseFloat(preferencial.tasa_venta) : venta,
+      tasa_preferencial_id: preferencial.id
+    };
+  }
+  return tasas.tasa_compra < tasas.tasa_venta ? tasas : estandar;
+}
+
+// Mensaje de error si una mejora de spread invierte las tasas actuales de la divisa
+function validarMejora(divisa, mejora) {
+  const spread = Number(divisa.tasa_venta) - Number(divisa.tasa_compra);
+  if (mejora * 2 < spread) return null;
+  return `La mejora debe ser menor que la mitad del spread actual de ${divisa.codigo} (${(spread / 2).toFixed(4)})`;
+}
+
+// Atajo: tasas efectivas del cliente para una divisa
+async function tasasEfectivas(connection, { cliente_id, divisa_id, monto = null, base }) {
+  const preferencial = await buscarTasaPreferencial(connection, { cliente_id, divisa_id, monto });
+  return aplicarTasaPreferencial(base, preferencial);
+}
+
+module.exports = { buscarTasaPreferencial, aplicarTasaPreferencial, validarMejora, tasasEfectivas };
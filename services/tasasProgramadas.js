@@ -0,0 +1,101 @@
+// services/tasasProgramadas.js - Cambios de tasa que entran en vigencia a una hora programada
+const pool = require('../config/db');
+const { registrarCambioTasa } = require('./historialTasas');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  ]
+});
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({ format: winston.format.simple() }));
+}
+
+// Cada cuántos segundos se revisan los cambios vencidos (0 desactiva la revisión automática;
+// las consultas de tasas los aplican igual antes de leer)
+const INTERVALO_SEGUNDOS = process.env.TASAS_PROGRAMADAS_INTERVALO_SEGUNDOS !== undefined
+  ? Number(process.env.TASAS_PROGRAMADAS_INTERVALO_SEGUNDOS)
+  : 60;
+
+// Aplica, en orden, los cambios programados cuya hora ya llegó, de las divisas indicadas o de
+// todas. Va dentro de la transacción de la conexión, antes de leer las tasas de divisas. Cada
+// cambio queda en el historial con su hora de vigencia y, como un cambio manual, bloquea la regla
+// de precio de la divisa. Devuelve los cambios aplicados.
+async function aplicarTasasProgramadas(connection, divisaIds = null) {
+  const ids = divisaIds && [...new Set(divisaIds.filter(Boolean).map(Number))];
+  if (ids && !ids.length) return [];
+  const [vencidas] = await connection.query(
+    `SELECT id, divisa_id, tasa_compra, tasa_venta, costo_base_moneda, vigente_desde, creado_por
+     FROM tasas_programadas
+     WHERE estado = 'PENDIENTE' AND vigente_desde <= NOW()${ids ? ' AND divisa_id IN (?)' : ''}
+     ORDER BY vigente_desde ASC, id ASC
+     FOR UPDATE`,
+    ids ? [ids] : []
+  );
+  for (const p of vencidas) {
+    await connection.query('UPDATE divisas SET tasa_compra = ?, tasa_venta = ? WHERE id = ?', [p.tasa_compra, p.tasa_venta, p.divisa_id]);
+    if (p.costo_base_moneda !== null) {
+      const [costo] = await connection.query(
+        'UPDATE divisas_costos SET costo_base_moneda = ?, updated_at = NOW() WHERE divisa_id = ?',
+        [p.costo_base_moneda, p.divisa_id]
+      );
+      if (!costo.affectedRows) {
+        await connection.query('INSERT INTO divisas_costos (divisa_id, costo_base_moneda) VALUES (?, ?)', [p.divisa_id, p.costo_base_moneda]);
+      }
+    }
+    const historial_tasa_id = await registrarCambioTasa(connection, {
+      divisa_id: p.divisa_id, usuario_id: p.creado_por, origen: 'PROGRAMADO', fecha: p.vigente_desde
+    });
+    await connection.query(
+      `UPDATE divisas d JOIN reglas_precio r ON r.divisa_id = d.id AND r.activo = TRUE
+       SET d.bloqueo_manual_hasta = IF(r.bloqueo_minutos > 0, NOW() + INTERVAL r.bloqueo_minutos MINUTE, NULL)
+       WHERE d.id = ?`,
+      [p.divisa_id]
+    );
+    await connection.query(
+      "UPDATE tasas_programadas SET estado = 'APLICADA', aplicada_at = NOW(), historial_tasa_id = ? WHERE id = ?",
+      [historial_tasa_id, p.id]
+    );
+    logger.info(`Cambio de tasa programado ${p.id} aplicado`, { divisa_id: p.divisa_id, vigente_desde: p.vigente_desde });
+  }
+  return vencidas;
+}
+
+// Igual que aplicarTasasProgramadas, en su propia transacción (consultas fuera de una transacción)
+async function aplicarTasasVencidas(divisaIds = null) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const aplicadas = await aplicarTasasProgramadas(connection, divisaIds);
+    await connection.commit();
+    return aplicadas;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+let temporizador = null;
+
+// Revisión periódica de cambios vencidos; se arranca una vez al levantar el servidor.
+// alAplicar recibe los cambios aplicados en cada revisión que aplicó alguno.
+function iniciarAplicacionPeriodica(alAplicar = null) {
+  if (temporizador || !INTERVALO_SEGUNDOS) return;
+  const ejecutar = () => aplicarTasasVencidas()
+    .then(aplicadas => aplicadas.length && alAplicar && alAplicar(aplicadas))
+    .catch(err => logger.error(`Error aplicando cambios de tasa programados: ${err.message}`));
+  temporizador = setInterval(ejecutar, INTERVALO_SEGUNDOS * 1000);
+  temporizador.unref();
+  ejecutar();
+}
+
+module.exports = { aplicarTasasProgramadas, aplicarTasasVencidas, iniciarAplicacionPeriodica };
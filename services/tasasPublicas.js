@@ -0,0 +1,62 @@
+// services/tasasPublicas.js - Pizarra de tasas pública y aviso en vivo de cambios por Socket.IO
+const crypto = require('crypto');
+const pool = require('../config/db');
+const { getIO } = require('../socket');
+const { aplicarTasasVencidas } = require('./tasasProgramadas');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  ]
+});
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({ format: winston.format.simple() }));
+}
+
+// Sala de Socket.IO a la que se unen las pantallas y la web ("joinRoom", "tasas")
+const SALA_TASAS = 'tasas';
+const EVENTO_TASAS = 'rates-updated';
+
+// Tasas vigentes de las divisas marcadas como públicas, con un ETag que cambia solo si cambian los datos
+async function tasasPublicas() {
+  await aplicarTasasVencidas();
+  const [divisas] = await pool.query(
+    `SELECT d.codigo, d.nombre, d.tasa_compra, d.tasa_venta, d.unidad_cotizacion, d.decimales,
+            (SELECT MAX(h.created_at) FROM historial_tasas h WHERE h.divisa_id = d.id AND h.created_at <= NOW()) AS actualizado_at
+     FROM divisas d
+     WHERE d.publica = TRUE AND d.codigo <> 'PEN'
+     ORDER BY d.codigo ASC`
+  );
+  const data = divisas.map(d => ({
+    codigo: d.codigo,
+    nombre: d.nombre,
+    compra: Number(d.tasa_compra),
+    venta: Number(d.tasa_venta),
+    unidad_cotizacion: Number(d.unidad_cotizacion),
+    decimales: Number(d.decimales),
+    actualizado_at: d.actualizado_at
+  }));
+  const etag = `"${crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex')}"`;
+  return { data, etag };
+}
+
+// Avisa a la sala pública que las tasas cambiaron, con la pizarra ya actualizada. No lanza errores:
+// la operación que cambió las tasas ya se confirmó y el aviso es solo informativo.
+async function notificarTasas(accion, divisa_id = null) {
+  try {
+    const io = getIO();
+    const { data, etag } = await tasasPublicas();
+    io.to(SALA_TASAS).emit(EVENTO_TASAS, { accion, divisa_id: divisa_id !== null ? Number(divisa_id) : null, tasas: data, etag, emitido_at: new Date() });
+  } catch (err) {
+    logger.error(`Error notificando cambio de tasas (${accion}): ${err.message}`);
+  }
+}
+
+module.exports = { SALA_TASAS, EVENTO_TASAS, tasasPublicas, notificarTasas };
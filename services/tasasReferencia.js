@@ -0,0 +1,221 @@
+// services/tasasReferencia.js - Tasas de referencia (SBS, BCRP, feeds JSON/CSV y carga manual)
+const pool = require('../config/db');
+const { parsearCsv } = require('./csv');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  ]
+});
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({ format: winston.format.simple() }));
+}
+
+// Cada cuántos minutos se consultan los proveedores (0 desactiva la consulta automática)
+const INTERVALO_MINUTOS = process.env.REFERENCIAS_INTERVALO_MINUTOS !== undefined
+  ? Number(process.env.REFERENCIAS_INTERVALO_MINUTOS)
+  : 60;
+const TIMEOUT_MS = Number(process.env.REFERENCIAS_TIMEOUT_MS) || 10000;
+
+// Nombres con que la SBS publica las monedas en su tabla de tipo de cambio promedio
+const MONEDAS_SBS = {
+  'DOLAR DE N.A.': 'USD',
+  'DOLAR AMERICANO': 'USD',
+  EURO: 'EUR',
+  'LIBRA ESTERLINA': 'GBP',
+  'YEN JAPONES': 'JPY',
+  'FRANCO SUIZO': 'CHF',
+  'DOLAR CANADIENSE': 'CAD'
+};
+
+function normalizarTexto(texto) {
+  return String(texto || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+function numero(valor) {
+  const n = Number(String(valor ?? '').replace(',', '.'));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+async function descargar(url) {
+  const respuesta = await fetch(url, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+  if (!respuesta.ok) throw new Error(`HTTP ${respuesta.status} al consultar ${url}`);
+  return respuesta.text();
+}
+
+// SBS: página HTML del tipo de cambio promedio; cada fila trae moneda, compra y venta
+function parsearSbs(html) {
+  const tasas = [];
+  for (const [, fila] of html.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)) {
+    const celdas = [...fila.matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi)].map(([, c]) => c.replace(/<[^>]+>/g, '').replace(/&nbsp;/g, ' ').trim());
+    const codigo = celdas.length >= 3 && MONEDAS_SBS[normalizarTexto(celdas[0])];
+    if (codigo && numero(celdas[1]) && numero(celdas[2])) {
+      tasas.push({ codigo, compra: numero(celdas[1]), venta: numero(celdas[2]), fecha_fuente: null });
+    }
+  }
+  return tasas;
+}
+
+// BCRP: API de series estadísticas. REFERENCIAS_BCRP_SERIES indica las series de compra y venta
+// por moneda, ej. "USD:PD04639PD,PD04640PD;EUR:PD04647PD,PD04648PD". Se toma el último periodo con dato.
+function seriesBcrp() {
+  return String(process.env.REFERENCIAS_BCRP_SERIES || 'USD:PD04639PD,PD04640PD')
+    .split(';').filter(Boolean)
+    .map(s => {
+      const [codigo, series] = s.split(':');
+      const [compra, venta] = (series || '').split(',');
+      return { codigo: codigo.trim().toUpperCase(), compra: compra.trim(), venta: (venta || compra).trim() };
+    });
+}
+
+function parsearBcrp(texto, { compra, venta }) {
+  const datos = JSON.parse(texto);
+  const periodos = (datos.periods || []).filter(p => (p.values || []).every(v => numero(v)));
+  if (!periodos.length) return null;
+  const ultimo = periodos[periodos.length - 1];
+  return { compra: numero(ultimo.values[0]), venta: numero(ultimo.values[compra === venta ? 0 : 1]), fecha_fuente: ultimo.name };
+}
+
+// Feed JSON genérico: { "USD": { "compra": 3.7, "venta": 3.75 } } o [{ "codigo": "USD", "compra": ..., "venta": ... }]
+function parsearJson(texto) {
+  const datos = JSON.parse(texto);
+  const filas = Array.isArray(datos)
+    ? datos
+    : Object.entries(datos.tasas || datos).map(([codigo, t]) => ({ codigo, ...t }));
+  return filas
+    .map(f => ({ codigo: String(f.codigo || f.moneda || '').toUpperCase(), compra: numero(f.compra), venta: numero(f.venta), fecha_fuente: f.fecha || null }))
+    .filter(f => f.codigo && f.compra && f.venta);
+}
+
+// Feed CSV genérico con columnas codigo (o moneda), compra, venta y opcionalmente fecha
+function parsearCsvTasas(texto) {
+  return parsearCsv(texto)
+    .map(f => ({ codigo: String(f.codigo || f.moneda || '').toUpperCase(), compra: numero(f.compra), venta: numero(f.venta), fecha_fuente: f.fecha || null }))
+    .filter(f => f.codigo && f.compra && f.venta);
+}
+
+// Adaptadores: cada uno recibe la URL (configurable para apuntar a un servidor de prueba) y
+// devuelve [{ codigo, compra, venta, fecha_fuente }]. Sin URL configurada el proveedor se omite.
+const PROVEEDORES = {
+  SBS: {
+    url: () => process.env.REFERENCIAS_SBS_URL || 'https://www.sbs.gob.pe/app/pp/sistip_portal/paginas/publicacion/tipocambiopromedio.aspx',
+    obtener: async url => parsearSbs(await descargar(url))
+  },
+  BCRP: {
+    url: () => process.env.REFERENCIAS_BCRP_URL || 'https://estadisticas.bcrp.gob.pe/estadisticas/series/api',
+    obtener: async url => {
+      const tasas = [];
+      for (const serie of seriesBcrp()) {
+        const tasa = parsearBcrp(await descargar(`${url}/${serie.compra}-${serie.venta}/json`), serie);
+        if (tasa) tasas.push({ codigo: serie.codigo, ...tasa });
+      }
+      return tasas;
+    }
+  },
+  JSON: {
+    url: () => process.env.REFERENCIAS_JSON_URL,
+    obtener: async url => parsearJson(await descargar(url))
+  },
+  CSV: {
+    url: () => process.env.REFERENCIAS_CSV_URL,
+    obtener: async url => parsearCsvTasas(await descargar(url))
+  }
+};
+
+// MANUAL no se consulta: lo carga un Admin y sirve de respaldo cuando el proveedor falla
+const FUENTES = [...Object.keys(PROVEEDORES), 'MANUAL'];
+
+// Guarda las tasas obtenidas de una fuente para las divisas registradas (las demás se ignoran).
+// Los proveedores publican el precio de una unidad; se guarda por la unidad de cotización de la
+// divisa, igual que sus tasas. La carga manual ya viene expresada en esa unidad.
+async function guardarReferencias(connection, fuente, tasas, usuario_id = null) {
+  if (!tasas.length) return [];
+  const [divisas] = await connection.query('SELECT id, codigo, unidad_cotizacion FROM divisas WHERE codigo IN (?)', [tasas.map(t => t.codigo)]);
+  const guardadas = [];
+  for (const t of tasas) {
+    const divisa = divisas.find(d => d.codigo === t.codigo);
+    if (!divisa) continue;
+    const unidad = fuente === 'MANUAL' ? 1 : Number(divisa.unidad_cotizacion);
+    const compra = Number((t.compra * unidad).toFixed(4));
+    const venta = Number((t.venta * unidad).toFixed(4));
+    const [result] = await connection.query(
+      'INSERT INTO tasas_referencia (divisa_id, fuente, compra, venta, fecha_fuente, usuario_id, obtenida_at) VALUES (?, ?, ?, ?, ?, ?, NOW())',
+      [divisa.id, fuente, compra, venta, t.fecha_fuente ? String(t.fecha_fuente).slice(0, 30) : null, usuario_id]
+    );
+    guardadas.push({ id: result.insertId, divisa_id: divisa.id, codigo: t.codigo, fuente, compra, venta });
+  }
+  return guardadas;
+}
+
+// Consulta los proveedores indicados (por defecto, los que son fuente autorizada de alguna divisa)
+// y guarda lo obtenido. Un proveedor que falla no impide consultar los demás; el error queda en el resultado.
+async function actualizarReferencias(fuentes = null) {
+  if (!fuentes) {
+    const [usadas] = await pool.query("SELECT DISTINCT fuente_referencia FROM divisas WHERE codigo <> 'PEN'");
+    fuentes = usadas.map(u => u.fuente_referencia).filter(f => PROVEEDORES[f]);
+  }
+  const resultado = {};
+  for (const fuente of fuentes) {
+    const proveedor = PROVEEDORES[fuente];
+    const url = proveedor && proveedor.url();
+    if (!url) continue;
+    try {
+      const tasas = await proveedor.obtener(url);
+      const guardadas = await guardarReferencias(pool, fuente, tasas);
+      resultado[fuente] = { ok: true, tasas: guardadas.length, divisas: guardadas.map(g => g.divisa_id) };
+      logger.info(`Tasas de referencia ${fuente} actualizadas`, { tasas: guardadas.length });
+    } catch (err) {
+      resultado[fuente] = { ok: false, error: err.message };
+      logger.error(`Error consultando tasas de referencia ${fuente}: ${err.message}`);
+    }
+  }
+  return resultado;
+}
+
+// Tasa de referencia vigente de una divisa: la última de su fuente autorizada (o de la fuente
+// indicada) o, si esa fuente no tiene datos, la última cargada a mano
+async function referenciaVigente(connection, divisa_id, fuente = null) {
+  const [rows] = await connection.query(
+    `SELECT tr.id, tr.divisa_id, tr.fuente, tr.compra, tr.venta, tr.fecha_fuente, tr.obtenida_at
+     FROM tasas_referencia tr JOIN divisas d ON tr.divisa_id = d.id
+     WHERE tr.divisa_id = ? AND tr.fuente IN (COALESCE(?, d.fuente_referencia), 'MANUAL')
+     ORDER BY tr.fuente = COALESCE(?, d.fuente_referencia) DESC, tr.obtenida_at DESC, tr.id DESC
+     LIMIT 1`,
+    [divisa_id, fuente, fuente]
+  );
+  return rows[0] || null;
+}
+
+let temporizador = null;
+
+// Consulta periódica de los proveedores; se arranca una vez al levantar el servidor.
+// alActualizar recibe el resultado de cada consulta (ej. para repreciar las divisas).
+function iniciarActualizacionPeriodica(alActualizar = null) {
+  if (temporizador || !INTERVALO_MINUTOS) return;
+  const ejecutar = () => actualizarReferencias()
+    .then(resultado => alActualizar && alActualizar(resultado))
+    .catch(err => logger.error(`Error en actualización de referencias: ${err.message}`));
+  temporizador = setInterval(ejecutar, INTERVALO_MINUTOS * 60000);
+  temporizador.unref();
+  ejecutar();
+}
+
+module.exports = {
+  PROVEEDORES,
+  FUENTES,
+  parsearSbs,
+  parsearBcrp,
+  parsearJson,
+  parsearCsvTasas,
+  guardarReferencias,
+  actualizarReferencias,
+  referenciaVigente,
+  iniciarActualizacionPeriodica
+};
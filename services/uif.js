@@ -0,0 +1,137 @@
+// services/uif.js - Registro de Operaciones para la UIF (equivalente en USD y umbrales)
+
+// Umbral por operación y umbral de operaciones múltiples de un mismo cliente en el mes calendario
+const UMBRAL_USD = Number(process.env.UIF_UMBRAL_USD) || 10000;
+const UMBRAL_MULTIPLE_USD = Number(process.env.UIF_UMBRAL_MULTIPLE_USD) || UMBRAL_USD;
+
+// Tasa para convertir soles a USD: promedio compra/venta vigente del dólar
+async function tasaUsd(connection) {
+  const [usd] = await connection.query('SELECT tasa_compra, tasa_venta FROM divisas WHERE codigo = "USD" LIMIT 1');
+  if (!usd.length) {
+    throw new Error('No existe la divisa USD para calcular el equivalente de la operación');
+  }
+  return Number(((Number(usd[0].tasa_compra) + Number(usd[0].tasa_venta)) / 2).toFixed(4));
+}
+
+// Equivalente en USD de una operación: si una de las patas es en dólares se toma tal cual,
+// si no se convierte su valorización en soles
+function equivalenteUsd(t, tasa) {
+  if (t.divisa_codigo === 'USD') return Number(t.monto);
+  if (t.divisa_destino_codigo === 'USD') return Number(t.monto_destino);
+  return Number((Number(t.total_soles) / tasa).toFixed(2));
+}
+
+// Calcula el equivalente en USD de la transacción y la inscribe en el registro si alcanza el umbral
+// o si, sumada a las demás operaciones del cliente en el mes, lo supera. Devuelve las filas inscritas.
+async function registrarOperacion(connection, transaccion_id) {
+  const [tx] = await connection.query(
+    `SELECT t.id, t.cliente_id, t.fecha, t.monto, t.monto_destino, t.total_soles,
+            d.codigo AS divisa_codigo, dd.codigo AS divisa_destino_codigo
+     FROM transacciones t
+     JOIN divisas d ON t.divisa_id = d.id
+     LEFT JOIN divisas dd ON t.divisa_destino_id = dd.id
+     WHERE t.id = ?`,
+    [transaccion_id]
+  );
+  const t = tx[0];
+  const tasa = await tasaUsd(connection);
+  const monto_usd = equivalenteUsd(t, tasa);
+  await connection.query('UPDATE transacciones SET monto_usd = ? WHERE id = ?', [monto_usd, transaccion_id]);
+
+  if (monto_usd >= UMBRAL_USD) {
+    await connection.query(
+      'INSERT IGNORE INTO registro_operaciones (transaccion_id, cliente_id, tipo_registro, monto_usd, tasa_usd, created_at) VALUES (?, ?, "UNICA", ?, ?, NOW())',
+      [transaccion_id, t.cliente_id, monto_usd, tasa]
+    );
+    return [{ transaccion_id, tipo_registro: 'UNICA', monto_usd }];
+  }
+  if (!t.cliente_id) return [];
+
+  // Operaciones múltiples: las del cliente en el mes que por sí solas no llegan al umbral
+  // (la actual puede seguir PENDIENTE mientras se aprueba)
+  const [delMes] = await connection.query(
+    `SELECT id, monto_usd FROM transacciones
+     WHERE cliente_id = ? AND (estado = 'COMPLETADA' OR id = ?) AND monto_usd IS NOT NULL AND monto_usd < ?
+       AND fecha >= DATE_FORMAT(?, '%Y-%m-01') AND fecha < DATE_FORMAT(?, '%Y-%m-01') + INTERVAL 1 MONTH`,
+    [t.cliente_id, transaccion_id, UMBRAL_USD, t.fecha, t.fecha]
+  );
+  const total = delMes.reduce((sum, o) => sum + Number(o.monto_usd), 0);
+  if (delMes.length < 2 || total < UMBRAL_MULTIPLE_USD) return [];
+
+  await connection.query(
+    'INSERT IGNORE INTO registro_operaciones (transaccion_id, cliente_id, tipo_registro, monto_usd, tasa_usd, created_at) VALUES ' +
+    delMes.map(() => '(?, ?, "MULTIPLE", ?, ?, NOW())').join(','),
+    delMes.flatMap(o => [o.id, t.cliente_id, o.monto_usd, tasa])
+  );
+  return delMes.map(o => ({ transaccion_id: o.id, tipo_registro: 'MULTIPLE', monto_usd: Number(o.monto_usd) }));
+}
+
+// Tras anular una operación: si las operaciones completadas del cliente en ese mes ya no alcanzan el
+// umbral de múltiples, retira sus registros MULTIPLE aún no presentados. Devuelve los retirados.
+async function reevaluarMultiples(connection, transaccion_id) {
+  const [tx] = await connection.query('SELECT cliente_id, fecha FROM transacciones WHERE id = ?', [transaccion_id]);
+  if (!tx.length || !tx[0].cliente_id) return [];
+  const { cliente_id, fecha } = tx[0];
+  const delMesSql = "t.fecha >= DATE_FORMAT(?, '%Y-%m-01') AND t.fecha < DATE_FORMAT(?, '%Y-%m-01') + INTERVAL 1 MONTH";
+
+  const [delMes] = await connection.query(
+    `SELECT t.id, t.monto_usd FROM transacciones t
+     WHERE t.cliente_id = ? AND t.estado = 'COMPLETADA' AND t.monto_usd IS NOT NULL AND t.monto_usd < ? AND ${delMesSql}`,
+    [cliente_id, UMBRAL_USD, fecha, fecha]
+  );
+  const total = delMes.reduce((sum, o) => sum + Number(o.monto_usd), 0);
+  if (delMes.length >= 2 && total >= UMBRAL_MULTIPLE_USD) return [];
+
+  const [registros] = await connection.query(
+    `SELECT r.id, r.transaccion_id FROM registro_operaciones r JOIN transacciones t ON r.transaccion_id = t.id
+     WHERE r.cliente_id = ? AND r.tipo_registro = 'MULTIPLE' AND r.estado <> 'PRESENTADO' AND ${delMesSql}
+     FOR UPDATE`,
+    [cliente_id, fecha, fecha]
+  );
+  if (registros.length) {
+    await connection.query('DELETE FROM registro_operaciones WHERE id IN (?)', [registros.map(r => r.id)]);
+  }
+  return registros.map(r => r.transaccion_id);
+}
+
+// Columnas del archivo para la UIF: [campo, ancho] en el formato de ancho fijo; en CSV se usan los mismos campos
+const LAYOUT_REGISTRO = [
+  ['numero_registro', 8],
+  ['fecha', 10],
+  ['hora', 8],
+  ['tipo_registro', 1],
+  ['tipo_operacion', 6],
+  ['numero_recibo', 17],
+  ['cliente_documento', 20],
+  ['cliente_nombre', 60],
+  ['moneda', 3],
+  ['monto', 15],
+  ['tipo_cambio', 10],
+  ['monto_usd', 15]
+];
+
+const NUMERICOS = new Set(['numero_registro', 'monto', 'tipo_cambio', 'monto_usd']);
+
+// Fila de ancho fijo: texto alineado a la izquierda con espacios, números a la derecha con ceros
+function filaAnchoFijo(registro) {
+  return LAYOUT_REGISTRO.map(([campo, ancho]) => {
+    const valor = String(registro[campo] ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase();
+    return NUMERICOS.has(campo) ? valor.slice(-ancho).padStart(ancho, '0') : valor.slice(0, ancho).padEnd(ancho, ' ');
+  }).join('');
+}
+
+function filaCsv(registro) {
+  return LAYOUT_REGISTRO.map(([campo]) => {
+    const valor = String(registro[campo] ?? '');
+    return /[",\n]/.test(valor) ? `"${valor.replace(/"/g, '""')}"` : valor;
+  }).join(',');
+}
+
+function generarArchivo(registros, formato) {
+  if (formato === 'txt') {
+    return registros.map(filaAnchoFijo).join('\r\n');
+  }
+  return [LAYOUT_REGISTRO.map(([campo]) => campo).join(','), ...registros.map(filaCsv)].join('\r\n');
+}
+
+module.exports = { UMBRAL_USD, UMBRAL_MULTIPLE_USD, registrarOperacion, reevaluarMultiples, generarArchivo };
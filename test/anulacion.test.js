@@ -0,0 +1,91 @@
+// Anulación de transacciones: el inventario, los saldos y los billetes vuelven a su estado anterior
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { simularPool } = require('./helpers/baseDatosFalsa');
+const { levantar, cabeceras } = require('./helpers/servidor');
+const transaccionesRoutes = require('../routes/transacciones');
+
+let api;
+before(async () => { api = await levantar('/api/transacciones', transaccionesRoutes); });
+after(() => api.cerrar());
+
+const venta = {
+  id: 7, caja_id: 3, tipo: 'VENTA', divisa_id: 2, divisa_codigo: 'USD', monto: '100.00', total_soles: '376.00', utilidad: '2.00',
+  divisa_destino_id: null, divisa_destino_codigo: null, monto_destino: null,
+  estado: 'COMPLETADA', usuario_id: 10, cliente_id: null, caja_estado: 'ABIERTA'
+};
+
+const anular = id => fetch(`${api.url}/${id}/anular`, {
+  method: 'POST',
+  headers: cabeceras(),
+  body: JSON.stringify({ motivo: 'Error de digitación' })
+});
+
+test('anular una venta restituye cada lote consumido y revierte saldos', async () => {
+  const conexion = simularPool([
+    [/JOIN caja c ON t\.caja_id/, [venta]],
+    [/FROM transacciones_lotes/, [{ lote_id: 4, monto: '60.00' }, { lote_id: 5, monto: '40.00' }]]
+  ]);
+  const res = await anular(7);
+  assert.equal(res.status, 200);
+
+  const restituidos = conexion.buscar(/UPDATE divisas_inventario SET monto = monto \+ \?/).map(c => c.params);
+  assert.deepEqual(restituidos, [['60.00', 4], ['40.00', 5]]);
+  assert.equal(conexion.buscar(/INSERT INTO divisas_inventario/).length, 0);
+
+  // Sin pagos registrados se revierte como efectivo: salen los soles recibidos y vuelven los dólares entregados
+  const saldos = conexion.buscar(/UPDATE caja_saldos/).map(c => c.params);
+  assert.deepEqual(saldos, [[-376, 3, 1], [100, 3, 2]]);
+  assert.equal(conexion.buscar(/UPDATE caja SET utilidad_total = utilidad_total - \?/)[0].params[0], 2);
+  assert.deepEqual(conexion.buscar(/SET estado = 'ANULADA'/)[0].params, ['Error de digitación', 10, '7']);
+  assert.deepEqual(conexion.eventos, ['begin', 'commit', 'release']);
+});
+
+test('una venta sin lotes consumidos no inventa un lote al anularse', async () => {
+  const conexion = simularPool([[/JOIN caja c ON t\.caja_id/, [venta]]]);
+  const res = await anular(7);
+  assert.equal(res.status, 200);
+  assert.equal(conexion.buscar(/INSERT INTO divisas_inventario/).length, 0);
+  assert.equal(conexion.buscar(/UPDATE divisas_inventario/).length, 0);
+});
+
+test('los billetes entregados vuelven a caja antes de retirar los recibidos', async () => {
+  const conexion = simularPool([
+    [/JOIN caja c ON t\.caja_id/, [venta]],
+    [/FROM transacciones_denominaciones/, [
+      { denominacion_id: 21, valor: '100.00', cantidad: -1 },
+      { denominacion_id: 11, valor: '200.00', cantidad: 2 }
+    ]],
+    [/FROM caja_denominaciones/, params => [{ cantidad: params[1] === 11 ? 2 : 0 }]]
+  ]);
+  const res = await anular(7);
+  assert.equal(res.status, 200);
+  assert.match(conexion.buscar(/FROM transacciones_denominaciones/)[0].sql, /ORDER BY td\.cantidad ASC/);
+  const movidos = conexion.buscar(/UPDATE caja_denominaciones/).map(c => c.params);
+  assert.deepEqual(movidos, [[1, 3, 21], [-2, 3, 11]]);
+});
+
+test('no se anula una compra cuyo lote ya fue consumido', async () => {
+  const compra = { ...venta, tipo: 'COMPRA', utilidad: null };
+  const conexion = simularPool([
+    [/JOIN caja c ON t\.caja_id/, [compra]],
+    [/FROM divisas_inventario WHERE transaccion_id/, [{ id: 9, monto: '30.00' }]]
+  ]);
+  const res = await anular(7);
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).msg, /ya fue consumido/);
+  assert.equal(conexion.buscar(/UPDATE divisas_inventario/).length, 0);
+  assert.deepEqual(conexion.eventos, ['begin', 'rollback', 'release']);
+});
+
+test('anular una compra intacta retira su lote del inventario', async () => {
+  const compra = { ...venta, tipo: 'COMPRA', utilidad: null };
+  const conexion = simularPool([
+    [/JOIN caja c ON t\.caja_id/, [compra]],
+    [/FROM divisas_inventario WHERE transaccion_id/, [{ id: 9, monto: '100.00' }]]
+  ]);
+  const res = await anular(7);
+  assert.equal(res.status, 200);
+  assert.deepEqual(conexion.buscar(/SET monto = 0, disponible = FALSE/)[0].params, [9]);
+  assert.equal(conexion.buscar(/utilidad_total/).length, 0);
+});
@@ -0,0 +1,83 @@
+// Aprobación de transacciones pendientes: los efectos se aplican en la misma transacción de base
+// de datos que el cambio de estado, y un error a mitad de camino no deja nada a medias
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { simularPool } = require('./helpers/baseDatosFalsa');
+const { levantar, cabeceras } = require('./helpers/servidor');
+const transaccionesRoutes = require('../routes/transacciones');
+
+let api;
+before(async () => { api = await levantar('/api/transacciones', transaccionesRoutes); });
+after(() => api.cerrar());
+
+const admin = { id: 1, rol: 'Admin' };
+
+// Venta pendiente de 100 USD a 3.76 en la caja 3, con inventario suficiente a 3.70
+const reglasVentaPendiente = (extra = []) => [
+  ...extra,
+  [/FROM transacciones t JOIN caja c ON t\.caja_id/, [{ id: 8, estado: 'PENDIENTE', caja_id: 3, cliente_id: null, caja_estado: 'ABIERTA' }]],
+  [/d\.metodo_costeo, d\.unidad_cotizacion/, [{
+    id: 8, caja_id: 3, tipo: 'VENTA', divisa_id: 2, divisa_destino_id: null, cliente_id: null, monto: '100.00', monto_destino: null,
+    tipo_cambio: '3.7600', total_soles: '376.00', usuario_id: 10, divisa_codigo: 'USD', tasa_compra: '3.7000', metodo_costeo: 'FIFO',
+    unidad_cotizacion: 1, destino_codigo: null, destino_tasa_compra: null, destino_metodo_costeo: null, destino_unidad_cotizacion: null
+  }]],
+  [/FROM transacciones_pagos/, [
+    { direccion: 'RECIBIDO', divisa_id: 1, monto: '376.00', medio_pago: 'EFECTIVO' },
+    { direccion: 'ENTREGADO', divisa_id: 2, monto: '100.00', medio_pago: 'EFECTIVO' }
+  ]],
+  [/FROM caja_saldos WHERE caja_id = \? AND divisa_id = \?/, [{ id: 1, saldo_actual: '1000.00' }]],
+  [/FROM divisas_inventario WHERE divisa_id/, [{ id: 4, monto: '150.00', costo_base: '3.7000' }]],
+  // Registro de Operaciones (UIF): equivalente en USD de la operación
+  [/dd\.codigo AS divisa_destino_codigo/, [{ id: 8, cliente_id: null, monto: '100.00', monto_destino: null, total_soles: '376.00', divisa_codigo: 'USD', divisa_destino_codigo: null }]],
+  [/WHERE codigo = "USD"/, [{ tasa_compra: '3.7000', tasa_venta: '3.7600' }]],
+  // Venta sin cliente: no hay reglas de estructuración que evaluar
+  [/SELECT id, cliente_id, fecha FROM transacciones/, [{ id: 8, cliente_id: null, fecha: '2026-10-19 10:00:00' }]]
+];
+
+const aprobar = id => fetch(`${api.url}/${id}/aprobar`, { method: 'POST', headers: cabeceras(admin) });
+
+test('aprobar aplica inventario, saldos y movimientos y completa la transacción en un solo commit', async () => {
+  const conexion = simularPool(reglasVentaPendiente());
+  const res = await aprobar(8);
+  assert.equal(res.status, 200);
+  assert.deepEqual((await res.json()).data, { transaccion_id: 8, estado: 'COMPLETADA', utilidad: 6 });
+
+  assert.deepEqual(conexion.buscar(/UPDATE divisas_inventario SET monto = monto - \?/)[0].params, [100, 4]);
+  assert.deepEqual(conexion.buscar(/INSERT INTO transacciones_lotes/)[0].params, [8, 4, 100, '3.7000']);
+  assert.deepEqual(conexion.buscar(/UPDATE caja_saldos/).map(c => c.params), [[376, 3, 1], [-100, 3, 2]]);
+  assert.equal(conexion.buscar(/INSERT INTO movimientos_caja/).length, 1);
+
+  // El estado cambia después de aplicar los efectos y antes del único commit
+  const orden = conexion.consultas.map(c => c.sql);
+  const completada = orden.findIndex(sql => /SET estado = 'COMPLETADA'/.test(sql));
+  assert.ok(completada > orden.findIndex(sql => /INSERT INTO movimientos_caja/.test(sql)));
+  assert.deepEqual(conexion.eventos, ['begin', 'commit', 'release']);
+});
+
+test('si un efecto falla se revierte todo y la transacción sigue pendiente', async () => {
+  const conexion = simularPool(reglasVentaPendiente([
+    [/INSERT INTO movimientos_caja/, new Error('Deadlock found when trying to get lock')]
+  ]));
+  const res = await aprobar(8);
+  assert.equal(res.status, 500);
+  assert.match((await res.json()).msg, /Deadlock/);
+  assert.equal(conexion.buscar(/SET estado = 'COMPLETADA'/).length, 0);
+  assert.deepEqual(conexion.eventos, ['begin', 'rollback', 'release']);
+});
+
+test('solo un Admin puede aprobar', async () => {
+  const conexion = simularPool(reglasVentaPendiente());
+  const res = await fetch(`${api.url}/8/aprobar`, { method: 'POST', headers: cabeceras() });
+  assert.equal(res.status, 403);
+  assert.equal(conexion.consultas.length, 0);
+});
+
+test('una transacción que no está pendiente no se vuelve a aplicar', async () => {
+  const conexion = simularPool([
+    [/FROM transacciones t JOIN caja c ON t\.caja_id/, [{ id: 8, estado: 'COMPLETADA', caja_id: 3, cliente_id: null, caja_estado: 'ABIERTA' }]]
+  ]);
+  const res = await aprobar(8);
+  assert.equal(res.status, 400);
+  assert.equal(conexion.buscar(/^\s*(UPDATE|INSERT)/).length, 0);
+  assert.deepEqual(conexion.eventos, ['begin', 'rollback', 'release']);
+});
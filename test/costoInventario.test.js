@@ -0,0 +1,71 @@
+// Consumo de lotes de inventario según el método de costeo (FIFO, LIFO y WAC)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { crearConexion } = require('./helpers/baseDatosFalsa');
+const { consumirLotes } = require('../services/costoInventario');
+
+const venta = (metodo_costeo, monto, extra = {}) => ({
+  caja_id: 3, divisa_id: 2, divisa_codigo: 'USD', monto, tasa_compra: 3.7, metodo_costeo, userId: 10, ...extra
+});
+const descontados = conexion => conexion.buscar(/UPDATE divisas_inventario SET monto = monto - \?/).map(c => c.params);
+
+test('FIFO consume primero los lotes más antiguos y los cuesta a su costo', async () => {
+  const conexion = crearConexion([[/FROM divisas_inventario/, [
+    { id: 1, monto: '50.00', costo_base: '3.7000' },
+    { id: 2, monto: '80.00', costo_base: '3.8000' }
+  ]]]);
+  const { costoTotal, lotesConsumidos } = await consumirLotes(conexion, venta('FIFO', 100));
+  assert.match(conexion.consultas[0].sql, /ORDER BY fecha_adquisicion ASC, id ASC/);
+  assert.deepEqual(descontados(conexion), [[50, 1], [50, 2]]);
+  assert.deepEqual(lotesConsumidos.map(l => [l.lote_id, l.monto]), [[1, 50], [2, 50]]);
+  assert.equal(Number(costoTotal.toFixed(2)), 375);
+});
+
+test('LIFO consume primero los lotes más recientes', async () => {
+  const conexion = crearConexion([[/FROM divisas_inventario/, [
+    { id: 2, monto: '80.00', costo_base: '3.8000' },
+    { id: 1, monto: '50.00', costo_base: '3.7000' }
+  ]]]);
+  const { costoTotal } = await consumirLotes(conexion, venta('LIFO', 100));
+  assert.match(conexion.consultas[0].sql, /ORDER BY fecha_adquisicion DESC, id DESC/);
+  assert.deepEqual(descontados(conexion), [[80, 2], [20, 1]]);
+  assert.equal(Number(costoTotal.toFixed(2)), 378);
+});
+
+test('WAC descuenta en proporción y lleva el centavo truncado a un lote con saldo', async () => {
+  const conexion = crearConexion([[/FROM divisas_inventario/, [
+    { id: 1, monto: '33.33', costo_base: '3.7000' },
+    { id: 2, monto: '33.33', costo_base: '3.8000' },
+    { id: 3, monto: '33.34', costo_base: '3.9000' }
+  ]]]);
+  const { costoTotal, lotesConsumidos } = await consumirLotes(conexion, venta('WAC', 50));
+  assert.deepEqual(descontados(conexion), [[16.67, 1], [16.66, 2], [16.67, 3]]);
+  assert.equal(Number(lotesConsumidos.reduce((sum, l) => sum + l.monto, 0).toFixed(2)), 50);
+  // El costo es el promedio ponderado del inventario, no el de los lotes tocados
+  assert.equal(Number(costoTotal.toFixed(4)), 190.0005);
+});
+
+test('WAC falla si el inventario no alcanza a cubrir el resto al centavo', async () => {
+  const conexion = crearConexion([[/FROM divisas_inventario/, [
+    { id: 1, monto: '0.003', costo_base: '3.7000' },
+    { id: 2, monto: '0.003', costo_base: '3.7000' },
+    { id: 3, monto: '0.003', costo_base: '3.7000' },
+    { id: 4, monto: '0.003', costo_base: '3.7000' }
+  ]]]);
+  await assert.rejects(consumirLotes(conexion, venta('WAC', 0.01)), /No se pudo descontar 0.01 USD del inventario/);
+  assert.equal(descontados(conexion).length, 0);
+});
+
+test('el costo se divide por la unidad de cotización de la divisa', async () => {
+  const conexion = crearConexion([[/FROM divisas_inventario/, [{ id: 5, monto: '10000.00', costo_base: '2.5000' }]]]);
+  const { costoTotal } = await consumirLotes(conexion, venta('FIFO', 4000, { divisa_codigo: 'JPY', unidad: 100 }));
+  assert.equal(costoTotal, 100);
+});
+
+test('sin inventario suficiente no toca lotes y costea a tasa de compra', async () => {
+  const conexion = crearConexion([[/FROM divisas_inventario/, [{ id: 1, monto: '20.00', costo_base: '3.6000' }]]]);
+  const { costoTotal, lotesConsumidos } = await consumirLotes(conexion, venta('FIFO', 100));
+  assert.equal(costoTotal, 370);
+  assert.deepEqual(lotesConsumidos, []);
+  assert.equal(descontados(conexion).length, 0);
+});
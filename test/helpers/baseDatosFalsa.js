@@ -0,0 +1,41 @@
+// test/helpers/baseDatosFalsa.js - Conexión MySQL simulada para probar rutas y servicios sin base de datos
+const pool = require('../../config/db');
+
+// Cada regla es [expresión regular sobre el SQL, respuesta]. La respuesta puede ser una función
+// (params, sql) => resultado; si devuelve un Error se lanza. Sin regla, un SELECT devuelve [] y
+// lo demás { affectedRows: 1, insertId: 1 }. Se registran las consultas y los eventos de la transacción.
+function crearConexion(reglas = []) {
+  const consultas = [];
+  const eventos = [];
+  const query = async (sql, params = []) => {
+    consultas.push({ sql, params });
+    const regla = reglas.find(([patron]) => patron.test(sql));
+    let resultado = regla
+      ? (typeof regla[1] === 'function' ? regla[1](params, sql) : regla[1])
+      : (/^\s*(SELECT|\()/i.test(sql) ? [] : { affectedRows: 1, insertId: 1 });
+    if (resultado instanceof Error) throw resultado;
+    return [resultado, []];
+  };
+  const conexion = {
+    consultas,
+    eventos,
+    query,
+    beginTransaction: async () => eventos.push('begin'),
+    commit: async () => eventos.push('commit'),
+    rollback: async () => eventos.push('rollback'),
+    release: () => eventos.push('release'),
+    // Consultas cuyo SQL coincide con el patrón
+    buscar: patron => consultas.filter(c => patron.test(c.sql))
+  };
+  return conexion;
+}
+
+// Hace que el pool de config/db responda con una conexión simulada (las rutas y servicios usan pool.query y getConnection)
+function simularPool(reglas = []) {
+  const conexion = crearConexion(reglas);
+  pool.query = conexion.query;
+  pool.getConnection = async () => conexion;
+  return conexion;
+}
+
+module.exports = { crearConexion, simularPool };
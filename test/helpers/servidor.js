@@ -0,0 +1,29 @@
+// test/helpers/servidor.js - Monta un router en una app Express local para llamarlo por HTTP
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+
+// Levanta la app en un puerto libre; devuelve la URL base y la función para cerrarla
+async function levantar(ruta, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(ruta, router);
+  const servidor = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  return {
+    url: `http://127.0.0.1:${servidor.address().port}${ruta}`,
+    cerrar: () => new Promise(resolve => servidor.close(resolve))
+  };
+}
+
+// Cabeceras de una petición autenticada, con el mismo payload que emite /api/auth/login
+function cabeceras(usuario = { id: 10, rol: 'Cajero' }) {
+  return {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${jwt.sign(usuario, process.env.JWT_SECRET, { expiresIn: '1h' })}`
+  };
+}
+
+module.exports = { levantar, cabeceras };
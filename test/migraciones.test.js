@@ -0,0 +1,127 @@
+// Revisión estática de migrations/*.sql en orden de aplicación: sin MySQL disponible, detecta
+// las migraciones que fallarían al correr sobre el esquema (columnas o índices agregados dos veces,
+// columnas modificadas o referenciadas antes de existir, tablas creadas dos veces)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const DIR = path.join(__dirname, '..', 'migrations');
+
+// Columnas que ya existían antes de la primera migración (las que usa el código original)
+const ESQUEMA_BASE = {
+  transacciones: ['id', 'caja_id', 'tipo', 'divisa_id', 'cliente_id', 'monto', 'comision', 'tipo_cambio', 'total_soles', 'utilidad', 'usuario_id', 'fecha', 'estado'],
+  divisas: ['id', 'codigo', 'nombre', 'tasa_compra', 'tasa_venta'],
+  divisas_inventario: ['id', 'divisa_id', 'caja_id', 'monto', 'costo_base', 'fecha_adquisicion', 'disponible'],
+  clientes: ['id', 'nombre', 'dni', 'whatsapp', 'email', 'created_at'],
+  movimientos_caja: ['id', 'caja_id', 'tipo', 'divisa_id', 'monto', 'descripcion', 'usuario_id', 'fecha']
+};
+
+// Parte una lista por las comas de primer nivel (fuera de paréntesis y comillas)
+function partir(texto) {
+  const partes = [];
+  let nivel = 0;
+  let comilla = null;
+  let actual = '';
+  for (const c of texto) {
+    if (comilla) {
+      if (c === comilla) comilla = null;
+    } else if (c === "'" || c === '"') {
+      comilla = c;
+    } else if (c === '(') {
+      nivel++;
+    } else if (c === ')') {
+      nivel--;
+    } else if (c === ',' && nivel === 0) {
+      partes.push(actual.trim());
+      actual = '';
+      continue;
+    }
+    actual += c;
+  }
+  if (actual.trim()) partes.push(actual.trim());
+  return partes;
+}
+
+function sentencias(sql) {
+  return sql
+    .replace(/--.*$/gm, '')
+    .split(';')
+    .map(s => s.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+// Recibe [{ archivo, sql }] en orden de aplicación y devuelve los errores encontrados
+function revisar(migraciones) {
+  const tablas = new Map(Object.entries(ESQUEMA_BASE).map(([t, cols]) => [t, { columnas: new Set(cols), indices: new Set() }]));
+  const errores = [];
+
+  for (const { archivo, sql } of migraciones) {
+    const error = msg => errores.push(`${archivo}: ${msg}`);
+    for (const s of sentencias(sql)) {
+      const creada = s.match(/^CREATE TABLE (IF NOT EXISTS )?`?(\w+)`? \((.*)\)[^)]*$/i);
+      if (creada) {
+        const [, siNoExiste, tabla, cuerpo] = creada;
+        if (tablas.has(tabla)) {
+          if (!siNoExiste) error(`la tabla ${tabla} ya existe`);
+          continue;
+        }
+        const t = { columnas: new Set(), indices: new Set() };
+        for (const def of partir(cuerpo)) {
+          const indice = def.match(/^(?:UNIQUE )?(?:INDEX|KEY) `?(\w+)`?/i) || def.match(/^CONSTRAINT `?(\w+)`?/i);
+          if (indice) t.indices.add(indice[1]);
+          else if (!/^(PRIMARY KEY|FOREIGN KEY|UNIQUE|INDEX|KEY|CHECK)\b/i.test(def)) t.columnas.add(def.split(' ')[0].replace(/`/g, ''));
+        }
+        tablas.set(tabla, t);
+        continue;
+      }
+
+      const indiceSuelto = s.match(/^CREATE (?:UNIQUE )?INDEX `?(\w+)`? ON `?(\w+)`?/i);
+      const alterada = s.match(/^ALTER TABLE `?(\w+)`? (.*)$/i);
+      if (!indiceSuelto && !alterada) continue;
+      const tabla = indiceSuelto ? indiceSuelto[2] : alterada[1];
+      const t = tablas.get(tabla);
+      if (!t) {
+        error(`${tabla} no existe`);
+        continue;
+      }
+      const clausulas = indiceSuelto ? [`ADD INDEX ${indiceSuelto[1]}`] : partir(alterada[2]);
+      for (const clausula of clausulas) {
+        const columna = clausula.match(/^(ADD|MODIFY)(?: COLUMN)? `?(\w+)`?/i);
+        const indice = clausula.match(/^ADD (?:UNIQUE )?(?:INDEX|KEY) `?(\w+)`?/i) || clausula.match(/^ADD CONSTRAINT `?(\w+)`?/i);
+        const despues = clausula.match(/ AFTER `?(\w+)`?/i);
+        if (despues && !t.columnas.has(despues[1])) error(`${tabla}.${despues[1]} no existe (AFTER)`);
+        if (indice) {
+          if (t.indices.has(indice[1])) error(`el índice ${indice[1]} ya existe en ${tabla}`);
+          t.indices.add(indice[1]);
+        } else if (columna && columna[1].toUpperCase() === 'ADD') {
+          if (t.columnas.has(columna[2])) error(`la columna ${tabla}.${columna[2]} ya existe`);
+          t.columnas.add(columna[2]);
+        } else if (columna && !t.columnas.has(columna[2])) {
+          error(`no se puede modificar ${tabla}.${columna[2]}: no existe`);
+        }
+      }
+    }
+  }
+  return errores;
+}
+
+const migraciones = fs.readdirSync(DIR).filter(f => f.endsWith('.sql')).sort()
+  .map(archivo => ({ archivo, sql: fs.readFileSync(path.join(DIR, archivo), 'utf8') }));
+
+test('las migraciones tienen numeración correlativa sin repetir', () => {
+  const numeros = migraciones.map(m => Number(m.archivo.slice(0, 3)));
+  assert.deepEqual(numeros, numeros.map((_, i) => i + 1));
+});
+
+test('las migraciones se aplican en orden sobre el esquema sin definir nada dos veces', () => {
+  assert.deepEqual(revisar(migraciones), []);
+});
+
+test('la revisión detecta columnas e índices definidos dos veces', () => {
+  const errores = revisar([
+    { archivo: 'a.sql', sql: 'ALTER TABLE transacciones ADD COLUMN estado VARCHAR(20) NOT NULL, ADD INDEX idx_estado (estado);' },
+    { archivo: 'b.sql', sql: 'ALTER TABLE transacciones ADD INDEX idx_estado (estado);' }
+  ]);
+  assert.deepEqual(errores, ['a.sql: la columna transacciones.estado ya existe', 'b.sql: el índice idx_estado ya existe en transacciones']);
+});
@@ -0,0 +1,63 @@
+// Cambios de tasa programados: se aplican al llegar su hora, también al consultar una divisa
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { crearConexion, simularPool } = require('./helpers/baseDatosFalsa');
+const { levantar, cabeceras } = require('./helpers/servidor');
+const { aplicarTasasProgramadas } = require('../services/tasasProgramadas');
+const divisasRoutes = require('../routes/divisas');
+
+let api;
+before(async () => { api = await levantar('/api/divisas', divisasRoutes); });
+after(() => api.cerrar());
+
+const vencida = {
+  id: 31, divisa_id: 2, tasa_compra: '3.7200', tasa_venta: '3.7700', costo_base_moneda: '3.7100',
+  vigente_desde: '2026-10-19 09:00:00', creado_por: 1
+};
+
+test('aplica los cambios vencidos en orden, los registra en el historial y los marca aplicados', async () => {
+  const conexion = crearConexion([
+    [/FROM tasas_programadas/, [vencida, { ...vencida, id: 32, divisa_id: 3, tasa_compra: '4.0500', tasa_venta: '4.2000', costo_base_moneda: null }]],
+    [/UPDATE divisas_costos/, { affectedRows: 0 }],
+    [/FROM divisas d LEFT JOIN divisas_costos/, params => [{ tasa_compra: '3.7200', tasa_venta: '3.7700', costo_base_moneda: params[0] === 2 ? '3.7100' : null }]],
+    [/INSERT INTO historial_tasas/, params => ({ insertId: 500 + params[0] })]
+  ]);
+  const aplicadas = await aplicarTasasProgramadas(conexion, [2, '3', null, 2]);
+
+  assert.deepEqual(aplicadas.map(a => a.id), [31, 32]);
+  assert.deepEqual(conexion.consultas[0].params, [[2, 3]]);
+  assert.match(conexion.consultas[0].sql, /vigente_desde <= NOW\(\) AND divisa_id IN \(\?\)/);
+  assert.deepEqual(conexion.buscar(/^UPDATE divisas SET/).map(c => c.params), [['3.7200', '3.7700', 2], ['4.0500', '4.2000', 3]]);
+  // Sin fila de costo se crea; un cambio sin costo no la toca
+  assert.deepEqual(conexion.buscar(/INSERT INTO divisas_costos/).map(c => c.params), [[2, '3.7100']]);
+
+  const historial = conexion.buscar(/INSERT INTO historial_tasas/).map(c => c.params);
+  assert.deepEqual(historial.map(p => [p[0], p[7], p[8], p[9]]), [[2, 'PROGRAMADO', 1, vencida.vigente_desde], [3, 'PROGRAMADO', 1, vencida.vigente_desde]]);
+  assert.equal(conexion.buscar(/SET d\.bloqueo_manual_hasta/).length, 2);
+  assert.deepEqual(conexion.buscar(/SET estado = 'APLICADA'/).map(c => c.params), [[502, 31], [503, 32]]);
+});
+
+test('sin divisas que revisar no consulta nada', async () => {
+  const conexion = crearConexion();
+  assert.deepEqual(await aplicarTasasProgramadas(conexion, [null]), []);
+  assert.equal(conexion.consultas.length, 0);
+});
+
+test('consultar una divisa aplica antes el cambio vencido y devuelve la tasa nueva', async () => {
+  const divisa = { id: 2, codigo: 'USD', nombre: 'Dólar', tasa_compra: '3.7000', tasa_venta: '3.7500' };
+  const conexion = simularPool([
+    [/FROM tasas_programadas/, () => (conexion.buscar(/SET estado = 'APLICADA'/).length ? [] : [vencida])],
+    [/^UPDATE divisas SET tasa_compra/, params => {
+      [divisa.tasa_compra, divisa.tasa_venta] = params;
+      return { affectedRows: 1 };
+    }],
+    [/SELECT d\.id, d\.codigo, d\.nombre, d\.tasa_compra/, () => [{ ...divisa }]]
+  ]);
+  const res = await fetch(`${api.url}/2`, { headers: cabeceras() });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.tasa_compra, '3.7200');
+  assert.equal(body.tasa_venta, '3.7700');
+  assert.deepEqual(conexion.buscar(/FROM tasas_programadas/)[0].params, [[2]]);
+  assert.deepEqual(conexion.eventos, ['begin', 'commit', 'release']);
+});
@@ -0,0 +1,86 @@
+// Adaptadores de tasas de referencia contra un servidor local con respuestas reales guardadas en test/fixtures
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { simularPool } = require('./helpers/baseDatosFalsa');
+const { PROVEEDORES, actualizarReferencias } = require('../services/tasasReferencia');
+
+const fixture = nombre => fs.readFileSync(path.join(__dirname, 'fixtures', nombre));
+
+const RUTAS = {
+  '/sbs': ['text/html; charset=utf-8', fixture('sbs.html')],
+  '/bcrp/PD04639PD-PD04640PD/json': ['application/json', fixture('bcrp.json')],
+  '/feed.json': ['application/json', fixture('referencias.json')],
+  '/feed.csv': ['text/csv', fixture('referencias.csv')]
+};
+
+let servidor;
+let base;
+
+before(async () => {
+  servidor = http.createServer((req, res) => {
+    const ruta = RUTAS[req.url];
+    if (!ruta) {
+      res.writeHead(503).end('Servicio no disponible');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': ruta[0] }).end(ruta[1]);
+  });
+  await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+after(() => new Promise(resolve => servidor.close(resolve)));
+
+test('SBS: lee compra y venta de cada moneda conocida de la tabla HTML', async () => {
+  const tasas = await PROVEEDORES.SBS.obtener(`${base}/sbs`);
+  assert.deepEqual(tasas, [
+    { codigo: 'USD', compra: 3.742, venta: 3.748, fecha_fuente: null },
+    { codigo: 'EUR', compra: 4.021, venta: 4.274, fecha_fuente: null },
+    { codigo: 'JPY', compra: 0.024, venta: 0.026, fecha_fuente: null }
+  ]);
+});
+
+test('BCRP: toma el último periodo con datos de las series de compra y venta', async () => {
+  const tasas = await PROVEEDORES.BCRP.obtener(`${base}/bcrp`);
+  assert.deepEqual(tasas, [{ codigo: 'USD', compra: 3.741, venta: 3.747, fecha_fuente: '14.Oct.25' }]);
+});
+
+test('JSON: acepta el objeto por código y descarta tasas no positivas', async () => {
+  const tasas = await PROVEEDORES.JSON.obtener(`${base}/feed.json`);
+  assert.deepEqual(tasas, [
+    { codigo: 'USD', compra: 3.74, venta: 3.76, fecha_fuente: null },
+    { codigo: 'EUR', compra: 4.05, venta: 4.25, fecha_fuente: null }
+  ]);
+});
+
+test('CSV: separador punto y coma, coma decimal y filas incompletas descartadas', async () => {
+  const tasas = await PROVEEDORES.CSV.obtener(`${base}/feed.csv`);
+  assert.deepEqual(tasas, [
+    { codigo: 'USD', compra: 3.741, venta: 3.759, fecha_fuente: '2025-10-15' },
+    { codigo: 'JPY', compra: 0.0245, venta: 0.0258, fecha_fuente: '2025-10-15' }
+  ]);
+});
+
+test('un proveedor caído queda con su error y no impide guardar los demás', async () => {
+  process.env.REFERENCIAS_SBS_URL = `${base}/caido`;
+  process.env.REFERENCIAS_CSV_URL = `${base}/feed.csv`;
+  const conexion = simularPool([
+    [/FROM divisas WHERE codigo IN/, [{ id: 2, codigo: 'USD', unidad_cotizacion: 1 }, { id: 5, codigo: 'JPY', unidad_cotizacion: 100 }]]
+  ]);
+  try {
+    const resultado = await actualizarReferencias(['SBS', 'CSV']);
+    assert.equal(resultado.SBS.ok, false);
+    assert.match(resultado.SBS.error, /HTTP 503/);
+    assert.deepEqual(resultado.CSV, { ok: true, tasas: 2, divisas: [2, 5] });
+
+    // JPY se cotiza por 100 unidades: la referencia se guarda en esa unidad
+    const insertadas = conexion.buscar(/INSERT INTO tasas_referencia/).map(c => c.params.slice(0, 4));
+    assert.deepEqual(insertadas, [[2, 'CSV', 3.741, 3.759], [5, 'CSV', 2.45, 2.58]]);
+  } finally {
+    delete process.env.REFERENCIAS_SBS_URL;
+    delete process.env.REFERENCIAS_CSV_URL;
+  }
+});